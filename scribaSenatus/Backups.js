@@ -0,0 +1,89 @@
+/**
+ * Backups.js
+ * Export and import of the ledger and the Causae/Commissiones state, run
+ * from the script editor. Exports are written to Google Drive; imports are
+ * a dry run unless apply is set.
+ */
+
+/**
+ * Causae and Commissiones as extra ledger tables, headers taken from their
+ * first row: exported and imported with the ledger, and restored with it
+ * when an ALL-OR-NOTHING email is rolled back
+ */
+function backupExtraTables() {
+  const tables = {};
+  [['Causae', Causae.getSheet()], ['Commissiones', Commissio.getSheet()]].forEach(([name, sheet]) => {
+    tables[name] = {
+      table: LedgerStore.createSheetTable(sheet),
+      headers: sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0]
+    };
+  });
+  return tables;
+}
+
+/** Row keys for the import log, shortened for long tables */
+function backupKeys(keys) {
+  if (keys.length === 0) return 'none';
+  return `${keys.length} (${keys.slice(0, 10).join(', ')}${keys.length > 10 ? ', …' : ''})`;
+}
+
+/** Profile a backup runs in: the named one, or this deployment's (see Environment.js) */
+function backupProfile(environment) {
+  return environment ? Environment.getProfile(environment) : Environment.current();
+}
+
+/**
+ * Export everything to Drive: one JSON file, or for 'csv' a folder with
+ * one <Table>.csv per sheet. Returns the file or folder ID.
+ * `environment` exports another profile's workbooks, e.g. 'live'.
+ */
+function exportState(format = 'json', environment = null) {
+  const profile = backupProfile(environment);
+  const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HHmm');
+  const name = `Wavebucks ${profile.name} export ${stamp}`;
+  const data = Environment.run(profile, () => Wavebucks.exportLedger({ format, extraTables: backupExtraTables() }));
+
+  if (format === 'csv') {
+    const folder = DriveApp.createFolder(name);
+    Object.keys(data).forEach(table => folder.createFile(`${table}.csv`, data[table], MimeType.CSV));
+    Logger.log(`📤 Exported to folder "${name}" (${folder.getId()})`);
+    return folder.getId();
+  }
+
+  const file = DriveApp.createFile(`${name}.json`, data, MimeType.PLAIN_TEXT);
+  Logger.log(`📤 Exported to "${file.getName()}" (${file.getId()})`);
+  return file.getId();
+}
+
+/**
+ * Import an export made by exportState(), given its Drive file (json) or
+ * folder (csv) ID. Logs the diff and any validation errors; pass
+ * apply = true to replace the sheets once the dry run looks right.
+ * `environment` imports into another profile's workbooks, e.g. 'test'.
+ */
+function importState(id, format = 'json', apply = false, environment = null) {
+  const profile = backupProfile(environment);
+  let data;
+  if (format === 'csv') {
+    data = {};
+    const files = DriveApp.getFolderById(id).getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      if (/\.csv$/i.test(file.getName())) data[file.getName().replace(/\.csv$/i, '')] = file.getBlob().getDataAsString();
+    }
+  } else {
+    data = DriveApp.getFileById(id).getBlob().getDataAsString();
+  }
+
+  const result = Environment.run(profile, () =>
+    Wavebucks.importLedger(data, { format, apply, extraTables: backupExtraTables() }));
+  Logger.log(`Environment: ${profile.label}`);
+  Object.keys(result.tables).forEach(name => {
+    const t = result.tables[name];
+    Logger.log(`${name}: ${t.current} → ${t.incoming} rows; added ${backupKeys(t.added)}; ` +
+      `removed ${backupKeys(t.removed)}; changed ${backupKeys(t.changed)}`);
+  });
+  result.errors.forEach(error => Logger.log(`❌ ${error}`));
+  Logger.log(result.dryRun ? '🔍 Dry run only – nothing was written.' : '✅ Import applied.');
+  return result;
+}
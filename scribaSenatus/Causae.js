@@ -1,7 +1,8 @@
 /**
  * Causae.js
  * Manages voting/wagering system (Causae)
- * Integrates with Wavebucks for balance management
+ * Integrates with Wavebucks for balance management.
+ * Wagers are held in the ledger system account pot:causa:<id> until resolved.
  */
 
 const Causae = (() => {
@@ -10,13 +11,25 @@ const Causae = (() => {
    * Get reference to Causae sheet
    */
   function getSheet() {
-    const ss = SpreadsheetApp.openById(CONFIG_SHEET_ID);
-    let sh = ss.getSheetByName('Causae');
-    if (!sh) {
-      sh = ss.insertSheet('Causae');
-      sh.appendRow(['ID', 'Title', 'Options', 'Creator', 'Status', 'TotalPot', 'ClosingDate', 'Votes', 'Notes']);
-    }
-    return sh;
+    return Schemas.getSheet(Schemas.CAUSAE);
+  }
+
+  /** Causa row and its index in the Causae table; throws if there is none */
+  function findCausa(table, causaId) {
+    const index = table.rows().findIndex(r => table.get(r, 'ID') === causaId);
+    if (index === -1) throw new Error(`Causa ${causaId} not found`);
+    return { index, row: table.rows()[index] };
+  }
+
+  /** Wager currency of a causa row (blank = Wavebucks) */
+  function currencyOf(table, row) {
+    return String(table.get(row, 'Currency') || '').trim().toUpperCase() || Wavebucks.DEFAULT_CURRENCY;
+  }
+
+  /** Minimum wager recorded in the notes, whatever symbol it was written with */
+  function minWagerOf(table, row) {
+    const match = String(table.get(row, 'Notes')).match(/Min wager: (?:&#x?[\da-f]+;)*\D*?(\d+(?:\.\d+)?)/i);
+    return match ? Number(match[1]) : 1;
   }
 
   /**
@@ -26,27 +39,34 @@ const Causae = (() => {
    * @param {Array<string>} options - Array of voting options
    * @param {Date} closingDate - When voting closes
    * @param {number} minWager - Minimum wager required
+   * @param {string} currency - Wager currency code (blank = Wavebucks)
    * @returns {number} Causa ID
    */
-  function createCausa(creatorEmail, title, options, closingDate, minWager = 1) {
-    const sh = getSheet();
-    const rows = sh.getDataRange().getValues();
-    const nextId = rows.length; // Header is row 1, so length = next ID
-
-    sh.appendRow([
-      nextId,
-      title,
-      JSON.stringify(options),
-      creatorEmail,
-      'OPEN',
-      0, // totalPot
-      closingDate,
-      JSON.stringify([]), // votes array
-      `Min wager: &#8361;${minWager}`
-    ]);
-
-    Logger.log(`&#9989; Causa ${nextId} created: ${title}`);
-    return nextId;
+  function createCausa(creatorEmail, title, options, closingDate, minWager = 1, currency = null) {
+    const code = Wavebucks.getCurrency(currency).code; // throws on unknown codes
+    Wavebucks.toUnits(minWager, code); // throws if finer than the currency allows
+
+    // Under the ledger lock, so two emails never get the same ID and share one pot
+    return Wavebucks.withLock(() => {
+      const table = Schemas.open(Schemas.CAUSAE);
+      const nextId = table.rows().reduce((max, r) => Math.max(max, Number(table.get(r, 'ID')) || 0), 0) + 1;
+
+      table.append({
+        ID: nextId,
+        Title: title,
+        Options: JSON.stringify(options),
+        Creator: creatorEmail,
+        Status: 'OPEN',
+        TotalPot: 0,
+        ClosingDate: closingDate,
+        Votes: JSON.stringify([]),
+        Notes: `Min wager: ${formatMoney(minWager, code)}`,
+        Currency: code
+      });
+
+      Logger.log(`&#9989; Causa ${nextId} created: ${title}`);
+      return nextId;
+    });
   }
 
   /**
@@ -55,49 +75,47 @@ const Causae = (() => {
    * @param {number} causaId - ID of causa to vote on
    * @param {number} optionIndex - Index of option being voted for
    * @param {number} wager - Amount being wagered
+   * @param {object} ledger - { source, idempotencyKey } for ledger postings (see ledgerOptions)
+   * @returns {string} Wager currency code
    */
-  function vote(voterEmail, causaId, optionIndex, wager) {
-    const sh = getSheet();
-    const rows = sh.getDataRange().getValues();
-    const rowIndex = rows.findIndex(r => r[0] === causaId);
-
-    if (rowIndex === -1) throw new Error(`Causa ${causaId} not found`);
-
-    const row = rows[rowIndex];
-    const status = String(row[4]).toUpperCase();
+  function vote(voterEmail, causaId, optionIndex, wager, ledger = {}) {
+    const table = Schemas.open(Schemas.CAUSAE);
+    const { index, row } = findCausa(table, causaId);
+    const status = String(table.get(row, 'Status')).toUpperCase();
     if (status !== 'OPEN') throw new Error(`Causa ${causaId} is ${status}`);
 
-    const options = JSON.parse(row[2]);
+    const options = JSON.parse(table.get(row, 'Options'));
     if (optionIndex < 0 || optionIndex >= options.length) {
       throw new Error(`Invalid option index. Choose 0-${options.length - 1}`);
     }
 
     // Parse closing date and check if still open
-    const closingDate = new Date(row[6]);
+    const closingDate = new Date(table.get(row, 'ClosingDate'));
     if (new Date() > closingDate) {
       throw new Error(`Causa ${causaId} has closed`);
     }
 
     // Check minimum wager from notes
-    const minWagerMatch = String(row[8]).match(/Min wager: &#8361;(\d+)/);
-    const minWager = minWagerMatch ? parseInt(minWagerMatch[1], 10) : 1;
+    const currency = currencyOf(table, row);
+    const minWager = minWagerOf(table, row);
     if (wager < minWager) {
-      throw new Error(`Minimum wager is &#8361;${minWager}`);
+      throw new Error(`Minimum wager is ${formatMoney(minWager, currency)}`);
     }
 
-    // Debit wager from voter's balance
-    Wavebucks.debit(voterEmail, wager, `Vote on Causa ${causaId}: ${row[1]}`);
+    // Move wager into the causa's pot account (checks funds under the ledger lock)
+    Wavebucks.transfer(voterEmail, Wavebucks.potAccount('causa', causaId), wager,
+      `Vote on Causa ${causaId}: ${table.get(row, 'Title')}`, { ...Wavebucks.withStep(ledger, 'wager'), currency });
 
     // Add vote to votes array
-    const votes = JSON.parse(row[7]);
+    const votes = JSON.parse(table.get(row, 'Votes') || '[]');
     votes.push({ email: voterEmail, option: optionIndex, wager: wager });
 
     // Update total pot and votes
-    const newPot = row[5] + wager;
-    sh.getRange(rowIndex + 1, 6).setValue(newPot); // Column F: TotalPot
-    sh.getRange(rowIndex + 1, 8).setValue(JSON.stringify(votes)); // Column H: Votes
+    const newPot = Wavebucks.sumAmounts([table.get(row, 'TotalPot') || 0, wager], currency);
+    table.set(index, { TotalPot: newPot, Votes: JSON.stringify(votes) });
 
-    Logger.log(`&#9989; ${voterEmail} voted on Causa ${causaId}, option ${optionIndex}, wager &#8361;${wager}`);
+    Logger.log(`&#9989; ${voterEmail} voted on Causa ${causaId}, option ${optionIndex}, wager ${formatMoney(wager, currency)}`);
+    return currency;
   }
 
   /**
@@ -105,64 +123,89 @@ const Causae = (() => {
    * @param {number} causaId - ID of causa to resolve
    * @param {number} winningOptionIndex - Index of winning option
    * @param {string} resolverEmail - Email of person resolving (must be creator)
+   * @param {object} ledger - { source, idempotencyKey } for ledger postings (see ledgerOptions)
    * @returns {object} Result summary
    */
-  function resolveCausa(causaId, winningOptionIndex, resolverEmail) {
-    const sh = getSheet();
-    const rows = sh.getDataRange().getValues();
-    const rowIndex = rows.findIndex(r => r[0] === causaId);
-
-    if (rowIndex === -1) throw new Error(`Causa ${causaId} not found`);
-
-    const row = rows[rowIndex];
-    const creator = row[3];
-    const status = String(row[4]).toUpperCase();
+  function resolveCausa(causaId, winningOptionIndex, resolverEmail, ledger = {}) {
+    const table = Schemas.open(Schemas.CAUSAE);
+    const { index, row } = findCausa(table, causaId);
+    const creator = table.get(row, 'Creator');
+    const status = String(table.get(row, 'Status')).toUpperCase();
 
     if (status !== 'OPEN') throw new Error(`Causa ${causaId} already ${status}`);
     if (creator !== resolverEmail) {
       throw new Error(`Only creator (${creator}) can resolve this causa`);
     }
 
-    const options = JSON.parse(row[2]);
+    const options = JSON.parse(table.get(row, 'Options'));
     if (winningOptionIndex < 0 || winningOptionIndex >= options.length) {
       throw new Error(`Invalid winning option. Choose 0-${options.length - 1}`);
     }
 
-    const votes = JSON.parse(row[7]);
-    const totalPot = row[5];
+    const votes = JSON.parse(table.get(row, 'Votes') || '[]');
+    const totalPot = table.get(row, 'TotalPot');
+    const currency = currencyOf(table, row);
+    const pot = Wavebucks.potAccount('causa', causaId);
 
     // Find winners (those who voted for winning option)
     const winners = votes.filter(v => v.option === winningOptionIndex);
 
     if (winners.length === 0) {
       // No winners - pot goes to creator
-      Wavebucks.credit(creator, totalPot, `Causa ${causaId} resolved - no winners`);
-      sh.getRange(rowIndex + 1, 5).setValue('RESOLVED');
-      sh.getRange(rowIndex + 1, 9).setValue(`Resolved: ${options[winningOptionIndex]}. No winners, pot to creator.`);
-
-      Logger.log(`&#127942; Causa ${causaId} resolved. No winners, &#8361;${totalPot} to creator.`);
+      if (totalPot > 0) {
+        try {
+          Wavebucks.transfer(pot, creator, totalPot, `Causa ${causaId} resolved - no winners`,
+            { ...Wavebucks.withStep(ledger, 'creator'), currency });
+        } catch (err) {
+          throw escrowShortfall(err, pot, totalPot, currency, `Causa ${causaId}'s pot`);
+        }
+      }
+      table.set(index, { Status: 'RESOLVED', Notes: `Resolved: ${options[winningOptionIndex]}. No winners, pot to creator.` });
+
+      Logger.log(`&#127942; Causa ${causaId} resolved. No winners, ${formatMoney(totalPot, currency)} to creator.`);
 
       return {
         causaId: causaId,
         winningOption: options[winningOptionIndex],
         totalPot: totalPot,
-        winnersCount: 0
+        currency: currency,
+        winnersCount: 0,
+        remainder: 0
       };
     }
 
-    // Calculate total wager by winners
-    const totalWinnerWagers = winners.reduce((sum, w) => sum + w.wager, 0);
-
-    // Distribute pot proportionally
-    winners.forEach(winner => {
-      const share = Math.floor((winner.wager / totalWinnerWagers) * totalPot);
-      Wavebucks.credit(winner.email, share, `Won Causa ${causaId}: ${row[1]}`);
-      Logger.log(`  &#127942; ${winner.email} wins &#8361;${share}`);
+    // Distribute pot in proportion to the winning wagers, all payouts as one ledger batch
+    // (one idempotency step per winning vote, so a retry pays only what is missing).
+    // Shares are rounded down to the currency's smallest unit.
+    const { shares, remainder } = Wavebucks.splitAmount(totalPot, winners.map(w => w.wager), currency);
+    const payouts = [];
+    winners.forEach((winner, i) => {
+      const share = shares[i];
+      if (share > 0) {
+        payouts.push({ from: pot, to: winner.email, amount: share, currency, notes: `Won Causa ${causaId}: ${table.get(row, 'Title')}`,
+                       ...Wavebucks.withStep(ledger, `payout:${i}`) });
+      }
+      Logger.log(`  &#127942; ${winner.email} wins ${formatMoney(share, currency)}`);
     });
 
+    // Rounding remainder goes to the creator so the pot ends empty
+    if (remainder > 0) {
+      payouts.push({ from: pot, to: creator, amount: remainder, currency, notes: `Causa ${causaId} rounding remainder`,
+                     ...Wavebucks.withStep(ledger, 'remainder') });
+    }
+
+    try {
+      if (payouts.length > 0) Wavebucks.applyBatch(payouts);
+    } catch (err) {
+      throw escrowShortfall(err, pot, totalPot, currency, `Causa ${causaId}'s pot`);
+    }
+
     // Mark as resolved
-    sh.getRange(rowIndex + 1, 5).setValue('RESOLVED');
-    sh.getRange(rowIndex + 1, 9).setValue(`Resolved: ${options[winningOptionIndex]}. ${winners.length} winner(s).`);
+    const remainderNote = remainder > 0 ? ` Rounding remainder ${formatMoney(remainder, currency)} to creator.` : '';
+    table.set(index, {
+      Status: 'RESOLVED',
+      Notes: `Resolved: ${options[winningOptionIndex]}. ${winners.length} winner(s).${remainderNote}`
+    });
 
     Logger.log(`&#127942; Causa ${causaId} resolved. Winning option: ${options[winningOptionIndex]}`);
 
@@ -170,30 +213,65 @@ const Causae = (() => {
       causaId: causaId,
       winningOption: options[winningOptionIndex],
       totalPot: totalPot,
-      winnersCount: winners.length
+      currency: currency,
+      winnersCount: winners.length,
+      remainder: remainder
     };
   }
 
+  /**
+   * Open causae whose pot account holds less than their TotalPot, e.g.
+   * wagers taken before pots were ledger accounts (see migrateLegacyEscrows)
+   * @returns {Array<{label:string, account:string, expected:number, held:number, currency:string}>}
+   */
+  function legacyShortfalls() {
+    const table = Schemas.find(Schemas.CAUSAE);
+    if (!table) return [];
+
+    return table.rows()
+      .filter(r => String(table.get(r, 'Status')).toUpperCase() === 'OPEN')
+      .map(r => {
+        const currency = currencyOf(table, r);
+        const account = Wavebucks.potAccount('causa', table.get(r, 'ID'));
+        return { label: `Causa ${table.get(r, 'ID')}`, account, expected: Number(table.get(r, 'TotalPot')) || 0,
+                 held: Wavebucks.getBalance(account, currency), currency };
+      })
+      .filter(s => s.held < s.expected);
+  }
+
+  /**
+   * Open causae as plain data, e.g. for the web API
+   * @returns {Array<object>} { id, title, options, creator, pot, currency, closingDate, votes }
+   */
+  function listOpen() {
+    const table = Schemas.find(Schemas.CAUSAE);
+    if (!table) return [];
+
+    return table.rows()
+      .filter(r => String(table.get(r, 'Status')).toUpperCase() === 'OPEN')
+      .map(r => ({
+        id: table.get(r, 'ID'),
+        title: table.get(r, 'Title'),
+        options: JSON.parse(table.get(r, 'Options') || '[]'),
+        creator: table.get(r, 'Creator'),
+        pot: Number(table.get(r, 'TotalPot')) || 0,
+        currency: currencyOf(table, r),
+        closingDate: table.get(r, 'ClosingDate') ? new Date(table.get(r, 'ClosingDate')) : null,
+        votes: JSON.parse(table.get(r, 'Votes') || '[]').length
+      }));
+  }
+
   /**
    * Get list of active (OPEN) causae for display
    * @returns {Array<string>} HTML-formatted list items
    */
   function getActiveList() {
-    const ss = SpreadsheetApp.openById(CONFIG_SHEET_ID);
-    const sh = ss.getSheetByName('Causae');
-    if (!sh) return ['<i>(no active Causae)</i>'];
-
-    const rows = sh.getDataRange().getValues().slice(1); // Skip header
-    const active = rows.filter(r => String(r[4]).toUpperCase() === 'OPEN');
-
+    const active = listOpen();
     if (active.length === 0) return ['<i>(no active Causae)</i>'];
 
-    return active.map(r => {
-      const id = r[0];
-      const title = r[1];
-      const closingDate = r[6] ? new Date(r[6]).toDateString() : 'N/A';
-      const totalPot = r[5] || 0;
-      return `<b>Causa ${id}:</b> ${title} — Pot: &#8361;${totalPot} — Closes: ${closingDate}`;
+    return active.map(c => {
+      const closingDate = c.closingDate ? c.closingDate.toDateString() : 'N/A';
+      return `<b>Causa ${c.id}:</b> ${c.title} — Pot: ${formatMoney(c.pot, c.currency)} — Closes: ${closingDate}`;
     });
   }
 
@@ -201,7 +279,10 @@ const Causae = (() => {
     createCausa,
     vote,
     resolveCausa,
-    getActiveList
+    getActiveList,
+    listOpen,
+    legacyShortfalls,
+    getSheet
   };
 
 })();
@@ -2,18 +2,20 @@
  * CommandParsers.js
  * Parses email body text into structured command objects.
  * Each parser extracts parameters for specific command types.
+ * Amounts may be decimal (e.g. 2.5); the ledger refuses ones finer than
+ * the currency's precision.
  */
 
 const CommandParsers = (() => {
 
   /**
    * Parse CAUSA CREATE command
-   * Format: CAUSA <title> | <option1> | <option2> | ... | CLOSE <date> | MIN <wager>
+   * Format: CAUSA <title> | <option1> | <option2> | ... | CLOSE <date> | MIN <wager> | CURRENCY <code>
    * Example: CAUSA Best pizza topping | Pepperoni | Mushrooms | Pineapple | CLOSE 2025-12-15 | MIN 5
    */
   function parseCausa(body) {
-    const match = body.match(/CAUSA\s+(.+?)(?:\s*\|\s*CLOSE\s+([^\|]+))?(?:\s*\|\s*MIN\s+(\d+))?$/i);
-    if (!match) throw new Error("Invalid CAUSA format. Use: CAUSA <title> | <option1> | <option2> | ... | CLOSE <date> | MIN <wager>");
+    const match = body.match(/CAUSA\s+(.+?)(?:\s*\|\s*CLOSE\s+([^\|]+))?(?:\s*\|\s*MIN\s+(\d+(?:\.\d+)?))?(?:\s*\|\s*CURRENCY\s+([A-Za-z]{2,5}))?$/i);
+    if (!match) throw new Error("Invalid CAUSA format. Use: CAUSA <title> | <option1> | <option2> | ... | CLOSE <date> | MIN <wager> | CURRENCY <code>");
 
     const parts = match[1].split('|').map(s => s.trim());
     if (parts.length < 2) throw new Error("CAUSA requires at least a title and one option.");
@@ -21,7 +23,7 @@ const CommandParsers = (() => {
     const title = parts[0];
     const options = parts.slice(1);
     const closeDateStr = match[2] || null;
-    const minWager = match[3] ? parseInt(match[3], 10) : 1;
+    const minWager = match[3] ? parseAmount(match[3]) : 1;
 
     let closingDate = null;
     if (closeDateStr) {
@@ -33,22 +35,24 @@ const CommandParsers = (() => {
       closingDate.setDate(closingDate.getDate() + 7);
     }
 
-    return { title, options, closingDate, minWager };
+    const currency = match[4] ? match[4].toUpperCase() : null;
+
+    return { title, options, closingDate, minWager, currency };
   }
 
   /**
    * Parse VOTE command
    * Format: VOTE <causaId> <optionIndex> <wager>
-   * Example: VOTE 1 2 10
+   * Example: VOTE 1 2 10.50
    */
   function parseVote(body) {
-    const match = body.match(/VOTE\s+(\d+)\s+(\d+)\s+(\d+)/i);
+    const match = body.match(/VOTE\s+(\d+)\s+(\d+)\s+(\d+(?:\.\d+)?)/i);
     if (!match) throw new Error("Invalid VOTE format. Use: VOTE <causaId> <optionIndex> <wager>");
 
     return {
       causaId: parseInt(match[1], 10),
       option: parseInt(match[2], 10),
-      wager: parseInt(match[3], 10)
+      wager: parseAmount(match[3])
     };
   }
 
@@ -69,15 +73,15 @@ const CommandParsers = (() => {
 
   /**
    * Parse COMMISSIO CREATE command
-   * Format: COMMISSIO <title> | REWARD <amount> | EXPIRES <date>
+   * Format: COMMISSIO <title> | REWARD <amount> | EXPIRES <date> | CURRENCY <code>
    * Example: COMMISSIO Fix the login bug | REWARD 50 | EXPIRES 2025-12-20
    */
   function parseCommissio(body) {
-    const match = body.match(/COMMISSIO\s+(.+?)(?:\s*\|\s*REWARD\s+(\d+))?(?:\s*\|\s*EXPIRES\s+([^\|]+))?$/i);
-    if (!match) throw new Error("Invalid COMMISSIO format. Use: COMMISSIO <title> | REWARD <amount> | EXPIRES <date>");
+    const match = body.match(/COMMISSIO\s+(.+?)(?:\s*\|\s*REWARD\s+(\d+(?:\.\d+)?))?(?:\s*\|\s*EXPIRES\s+([^\|]+))?(?:\s*\|\s*CURRENCY\s+([A-Za-z]{2,5}))?$/i);
+    if (!match) throw new Error("Invalid COMMISSIO format. Use: COMMISSIO <title> | REWARD <amount> | EXPIRES <date> | CURRENCY <code>");
 
     const title = match[1].trim();
-    const reward = match[2] ? parseInt(match[2], 10) : 10; // Default reward
+    const reward = match[2] ? parseAmount(match[2]) : 10; // Default reward
     const expiryStr = match[3] || null;
 
     let expiry = null;
@@ -90,7 +94,9 @@ const CommandParsers = (() => {
       expiry.setDate(expiry.getDate() + 30);
     }
 
-    return { title, reward, expiry };
+    const currency = match[4] ? match[4].toUpperCase() : null;
+
+    return { title, reward, expiry, currency };
   }
 
   /**
@@ -119,19 +125,162 @@ const CommandParsers = (() => {
 
   /**
    * Parse TRANSFER command
-   * Format: TRANSFER <recipientEmail> <amount>
-   * Example: TRANSFER user@example.com 25
+   * Format: TRANSFER <recipientEmail> <amount> [CODE]
+   * Example: TRANSFER user@example.com 2.5 ART
    */
   function parseTransfer(body) {
-    const match = body.match(/TRANSFER\s+([^\s]+)\s+(\d+)/i);
-    if (!match) throw new Error("Invalid TRANSFER format. Use: TRANSFER <email> <amount>");
+    const match = body.match(/TRANSFER\s+([^\s]+)\s+(\d+(?:\.\d+)?)(?:[ \t]+(\S+))?/i);
+    if (!match) throw new Error("Invalid TRANSFER format. Use: TRANSFER <email> <amount> [currency]");
 
     return {
       to: match[1].toLowerCase().trim(),
-      amount: parseInt(match[2], 10)
+      amount: parseAmount(match[2]),
+      currency: currencyCode(match[3])
+    };
+  }
+
+  /**
+   * Parse HISTORY command
+   * Format: HISTORY [PAGE <n>] [FROM <date>] [TO <date>]
+   * Example: HISTORY PAGE 2 FROM 2025-11-01 TO 2025-11-30
+   */
+  function parseHistory(body) {
+    if (!/^\s*HISTORY\b/i.test(body)) throw new Error("Invalid HISTORY format. Use: HISTORY [PAGE <n>] [FROM <date>] [TO <date>]");
+
+    const pageMatch = body.match(/PAGE\s+(\d+)/i);
+    const fromMatch = body.match(/FROM\s+(\d{4}-\d{2}-\d{2})/i);
+    const toMatch = body.match(/\bTO\s+(\d{4}-\d{2}-\d{2})/i);
+
+    const page = pageMatch ? parseInt(pageMatch[1], 10) : 1;
+    if (page < 1) throw new Error("PAGE must be 1 or more");
+
+    // Whole days in script time: FROM at midnight, TO through end of day
+    const from = fromMatch ? new Date(`${fromMatch[1]}T00:00:00`) : null;
+    const to = toMatch ? new Date(`${toMatch[1]}T23:59:59.999`) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      throw new Error("Invalid date format. Use: YYYY-MM-DD");
+    }
+    if (from && to && from > to) throw new Error("FROM date must be before TO date");
+
+    return { page, from, to };
+  }
+
+  /**
+   * Parse MINT command
+   * Format: MINT <email> <amount> [CODE] <reason>
+   * Example: MINT user@example.com 100 Festival volunteer stipend
+   */
+  function parseMint(body) {
+    return parseTreasury('MINT', body);
+  }
+
+  /**
+   * Parse BURN command
+   * Format: BURN <email> <amount> [CODE] <reason>
+   * Example: BURN user@example.com 40 ART Duplicate grant from November
+   */
+  function parseBurn(body) {
+    return parseTreasury('BURN', body);
+  }
+
+  /** Shared by MINT and BURN: the reason is mandatory, the currency code optional */
+  function parseTreasury(type, body) {
+    const match = body.match(new RegExp(`${type}\\s+([^\\s]+)\\s+(\\d+(?:\\.\\d+)?)(?:[ \\t]+(.+))?`, 'i'));
+    if (!match) throw new Error(`Invalid ${type} format. Use: ${type} <email> <amount> [currency] <reason>`);
+
+    let rest = (match[3] || '').trim();
+    const currency = leadingCurrencyCode(rest.split(/\s+/)[0]);
+    if (currency) rest = rest.slice(currency.length).trim();
+    if (!rest) throw new Error(`${type} requires a reason. Use: ${type} <email> <amount> [currency] <reason>`);
+
+    return {
+      email: match[1].toLowerCase().trim(),
+      amount: parseAmount(match[2]),
+      currency,
+      reason: rest
     };
   }
 
+  /**
+   * An amount matched as digits with an optional decimal part, e.g. '2.5' → 2.5.
+   * Always a point: '2,5' is not an amount.
+   */
+  function parseAmount(text) {
+    return Number(text);
+  }
+
+  /**
+   * A currency code written on its own after an amount, in any case: 'art' → 'ART'.
+   * Null when there is none; any other word throws, so a mistyped code never
+   * falls back to the default currency. Whether the code exists is checked
+   * when it is used (Wavebucks.getCurrency).
+   */
+  function currencyCode(word) {
+    if (!word) return null;
+    if (!/^[A-Za-z]{2,5}$/.test(word)) throw new Error(`Unknown currency: ${word}`);
+    return word.toUpperCase();
+  }
+
+  /**
+   * A currency code opening a MINT/BURN reason: 2–5 capital letters, e.g. WB or ART.
+   * Returns null for anything else, so the first word of a reason is not mistaken for one.
+   */
+  function leadingCurrencyCode(word) {
+    return word && /^[A-Z]{2,5}$/.test(word) ? word : null;
+  }
+
+  /**
+   * Parse SUPPLY command
+   * Format: SUPPLY [CODE]
+   * Example: SUPPLY ART
+   */
+  function parseSupply(body) {
+    const match = body.match(/SUPPLY(?:[ \t]+(\S+))?/i);
+    if (!match) throw new Error("Invalid SUPPLY format. Use: SUPPLY [currency]");
+
+    return { currency: currencyCode(match[1]) };
+  }
+
+  /**
+   * Parse REVERSE command
+   * Format: REVERSE <txId> [DEBT] [reason]
+   * Example: REVERSE TX-42 DEBT Typo in recipient address
+   */
+  function parseReverse(body) {
+    const match = body.match(/REVERSE\s+(TX-\d+)(?:[ \t]+(DEBT)\b)?(?:[ \t]+(.+))?/i);
+    if (!match) throw new Error("Invalid REVERSE format. Use: REVERSE <txId> [DEBT] [reason]");
+
+    return {
+      txId: match[1].toUpperCase(),
+      allowDebt: !!match[2],
+      reason: (match[3] || '').trim()
+    };
+  }
+
+  /**
+   * Parse TOKEN command
+   * Format: TOKEN [REVOKE]
+   * Example: TOKEN REVOKE
+   */
+  function parseToken(body) {
+    const match = body.match(/TOKEN(?:[ \t]+(REVOKE)\b)?/i);
+    if (!match) throw new Error("Invalid TOKEN format. Use: TOKEN [REVOKE]");
+
+    return { revoke: !!match[1] };
+  }
+
+  /**
+   * Parse APPROVE command
+   * Format: APPROVE <email>
+   * Example: APPROVE newcomer@example.com
+   */
+  function parseApprove(body) {
+    const match = body.match(/APPROVE\s+([^\s@]+@[^\s@]+\.[^\s@]+)/i);
+    if (!match) throw new Error("Invalid APPROVE format. Use: APPROVE <email>");
+
+    return { email: match[1].toLowerCase().trim() };
+  }
+
   return {
     parseCausa,
     parseVote,
@@ -139,7 +288,14 @@ const CommandParsers = (() => {
     parseCommissio,
     parseAccept,
     parseComplete,
-    parseTransfer
+    parseTransfer,
+    parseHistory,
+    parseMint,
+    parseBurn,
+    parseSupply,
+    parseReverse,
+    parseToken,
+    parseApprove
   };
 
 })();
@@ -1,7 +1,8 @@
 /**
  * Commissiones.js
  * Manages bounty task system (Commissiones)
- * Integrates with Wavebucks for escrow and reward distribution
+ * Integrates with Wavebucks for escrow and reward distribution.
+ * Rewards are held in the ledger system account escrow:commissio:<id>.
  */
 
 const Commissio = (() => {
@@ -10,52 +11,66 @@ const Commissio = (() => {
    * Get reference to Commissiones sheet
    */
   function getSheet() {
-    const ss = SpreadsheetApp.openById(CONFIG_SHEET_ID);
-    let sh = ss.getSheetByName('Commissiones');
-    if (!sh) {
-      sh = ss.insertSheet('Commissiones');
-      sh.appendRow(['ID', 'Title', 'Creator', 'Reward', 'Expiry', 'Status', 'Assignee', 'Created', 'Completed', 'Notes']);
-    }
-    return sh;
+    return Schemas.getSheet(Schemas.COMMISSIONES);
+  }
+
+  /** Commissio row and its index in the Commissiones table; throws if there is none */
+  function findCommissio(table, commissionId) {
+    const index = table.rows().findIndex(r => table.get(r, 'ID') === commissionId);
+    if (index === -1) throw new Error(`Commissio ${commissionId} not found`);
+    return { index, row: table.rows()[index] };
+  }
+
+  /** One more than the highest ID in the table, so deleted rows never free an ID */
+  function nextIdOf(table) {
+    return table.rows().reduce((max, r) => Math.max(max, Number(table.get(r, 'ID')) || 0), 0) + 1;
+  }
+
+  /** Reward currency of a commissio row (blank = Wavebucks) */
+  function currencyOf(table, row) {
+    return String(table.get(row, 'Currency') || '').trim().toUpperCase() || Wavebucks.DEFAULT_CURRENCY;
   }
 
   /**
    * Create a new commissio (bounty task)
    * @param {string} creatorEmail - Email of creator
    * @param {string} title - Description of task
-   * @param {number} reward - Reward amount in Wavebucks
+   * @param {number} reward - Reward amount
    * @param {Date} expiry - When task expires
+   * @param {object} ledger - { source, idempotencyKey } for ledger postings (see ledgerOptions)
+   * @param {string} currency - Reward currency code (blank = Wavebucks)
    * @returns {number} Commissio ID
    */
-  function createCommissio(creatorEmail, title, reward, expiry) {
-    // Check creator has sufficient balance
-    const balance = Wavebucks.getBalance(creatorEmail);
-    if (balance < reward) {
-      throw new Error(`Insufficient funds. Your balance: &#8361;${balance}, Required: &#8361;${reward}`);
-    }
-
-    // Escrow the reward immediately
-    Wavebucks.debit(creatorEmail, reward, `Created Commissio: ${title}`);
-
-    const sh = getSheet();
-    const rows = sh.getDataRange().getValues();
-    const nextId = rows.length; // Header is row 1, so length = next ID
-
-    sh.appendRow([
-      nextId,
-      title,
-      creatorEmail,
-      reward,
-      expiry,
-      'OPEN',
-      '', // assignee (empty until accepted)
-      new Date(), // created
-      '', // completed (empty until done)
-      'Reward held in escrow'
-    ]);
-
-    Logger.log(`&#9989; Commissio ${nextId} created: ${title}, reward &#8361;${reward}`);
-    return nextId;
+  function createCommissio(creatorEmail, title, reward, expiry, ledger = {}, currency = null) {
+    const code = Wavebucks.getCurrency(currency).code; // throws on unknown codes
+
+    // Under the ledger lock from reading the IDs to appending the row, so two
+    // emails never get the same ID and share one escrow account
+    return Wavebucks.withLock(() => {
+      const table = Schemas.open(Schemas.COMMISSIONES);
+      const nextId = nextIdOf(table);
+
+      // Escrow the reward immediately (transfer checks funds)
+      Wavebucks.transfer(creatorEmail, Wavebucks.escrowAccount('commissio', nextId), reward,
+        `Created Commissio ${nextId}: ${title}`, { ...Wavebucks.withStep(ledger, 'escrow'), currency: code });
+
+      table.append({
+        ID: nextId,
+        Title: title,
+        Creator: creatorEmail,
+        Reward: reward,
+        Expiry: expiry,
+        Status: 'OPEN',
+        Assignee: '', // empty until accepted
+        Created: new Date(),
+        Completed: '', // empty until done
+        Notes: 'Reward held in escrow',
+        Currency: code
+      });
+
+      Logger.log(`&#9989; Commissio ${nextId} created: ${title}, reward ${formatMoney(reward, code)}`);
+      return nextId;
+    });
   }
 
   /**
@@ -64,26 +79,19 @@ const Commissio = (() => {
    * @param {number} commissionId - ID of commissio to accept
    */
   function acceptCommissio(acceptorEmail, commissionId) {
-    const sh = getSheet();
-    const rows = sh.getDataRange().getValues();
-    const rowIndex = rows.findIndex(r => r[0] === commissionId);
-
-    if (rowIndex === -1) throw new Error(`Commissio ${commissionId} not found`);
-
-    const row = rows[rowIndex];
-    const status = String(row[5]).toUpperCase();
+    const table = Schemas.open(Schemas.COMMISSIONES);
+    const { index, row } = findCommissio(table, commissionId);
+    const status = String(table.get(row, 'Status')).toUpperCase();
 
     if (status !== 'OPEN') throw new Error(`Commissio ${commissionId} is ${status}`);
 
-    const expiry = new Date(row[4]);
+    const expiry = new Date(table.get(row, 'Expiry'));
     if (new Date() > expiry) {
       throw new Error(`Commissio ${commissionId} has expired`);
     }
 
     // Assign to acceptor
-    sh.getRange(rowIndex + 1, 5).setValue('ASSIGNED');
-    sh.getRange(rowIndex + 1, 7).setValue(acceptorEmail); // Column G: Assignee
-    sh.getRange(rowIndex + 1, 10).setValue(`Accepted by ${acceptorEmail}`);
+    table.set(index, { Status: 'ASSIGNED', Assignee: acceptorEmail, Notes: `Accepted by ${acceptorEmail}` });
 
     Logger.log(`&#9989; ${acceptorEmail} accepted Commissio ${commissionId}`);
   }
@@ -92,18 +100,14 @@ const Commissio = (() => {
    * Complete a commissio and claim reward
    * @param {string} completerEmail - Email of person completing (must be assignee)
    * @param {number} commissionId - ID of commissio to complete
-   * @returns {number} Reward amount
+   * @param {object} ledger - { source, idempotencyKey } for ledger postings (see ledgerOptions)
+   * @returns {{reward:number, currency:string}} Reward paid
    */
-  function completeCommissio(completerEmail, commissionId) {
-    const sh = getSheet();
-    const rows = sh.getDataRange().getValues();
-    const rowIndex = rows.findIndex(r => r[0] === commissionId);
-
-    if (rowIndex === -1) throw new Error(`Commissio ${commissionId} not found`);
-
-    const row = rows[rowIndex];
-    const status = String(row[5]).toUpperCase();
-    const assignee = row[6];
+  function completeCommissio(completerEmail, commissionId, ledger = {}) {
+    const table = Schemas.open(Schemas.COMMISSIONES);
+    const { index, row } = findCommissio(table, commissionId);
+    const status = String(table.get(row, 'Status')).toUpperCase();
+    const assignee = table.get(row, 'Assignee');
 
     if (status !== 'ASSIGNED') {
       throw new Error(`Commissio ${commissionId} is ${status}. Must be ASSIGNED to complete.`);
@@ -113,19 +117,68 @@ const Commissio = (() => {
       throw new Error(`Only assignee (${assignee}) can complete this commissio`);
     }
 
-    const reward = row[3];
-    const title = row[1];
-
-    // Credit reward to completer
-    Wavebucks.credit(completerEmail, reward, `Completed Commissio ${commissionId}: ${title}`);
+    const reward = table.get(row, 'Reward');
+    const title = table.get(row, 'Title');
+    const currency = currencyOf(table, row);
+
+    // Release escrowed reward to completer
+    const escrow = Wavebucks.escrowAccount('commissio', commissionId);
+    try {
+      Wavebucks.transfer(escrow, completerEmail, reward, `Completed Commissio ${commissionId}: ${title}`,
+        { ...Wavebucks.withStep(ledger, 'reward'), currency });
+    } catch (err) {
+      throw escrowShortfall(err, escrow, reward, currency, `Commissio ${commissionId}'s escrow`);
+    }
 
     // Mark as completed
-    sh.getRange(rowIndex + 1, 6).setValue('COMPLETED');
-    sh.getRange(rowIndex + 1, 9).setValue(new Date()); // Column I: Completed
-    sh.getRange(rowIndex + 1, 10).setValue(`Completed by ${completerEmail}, reward &#8361;${reward} paid`);
+    table.set(index, {
+      Status: 'COMPLETED',
+      Completed: new Date(),
+      Notes: `Completed by ${completerEmail}, reward ${formatMoney(reward, currency)} paid`
+    });
+
+    Logger.log(`&#127942; ${completerEmail} completed Commissio ${commissionId}, earned ${formatMoney(reward, currency)}`);
+    return { reward, currency };
+  }
+
+  /**
+   * Active commissiones whose escrow account holds less than their Reward,
+   * e.g. rewards taken before escrow was a ledger account (see migrateLegacyEscrows)
+   * @returns {Array<{label:string, account:string, expected:number, held:number, currency:string}>}
+   */
+  function legacyShortfalls() {
+    return listOpen()
+      .map(c => {
+        const account = Wavebucks.escrowAccount('commissio', c.id);
+        return { label: `Commissio ${c.id}`, account, expected: c.reward,
+                 held: Wavebucks.getBalance(account, c.currency), currency: c.currency };
+      })
+      .filter(s => s.held < s.expected);
+  }
 
-    Logger.log(`&#127942; ${completerEmail} completed Commissio ${commissionId}, earned &#8361;${reward}`);
-    return reward;
+  /**
+   * Active (OPEN or ASSIGNED) commissiones as plain data, e.g. for the web API
+   * @returns {Array<object>} { id, title, creator, reward, currency, expiry, status, assignee }
+   */
+  function listOpen() {
+    const table = Schemas.find(Schemas.COMMISSIONES);
+    if (!table) return [];
+
+    return table.rows()
+      .filter(r => {
+        const status = String(table.get(r, 'Status')).toUpperCase();
+        return status === 'OPEN' || status === 'ASSIGNED';
+      })
+      .map(r => ({
+        id: table.get(r, 'ID'),
+        title: table.get(r, 'Title'),
+        creator: table.get(r, 'Creator'),
+        reward: Number(table.get(r, 'Reward')) || 0,
+        currency: currencyOf(table, r),
+        expiry: table.get(r, 'Expiry') ? new Date(table.get(r, 'Expiry')) : null,
+        status: String(table.get(r, 'Status')).toUpperCase(),
+        assignee: table.get(r, 'Assignee') || null
+      }));
   }
 
   /**
@@ -133,33 +186,21 @@ const Commissio = (() => {
    * @returns {Array<string>} HTML-formatted list items
    */
   function getActiveList() {
-    const ss = SpreadsheetApp.openById(CONFIG_SHEET_ID);
-    const sh = ss.getSheetByName('Commissiones');
-    if (!sh) return ['<i>(no active Commissiones)</i>'];
-
-    const rows = sh.getDataRange().getValues().slice(1); // Skip header
-    const active = rows.filter(r => {
-      const status = String(r[5]).toUpperCase();
-      return status === 'OPEN' || status === 'ASSIGNED';
-    });
-
+    const active = listOpen();
     if (active.length === 0) return ['<i>(no active Commissiones)</i>'];
 
-    return active.map(r => {
-      const id = r[0];
-      const title = r[1];
-      const reward = r[3];
-      const status = r[5];
-      const assignee = r[6] || 'Unassigned';
-      return `<b>Commissio ${id}:</b> ${title} — Reward: &#8361;${reward} — Status: ${status} (${assignee})`;
-    });
+    return active.map(c =>
+      `<b>Commissio ${c.id}:</b> ${c.title} — Reward: ${formatMoney(c.reward, c.currency)} — Status: ${c.status} (${c.assignee || 'Unassigned'})`);
   }
 
   return {
     createCommissio,
     acceptCommissio,
     completeCommissio,
-    getActiveList
+    getActiveList,
+    listOpen,
+    legacyShortfalls,
+    getSheet
   };
 
 })();
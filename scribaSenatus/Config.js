@@ -4,12 +4,19 @@
  * from the Scriba Senatus Config spreadsheet.
  */
 
-const CONFIG_SHEET_ID = '1Po4JCz_Vhy604peHOhvVdZUBXxqS8BwlXkYiGtEfEv8'; //Config values, stored states, etc.
+// Config values, stored states, etc. of the live environment; code opens
+// Environment.configSheetId(), which other profiles may point elsewhere
+const CONFIG_SHEET_ID = '1Po4JCz_Vhy604peHOhvVdZUBXxqS8BwlXkYiGtEfEv8';
+
+// Config spreadsheet of the built-in test profile, with its own Causae,
+// Commissiones and Members tabs. Blank until one is made; the ENV_TEST Script
+// Property's configSheetId takes precedence. SANDBOX is refused without one.
+const TEST_CONFIG_SHEET_ID = '';
 
 const Config = (() => {
   /** Return all rows from the Config tab as {key:value} map */
   function getAll() {
-    const sh = SpreadsheetApp.openById(CONFIG_SHEET_ID).getSheetByName('Config');
+    const sh = SpreadsheetApp.openById(Environment.configSheetId()).getSheetByName('Config');
     const rows = sh.getDataRange().getValues().slice(1);
     const map = {};
     rows.forEach(([key, value]) => map[String(key).trim()] = value);
@@ -18,6 +25,24 @@ const Config = (() => {
 
   function get(key) { return getAll()[key]; }
 
+  /** Return a comma-separated Config value as a lowercase list */
+  function getList(key) {
+    return String(get(key) || '')
+      .split(',')
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /** True if the email is on the 'treasurers' list in the Config tab */
+  function isTreasurer(email) {
+    return getList('treasurers').includes(String(email).toLowerCase().trim());
+  }
+
+  /** True if the email is on the 'admins' list in the Config tab */
+  function isAdmin(email) {
+    return getList('admins').includes(String(email).toLowerCase().trim());
+  }
+
   /**
    * Return command lexicon (hardcoded in code for version control)
    * Each entry maps a command pattern to its handler.
@@ -46,16 +71,38 @@ const Config = (() => {
         example: 'QUOT',
         details: 'Displays your balance, all open causae with pots, and all active commissiones with rewards'
       },
+      {
+        type: 'HISTORY',
+        pattern: /^HISTORY/i,
+        service: 'DispatchTable',
+        method: 'HISTORY',
+        description: 'Get your account statement with running balance, counterparties and linked Causae/Commissiones. Optional: PAGE, FROM and TO dates. The full range is attached as CSV',
+        category: 'Balance & Information',
+        icon: '&#128176;', // 💰
+        example: 'HISTORY FROM 2025-11-01 TO 2025-11-30',
+        details: 'Format: HISTORY [PAGE &lt;n&gt;] [FROM &lt;YYYY-MM-DD&gt;] [TO &lt;YYYY-MM-DD&gt;]. Newest entries first, 20 per page'
+      },
+      {
+        type: 'TOKEN',
+        pattern: /^TOKEN/i,
+        service: 'DispatchTable',
+        method: 'TOKEN',
+        description: 'Get a personal API token for the read-only web API (balances, Causae, Commissiones, leaderboard). A new token replaces the old one; TOKEN REVOKE disables it',
+        category: 'Balance & Information',
+        icon: '&#128273;', // 🔑
+        example: 'TOKEN',
+        details: 'Format: TOKEN [REVOKE]. Keep the token private: anyone holding it can read the economy as you'
+      },
       {
         type: 'CAUSA',
         pattern: /^CAUSA/i,
         service: 'Causae',
         method: 'createCausa',
-        description: 'Create a collective vote with wagers. Use | to separate title and each voting option. Optional: CLOSE date, MIN wager (defaults: 7 days, &#8361;1)',
+        description: 'Create a collective vote with wagers. Use | to separate title and each voting option. Optional: CLOSE date, MIN wager, CURRENCY of the wagers (defaults: 7 days, &#8361;1, Wavebucks)',
         category: 'Causae (Voting & Wagering)',
         icon: '&#128179;', // 🗳️
         example: 'CAUSA Best pizza topping | Pepperoni | Mushrooms | CLOSE 2025-12-31 | MIN 5',
-        details: 'Format: CAUSA &lt;title&gt; | &lt;option1&gt; | &lt;option2&gt; | ... | CLOSE &lt;YYYY-MM-DD&gt; | MIN &lt;wager&gt;'
+        details: 'Format: CAUSA &lt;title&gt; | &lt;option1&gt; | &lt;option2&gt; | ... | CLOSE &lt;YYYY-MM-DD&gt; | MIN &lt;wager&gt; | CURRENCY &lt;code&gt;'
       },
       {
         type: 'VOTE',
@@ -66,7 +113,7 @@ const Config = (() => {
         category: 'Causae (Voting & Wagering)',
         icon: '&#128179;', // 🗳️
         example: 'VOTE 1 0 10',
-        details: 'Example: VOTE 1 0 10 means vote on causa #1, choose option 0 (first option), wager &#8361;10. Wager deducted immediately'
+        details: 'Example: VOTE 1 0 10 means vote on causa #1, choose option 0 (first option), wager 10 in the causa currency. Wager deducted immediately'
       },
       {
         type: 'RESOLVE',
@@ -84,11 +131,11 @@ const Config = (() => {
         pattern: /^COMMISSIO/i,
         service: 'Commissio',
         method: 'createCommissio',
-        description: 'Create a bounty task with escrowed reward. Optional: REWARD amount, EXPIRES date (defaults: &#8361;10, 30 days)',
+        description: 'Create a bounty task with escrowed reward. Optional: REWARD amount, EXPIRES date, CURRENCY of the reward (defaults: &#8361;10, 30 days, Wavebucks)',
         category: 'Commissiones (Bounty Tasks)',
         icon: '&#128203;', // 📋
         example: 'COMMISSIO Fix login bug | REWARD 50 | EXPIRES 2025-12-20',
-        details: 'Format: COMMISSIO &lt;title&gt; | REWARD &lt;amount&gt; | EXPIRES &lt;YYYY-MM-DD&gt;. Reward is held in escrow until completed'
+        details: 'Format: COMMISSIO &lt;title&gt; | REWARD &lt;amount&gt; | EXPIRES &lt;YYYY-MM-DD&gt; | CURRENCY &lt;code&gt;. Reward is held in escrow until completed'
       },
       {
         type: 'ACCEPT',
@@ -117,18 +164,73 @@ const Config = (() => {
         pattern: /^TRANSFER/i,
         service: 'DispatchTable',
         method: 'TRANSFER',
-        description: 'Send Wavebucks to another user. Requires sufficient balance',
+        description: 'Send Wavebucks, or another currency by its code, to another user. Requires sufficient balance',
         category: 'Transfers',
         icon: '&#128184;', // 💸
         example: 'TRANSFER friend@example.com 25',
-        details: 'Format: TRANSFER &lt;email&gt; &lt;amount&gt;. Direct peer-to-peer transaction'
+        details: 'Format: TRANSFER &lt;email&gt; &lt;amount&gt; [CODE]. Direct peer-to-peer transaction; CODE is a currency such as ART (default WB)'
+      },
+      {
+        type: 'SUPPLY',
+        pattern: /^SUPPLY/i,
+        service: 'DispatchTable',
+        method: 'SUPPLY',
+        description: 'Report the total supply of Wavebucks or another currency: circulating, locked in escrow and pots, the supply cap and recent mints',
+        category: 'Treasury',
+        icon: '&#127974;', // 🏦
+        example: 'SUPPLY',
+        details: 'Format: SUPPLY [CODE]. Shows the 10 most recent mints with their reasons'
+      },
+      {
+        type: 'MINT',
+        pattern: /^MINT/i,
+        service: 'DispatchTable',
+        method: 'MINT',
+        description: 'Create new Wavebucks, or another currency by its code, in a member account. Treasurers of that currency only; a reason is required and the supply cap applies',
+        category: 'Treasury',
+        icon: '&#127974;', // 🏦
+        example: 'MINT friend@example.com 100 Festival volunteer stipend',
+        details: 'Format: MINT &lt;email&gt; &lt;amount&gt; [CODE] &lt;reason&gt;. Recorded in the journal as Mint: &lt;reason&gt;'
+      },
+      {
+        type: 'BURN',
+        pattern: /^BURN/i,
+        service: 'DispatchTable',
+        method: 'BURN',
+        description: 'Remove Wavebucks, or another currency by its code, from a member account and from circulation. Treasurers of that currency only; a reason is required',
+        category: 'Treasury',
+        icon: '&#127974;', // 🏦
+        example: 'BURN friend@example.com 40 Duplicate grant',
+        details: 'Format: BURN &lt;email&gt; &lt;amount&gt; [CODE] &lt;reason&gt;. The account may not go below its floor'
+      },
+      {
+        type: 'REVERSE',
+        pattern: /^REVERSE/i,
+        service: 'DispatchTable',
+        method: 'REVERSE',
+        description: 'Reverse a mistaken transaction by posting the offsetting entry. Admins only; both parties are emailed. Add DEBT to reverse even if the recipient has spent the funds',
+        category: 'Administration',
+        icon: '&#9878;', // ⚖️
+        example: 'REVERSE TX-42 Typo in recipient address',
+        details: 'Format: REVERSE &lt;txId&gt; [DEBT] [reason]. Each transaction can be reversed once; DEBT lets the recipient balance go negative'
+      },
+      {
+        type: 'APPROVE',
+        pattern: /^APPROVE/i,
+        service: 'DispatchTable',
+        method: 'APPROVE',
+        description: 'Let a new sender use Scriba. Admins only; emails they sent while waiting are run on the next inbox check',
+        category: 'Administration',
+        icon: '&#9989;', // ✅
+        example: 'APPROVE newcomer@example.com',
+        details: 'Format: APPROVE &lt;email&gt;. Adds the sender to the Members tab as approved; set Status to blocked there to shut someone out'
       }
     ];
   }
 
   /** Return HTML string from Personality tab for a given key */
   function getPersonality(key) {
-    const sh = SpreadsheetApp.openById(CONFIG_SHEET_ID).getSheetByName('Personality');
+    const sh = SpreadsheetApp.openById(Environment.configSheetId()).getSheetByName('Personality');
     const rows = sh.getDataRange().getValues().slice(1);
     const row = rows.find(r => String(r[0]).toUpperCase() === key.toUpperCase());
     return row ? row[2] : `<p>[Missing personality text for ${key}]</p>`;
@@ -136,19 +238,18 @@ const Config = (() => {
 
   /** Append to Log tab */
   function logEvent(from, subject, command, handler, status, notes, messageId = '') {
-    const sh = SpreadsheetApp.openById(CONFIG_SHEET_ID).getSheetByName('Log');
-    sh.appendRow([new Date(), from, subject, command, handler, status, notes, messageId]);
+    Schemas.open(Schemas.CONFIG_LOG).append({
+      Timestamp: new Date(), From: from, Subject: subject, Command: command, Handler: handler,
+      Status: status, Notes: notes, 'Message ID': messageId
+    });
   }
 
   /** Check if a message has already been processed */
   function isMessageProcessed(messageId) {
-    const sh = SpreadsheetApp.openById(CONFIG_SHEET_ID).getSheetByName('Log');
-    if (!sh) return false;
-
-    const data = sh.getDataRange().getValues();
-    // Check column H (index 7) for messageId
-    return data.some(row => row[7] === messageId);
+    const table = Schemas.find(Schemas.CONFIG_LOG);
+    if (!table) return false;
+    return table.rows().some(row => table.get(row, 'Message ID') === messageId);
   }
 
-  return { get, getAll, getLexicon, getPersonality, logEvent, isMessageProcessed };
+  return { get, getAll, getList, isTreasurer, isAdmin, getLexicon, getPersonality, logEvent, isMessageProcessed };
 })();
@@ -2,74 +2,225 @@
  * DispatchService.js
  * Defines routing between detected command types and services.
  * Maps commands from the Lexicon to their respective handlers.
+ *
+ * Handlers are called as handler(email, body, subject, command, messageId)
+ * and return an HTML string, or { htmlBody, attachments, data, error }:
+ * attachments are sent with email replies, data (the result) and error
+ * (why it failed) are returned by the JSON API instead of the HTML.
  */
 
+/** A handler reply with its result as data, for the JSON API */
+function handlerReply(htmlBody, data, extra = {}) {
+  return { htmlBody, data, ...extra };
+}
+
+/**
+ * A failed handler's reply: the rendered error, plus { name, message } and
+ * the error's own fields (e.g. balance and required of InsufficientFunds).
+ */
+function handlerError(action, err) {
+  return {
+    htmlBody: MessageBuilder.buildHandlerError(action, err),
+    error: { ...err, name: err.name || 'Error', message: err.message }
+  };
+}
+
+/** The HTML of any handler reply */
+function replyHtml(reply) {
+  return typeof reply === 'string' ? reply : reply.htmlBody;
+}
+
+/** Ledger journal source for a command, e.g. "VOTE:18c2f..." */
+function ledgerSource(type, messageId) {
+  return messageId ? `${type}:${messageId}` : type;
+}
+
+/**
+ * Options for ledger postings made on behalf of a message.
+ * The idempotency key is tied to the Gmail message ID, so reprocessing the
+ * same message after a timeout never moves money twice. Without a message ID
+ * there is nothing stable to key on, so no key is set.
+ */
+function ledgerOptions(type, messageId) {
+  return {
+    source: ledgerSource(type, messageId),
+    idempotencyKey: messageId ? ledgerSource(type, messageId) : ''
+  };
+}
+
+/**
+ * Throws unless the sender may mint or burn the currency: the Treasurers
+ * column of its Currencies row when filled in, else the Config tab's list.
+ */
+function requireTreasurer(email, currency) {
+  const definition = Wavebucks.getCurrency(currency);
+  const allowed = definition.treasurers.length > 0
+    ? definition.treasurers.includes(String(email).toLowerCase().trim())
+    : Config.isTreasurer(email);
+  if (!allowed) throw new Error(`Only treasurers can mint or burn ${definition.name}`);
+}
+
+/**
+ * Supply cap of a currency: for Wavebucks the Config tab's supplyCap when set,
+ * otherwise the Supply Cap column of the Currencies sheet (0 = no cap).
+ */
+function supplyCapFor(currency) {
+  const definition = Wavebucks.getCurrency(currency);
+  const configured = definition.code === Wavebucks.DEFAULT_CURRENCY ? Config.get('supplyCap') : '';
+  if (configured === '' || configured === null || configured === undefined) return definition.supplyCap;
+  return Number(configured) || 0;
+}
+
+/**
+ * A payout's InsufficientFunds from a pot or escrow account, as a shortfall
+ * error: the sheet promises more than the ledger holds, which an admin has
+ * to look into (see migrateLegacyEscrows). Nothing is created to cover it.
+ * Other errors are returned unchanged, for rethrowing.
+ */
+function escrowShortfall(err, account, expected, currency, label) {
+  if (err.name !== 'InsufficientFunds' || err.account !== account) return err;
+  const held = Wavebucks.getBalance(account, currency);
+  return new Error(`${label} holds ${formatMoney(held, currency)} but owes ${formatMoney(expected, currency)}; ` +
+                   'nothing was paid. Ask an admin to check it');
+}
+
+/** Throws unless the sender is on the admins list in the Config tab */
+function requireAdmin(email, action = 'reverse transactions') {
+  if (!Config.isAdmin(email)) throw new Error(`Only admins can ${action}`);
+}
+
+/**
+ * Email both parties of a reversed transaction.
+ * A failed notice is logged rather than thrown: the reversal is already posted.
+ * @param {object} result - From Wavebucks.reverse
+ */
+function notifyReversal(result) {
+  const { debitAccount, creditAccount } = result.original;
+  const parties = [debitAccount, creditAccount]
+    .filter(account => account && account !== 'external')
+    .filter((account, i, list) => list.indexOf(account) === i);
+
+  parties.forEach(account => {
+    try {
+      MailApp.sendEmail({
+        to: account,
+        subject: `Wavebucks ${result.original.txId} has been reversed`,
+        htmlBody: Environment.banner() + MessageBuilder.buildReversalNotice(result, account,
+        Wavebucks.getBalance(account, result.original.currency))
+      });
+    } catch (err) {
+      Logger.log(`⚠️ Could not send reversal notice to ${account}: ${err.message}`);
+    }
+  });
+}
+
 const DispatchTable = {
 
   'HELP': () => Personality.get('HELP'),
 
   'QUOT': (email) => {
     const balance = Wavebucks.getBalance(email);
-    return MessageBuilder.buildDigest({ balance });
+    const escrow = Wavebucks.getLockedFunds().total;
+    const others = Wavebucks.getBalances(email)
+      .filter(b => b.currency !== Wavebucks.DEFAULT_CURRENCY)
+      .map(b => ({ ...b, escrow: Wavebucks.getLockedFunds(b.currency).total }));
+    return handlerReply(MessageBuilder.buildDigest({ balance, escrow, others }), { balance, escrow, others });
+  },
+
+  'HISTORY': (email, body) => {
+    try {
+      const parsed = CommandParsers.parseHistory(body);
+      const history = Wavebucks.getHistory(email, { from: parsed.from, to: parsed.to });
+      return handlerReply(MessageBuilder.buildStatement(history.entries, parsed), history,
+        { attachments: [MessageBuilder.buildStatementCsv(history.entries, email)] });
+    } catch (err) {
+      return handlerError('History failed', err);
+    }
+  },
+
+  'TOKEN': (email, body) => {
+    try {
+      const parsed = CommandParsers.parseToken(body);
+      if (parsed.revoke) {
+        const revoked = ApiTokens.revoke(email);
+        return handlerReply(revoked
+          ? `<h2>&#128273; API Token Revoked</h2>
+              <p>Your token no longer works. Send TOKEN for a new one.</p>`
+          : `<h2>&#128273; No API Token</h2>
+              <p>You have no active token. Send TOKEN to get one.</p>`, { revoked });
+      }
+      const token = ApiTokens.issue(email);
+      return handlerReply(`<h2>&#128273; API Token Issued</h2>
+              <p><b>Token:</b> <code>${token}</code></p>
+              <p>Any earlier token no longer works. Keep this one private: it reads the economy as you.</p>
+              <p><i>Add ?token=&lt;token&gt;&amp;route=balance to the web app URL. Send TOKEN REVOKE to disable it.</i></p>`, { token });
+    } catch (err) {
+      return handlerError('Token request failed', err);
+    }
   },
 
   'CAUSA': (email, body) => {
     try {
       const parsed = CommandParsers.parseCausa(body);
-      const causaId = Causae.createCausa(email, parsed.title, parsed.options, parsed.closingDate, parsed.minWager);
-      return `<h2>&#9989; Causa Created</h2>
+      const causaId = Causae.createCausa(email, parsed.title, parsed.options, parsed.closingDate, parsed.minWager,
+        parsed.currency);
+      return handlerReply(`<h2>&#9989; Causa Created</h2>
               <p><b>ID:</b> ${causaId}</p>
               <p><b>Title:</b> ${parsed.title}</p>
               <p><b>Options:</b> ${parsed.options.join(', ')}</p>
               <p><b>Closes:</b> ${parsed.closingDate.toDateString()}</p>
-              <p><b>Minimum Wager:</b> &#8361;${parsed.minWager}</p>
-              <p><i>Send VOTE to participate</i></p>`;
+              <p><b>Minimum Wager:</b> ${formatMoney(parsed.minWager, parsed.currency)}</p>
+              <p><i>Send VOTE to participate</i></p>`,
+        { causaId, ...parsed, currency: Wavebucks.getCurrency(parsed.currency).code });
     } catch (err) {
-      return MessageBuilder.buildErrorMessage(`Causa creation failed: ${err.message}`);
+      return handlerError('Causa creation failed', err);
     }
   },
 
-  'VOTE': (email, body) => {
+  'VOTE': (email, body, subject, command, messageId) => {
     try {
       const parsed = CommandParsers.parseVote(body);
-      Causae.vote(email, parsed.causaId, parsed.option, parsed.wager);
-      return `<h2>&#9989; Vote Recorded</h2>
+      const currency = Causae.vote(email, parsed.causaId, parsed.option, parsed.wager, ledgerOptions('VOTE', messageId));
+      return handlerReply(`<h2>&#9989; Vote Recorded</h2>
               <p><b>Causa ID:</b> ${parsed.causaId}</p>
               <p><b>Your Vote:</b> Option ${parsed.option}</p>
-              <p><b>Wager:</b> &#8361;${parsed.wager}</p>
-              <p><i>May fortuna favor your choice!</i></p>`;
+              <p><b>Wager:</b> ${formatMoney(parsed.wager, currency)}</p>
+              <p><i>May fortuna favor your choice!</i></p>`, { ...parsed, currency });
     } catch (err) {
-      return MessageBuilder.buildErrorMessage(`Vote failed: ${err.message}`);
+      return handlerError('Vote failed', err);
     }
   },
 
-  'RESOLVE': (email, body) => {
+  'RESOLVE': (email, body, subject, command, messageId) => {
     try {
       const parsed = CommandParsers.parseResolve(body);
-      const result = Causae.resolveCausa(parsed.causaId, parsed.winningOption, email);
-      return `<h2>&#127942; Causa Resolved</h2>
+      const result = Causae.resolveCausa(parsed.causaId, parsed.winningOption, email, ledgerOptions('RESOLVE', messageId));
+      return handlerReply(`<h2>&#127942; Causa Resolved</h2>
               <p><b>Causa ID:</b> ${parsed.causaId}</p>
               <p><b>Winning Option:</b> ${result.winningOption}</p>
-              <p><b>Total Pot:</b> &#8361;${result.totalPot}</p>
+              <p><b>Total Pot:</b> ${formatMoney(result.totalPot, result.currency)}</p>
               <p><b>Winners:</b> ${result.winnersCount}</p>
-              <p><i>Winnings have been distributed!</i></p>`;
+              ${result.remainder > 0 ? `<p><b>Rounding remainder to you:</b> ${formatMoney(result.remainder, result.currency)}</p>` : ''}
+              <p><i>Winnings have been distributed!</i></p>`, { causaId: parsed.causaId, ...result });
     } catch (err) {
-      return MessageBuilder.buildErrorMessage(`Resolve failed: ${err.message}`);
+      return handlerError('Resolve failed', err);
     }
   },
 
-  'COMMISSIO': (email, body) => {
+  'COMMISSIO': (email, body, subject, command, messageId) => {
     try {
       const parsed = CommandParsers.parseCommissio(body);
-      const commissionId = Commissio.createCommissio(email, parsed.title, parsed.reward, parsed.expiry);
-      return `<h2>&#9989; Commissio Created</h2>
+      const commissionId = Commissio.createCommissio(email, parsed.title, parsed.reward, parsed.expiry,
+        ledgerOptions('COMMISSIO', messageId), parsed.currency);
+      return handlerReply(`<h2>&#9989; Commissio Created</h2>
               <p><b>ID:</b> ${commissionId}</p>
               <p><b>Title:</b> ${parsed.title}</p>
-              <p><b>Reward:</b> &#8361;${parsed.reward}</p>
+              <p><b>Reward:</b> ${formatMoney(parsed.reward, parsed.currency)}</p>
               <p><b>Expires:</b> ${parsed.expiry.toDateString()}</p>
-              <p><i>Send ACCEPT ${commissionId} to claim this task</i></p>`;
+              <p><i>Send ACCEPT ${commissionId} to claim this task</i></p>`,
+        { commissionId, ...parsed, currency: Wavebucks.getCurrency(parsed.currency).code });
     } catch (err) {
-      return MessageBuilder.buildErrorMessage(`Commissio creation failed: ${err.message}`);
+      return handlerError('Commissio creation failed', err);
     }
   },
 
@@ -77,47 +228,139 @@ const DispatchTable = {
     try {
       const parsed = CommandParsers.parseAccept(body);
       Commissio.acceptCommissio(email, parsed.commissionId);
-      return `<h2>&#9989; Commissio Accepted</h2>
+      return handlerReply(`<h2>&#9989; Commissio Accepted</h2>
               <p><b>Commission ID:</b> ${parsed.commissionId}</p>
-              <p>Task assigned to you. Send COMPLETE when finished.</p>`;
+              <p>Task assigned to you. Send COMPLETE when finished.</p>`, parsed);
     } catch (err) {
-      return MessageBuilder.buildErrorMessage(`Accept failed: ${err.message}`);
+      return handlerError('Accept failed', err);
     }
   },
 
-  'COMPLETE': (email, body) => {
+  'COMPLETE': (email, body, subject, command, messageId) => {
     try {
       const parsed = CommandParsers.parseComplete(body);
-      const reward = Commissio.completeCommissio(email, parsed.commissionId);
-      return `<h2>&#9989; Commissio Completed</h2>
+      const paid = Commissio.completeCommissio(email, parsed.commissionId, ledgerOptions('COMPLETE', messageId));
+      return handlerReply(`<h2>&#9989; Commissio Completed</h2>
               <p><b>Commission ID:</b> ${parsed.commissionId}</p>
-              <p><b>Reward Earned:</b> &#8361;${reward}</p>
-              <p><i>Well done! Your balance has been credited.</i></p>`;
+              <p><b>Reward Earned:</b> ${formatMoney(paid.reward, paid.currency)}</p>
+              <p><i>Well done! Your balance has been credited.</i></p>`, { commissionId: parsed.commissionId, ...paid });
     } catch (err) {
-      return MessageBuilder.buildErrorMessage(`Complete failed: ${err.message}`);
+      return handlerError('Complete failed', err);
     }
   },
 
-  'TRANSFER': (email, body) => {
+  'TRANSFER': (email, body, subject, command, messageId) => {
     try {
       const parsed = CommandParsers.parseTransfer(body);
-
-      // Check sender has sufficient balance
-      const senderBalance = Wavebucks.getBalance(email);
-      if (senderBalance < parsed.amount) {
-        throw new Error(`Insufficient funds. Your balance: &#8361;${senderBalance}`);
+      if (Wavebucks.isSystemAccount(parsed.to)) {
+        throw new Error(`${parsed.to} is a system account and cannot receive transfers`);
       }
 
-      // Execute transfer
-      Wavebucks.debit(email, parsed.amount, `Transfer to ${parsed.to}`);
-      Wavebucks.credit(parsed.to, parsed.amount, `Transfer from ${email}`);
+      // Funds and spending-limit checks, debit and credit happen as one locked unit
+      const currency = Wavebucks.getCurrency(parsed.currency).code;
+      const txId = Wavebucks.transfer(email, parsed.to, parsed.amount, `Transfer from ${email} to ${parsed.to}`,
+        { ...ledgerOptions('TRANSFER', messageId), currency });
+
+      const allowance = Wavebucks.getSpendingAllowance(email, currency);
+      const allowanceLine = allowance.remainingToday !== null
+        ? `<p><b>Left to Spend Today:</b> ${formatMoney(allowance.remainingToday, currency)}</p>`
+        : '';
 
-      return `<h2>&#9989; Transfer Complete</h2>
+      const balance = Wavebucks.getBalance(email, currency);
+      return handlerReply(`<h2>&#9989; Transfer Complete</h2>
               <p><b>To:</b> ${parsed.to}</p>
-              <p><b>Amount:</b> &#8361;${parsed.amount}</p>
-              <p><b>Your New Balance:</b> &#8361;${Wavebucks.getBalance(email)}</p>`;
+              <p><b>Amount:</b> ${formatMoney(parsed.amount, currency)}</p>
+              <p><b>Transaction:</b> ${txId}</p>
+              <p><b>Your New Balance:</b> ${formatMoney(balance, currency)}</p>
+              ${allowanceLine}`,
+        { txId, to: parsed.to, amount: parsed.amount, currency, balance, remainingToday: allowance.remainingToday });
+    } catch (err) {
+      return handlerError('Transfer failed', err);
+    }
+  },
+
+  'SUPPLY': (email, body) => {
+    try {
+      const parsed = CommandParsers.parseSupply(body);
+      const supply = Wavebucks.getSupply(parsed.currency);
+      const supplyCap = supplyCapFor(parsed.currency);
+      return handlerReply(MessageBuilder.buildSupply(supply, supplyCap), { ...supply, supplyCap });
+    } catch (err) {
+      return handlerError('Supply report failed', err);
+    }
+  },
+
+  'MINT': (email, body, subject, command, messageId) => {
+    try {
+      const parsed = CommandParsers.parseMint(body);
+      const currency = Wavebucks.getCurrency(parsed.currency);
+      requireTreasurer(email, currency.code);
+      const txId = Wavebucks.mint(parsed.email, parsed.amount, parsed.reason,
+        { ...ledgerOptions('MINT', messageId), currency: currency.code, supplyCap: supplyCapFor(currency.code) });
+
+      const total = Wavebucks.getSupply(currency.code).total;
+      return handlerReply(`<h2>&#127974; ${currency.name} Minted</h2>
+              <p><b>To:</b> ${escapeHtml(parsed.email)}</p>
+              <p><b>Amount:</b> ${formatMoney(parsed.amount, currency.code)}</p>
+              <p><b>Reason:</b> ${escapeHtml(parsed.reason)}</p>
+              <p><b>Transaction:</b> ${txId}</p>
+              <p><b>Total Supply:</b> ${formatMoney(total, currency.code)}</p>`,
+        { txId, ...parsed, currency: currency.code, totalSupply: total });
+    } catch (err) {
+      return handlerError('Mint failed', err);
+    }
+  },
+
+  'BURN': (email, body, subject, command, messageId) => {
+    try {
+      const parsed = CommandParsers.parseBurn(body);
+      const currency = Wavebucks.getCurrency(parsed.currency);
+      requireTreasurer(email, currency.code);
+      const txId = Wavebucks.burn(parsed.email, parsed.amount, parsed.reason,
+        { ...ledgerOptions('BURN', messageId), currency: currency.code });
+
+      const total = Wavebucks.getSupply(currency.code).total;
+      return handlerReply(`<h2>&#128293; ${currency.name} Burned</h2>
+              <p><b>From:</b> ${escapeHtml(parsed.email)}</p>
+              <p><b>Amount:</b> ${formatMoney(parsed.amount, currency.code)}</p>
+              <p><b>Reason:</b> ${escapeHtml(parsed.reason)}</p>
+              <p><b>Transaction:</b> ${txId}</p>
+              <p><b>Total Supply:</b> ${formatMoney(total, currency.code)}</p>`,
+        { txId, ...parsed, currency: currency.code, totalSupply: total });
+    } catch (err) {
+      return handlerError('Burn failed', err);
+    }
+  },
+
+  'REVERSE': (email, body, subject, command, messageId) => {
+    let parsed = null;
+    try {
+      requireAdmin(email);
+      parsed = CommandParsers.parseReverse(body);
+      const result = Wavebucks.reverse(parsed.txId, parsed.reason,
+        { source: ledgerSource('REVERSE', messageId), allowDebt: parsed.allowDebt });
+
+      // A retried message finds its own reversal; the parties were already told
+      if (!result.alreadyApplied) notifyReversal(result);
+      return handlerReply(MessageBuilder.buildReversal(result), result);
+    } catch (err) {
+      const failure = handlerError('Reverse failed', err);
+      if (err.name !== 'InsufficientFunds' || !parsed) return failure;
+      failure.htmlBody += `<p><i>Send <code>REVERSE ${parsed.txId} DEBT</code> to reverse anyway and leave ` +
+                          `${err.account} with a negative balance.</i></p>`;
+      return failure;
+    }
+  },
+
+  'APPROVE': (email, body) => {
+    try {
+      requireAdmin(email, 'approve senders');
+      const parsed = CommandParsers.parseApprove(body);
+      const result = Senders.approve(parsed.email, email);
+      const held = Senders.heldMessages().filter(m => String(m.from).toLowerCase() === parsed.email).length;
+      return handlerReply(MessageBuilder.buildApproval(result, held), { ...result, held });
     } catch (err) {
-      return MessageBuilder.buildErrorMessage(`Transfer failed: ${err.message}`);
+      return handlerError('Approve failed', err);
     }
   },
 
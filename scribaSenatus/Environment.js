@@ -0,0 +1,141 @@
+/**
+ * Environment.js
+ * Named environment profiles, so a deployment can run against the live or
+ * the test workbooks without editing sheet IDs in the source.
+ *
+ * Script Properties:
+ *   ENVIRONMENT          – profile this deployment runs as (default live)
+ *   ENV_<NAME>           – a profile, JSON { "label": "…", "ledgerSheetId": "…", "configSheetId": "…" };
+ *                          missing fields come from the built-in profile of that name, else from live
+ *   SANDBOX_ENVIRONMENT  – profile for emails that start with SANDBOX (default test)
+ *
+ * Built in: live (WavebucksConfig.SHEET_ID, CONFIG_SHEET_ID) and test
+ * (WavebucksConfig.TEST_SHEET_ID, TEST_CONFIG_SHEET_ID or the configSheetId
+ * of ENV_TEST).
+ *
+ * Entry points (processInbox, doGet, doPost, editor functions) call
+ * Environment.current() first, which points the ledger at the profile's
+ * workbook for the rest of the execution.
+ */
+
+const Environment = (() => {
+  const DEFAULT_PROFILE = 'live';
+  const DEFAULT_SANDBOX = 'test';
+
+  // Looked up on use, since sheetConfig.js loads after this file
+  const BUILT_IN = {
+    live: () => ({ label: 'Live', ledgerSheetId: WavebucksConfig.SHEET_ID, configSheetId: CONFIG_SHEET_ID }),
+    test: () => ({ label: 'Test', ledgerSheetId: WavebucksConfig.TEST_SHEET_ID, configSheetId: TEST_CONFIG_SHEET_ID })
+  };
+
+  let _active = null; // profile in use for this execution
+
+  function setting(key) {
+    const value = PropertiesService.getScriptProperties().getProperty(key);
+    return value === null || value === '' ? null : value;
+  }
+
+  /**
+   * A profile by name
+   * @param {string} name - e.g. 'live', 'test'
+   * @returns {{name:string, label:string, ledgerSheetId:string, configSheetId:string, live:boolean,
+   *   liveConfig:boolean}} live: on the live ledger; liveConfig: on the live Config spreadsheet
+   */
+  function getProfile(name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,32}$/.test(key)) throw new Error(`Invalid environment name "${name}"`);
+
+    const property = `ENV_${key.toUpperCase()}`;
+    const raw = setting(property);
+    if (!raw && !BUILT_IN[key]) throw new Error(`Unknown environment "${key}" (set the ${property} Script Property)`);
+
+    let stored = {};
+    if (raw) {
+      try {
+        stored = JSON.parse(raw);
+      } catch (err) {
+        throw new Error(`${property} is not valid JSON`);
+      }
+    }
+
+    const live = BUILT_IN.live();
+    const base = BUILT_IN[key] ? BUILT_IN[key]() : {};
+    const ledgerSheetId = String(stored.ledgerSheetId || base.ledgerSheetId || live.ledgerSheetId);
+    const configSheetId = String(stored.configSheetId || base.configSheetId || live.configSheetId);
+    return {
+      name: key,
+      label: String(stored.label || base.label || key),
+      ledgerSheetId,
+      configSheetId,
+      live: ledgerSheetId === live.ledgerSheetId,
+      liveConfig: configSheetId === live.configSheetId
+    };
+  }
+
+  /** Make a profile the active one: Config lookups and the ledger follow it */
+  function use(profile) {
+    Wavebucks.useWorkbook(profile.ledgerSheetId);
+    _active = profile;
+    return profile;
+  }
+
+  /** Profile of this execution, activating the deployment's ENVIRONMENT on first use */
+  function current() {
+    return _active || use(getProfile(setting('ENVIRONMENT') || DEFAULT_PROFILE));
+  }
+
+  /** ID of the Config spreadsheet of the active profile */
+  function configSheetId() {
+    return current().configSheetId;
+  }
+
+  /**
+   * Profile that SANDBOX commands run in. Refuses a profile on the live
+   * ledger or the live Config spreadsheet, so a misconfigured SANDBOX never
+   * moves real money nor leaves test Causae and Commissiones in the live tabs.
+   */
+  function sandbox() {
+    const profile = getProfile(setting('SANDBOX_ENVIRONMENT') || DEFAULT_SANDBOX);
+    if (profile.live) throw new Error(`SANDBOX environment "${profile.name}" uses the live ledger`);
+    if (profile.liveConfig) {
+      throw new Error(`SANDBOX environment "${profile.name}" uses the live Config spreadsheet ` +
+                      `(set a configSheetId in ENV_${profile.name.toUpperCase()})`);
+    }
+    return profile;
+  }
+
+  /**
+   * Run fn against another profile, then switch back
+   * @param {object} profile - From getProfile() or sandbox()
+   * @param {function} fn - Called with the profile
+   */
+  function run(profile, fn) {
+    const previous = current();
+    use(profile);
+    try {
+      return fn(profile);
+    } finally {
+      use(previous);
+    }
+  }
+
+  /**
+   * Split a leading SANDBOX word off an email body
+   * @returns {{sandbox:boolean, body:string}}
+   */
+  function stripSandbox(body) {
+    const match = String(body).match(/^SANDBOX\b[:\s]*/i);
+    return match ? { sandbox: true, body: body.slice(match[0].length) } : { sandbox: false, body };
+  }
+
+  /** Line at the top of every reply naming the environment that handled it */
+  function banner(profile = current()) {
+    if (profile.live) {
+      return `<p style="color:#666;font-size:small">&#127760; Environment: <b>${profile.label}</b></p>`;
+    }
+    return `<p style="background:#fff3cd;padding:6px">&#129514; <b>${profile.label.toUpperCase()} environment</b> — ` +
+           'this command ran against test data. Live balances were not touched.</p>';
+  }
+
+  return { getProfile, current, configSheetId, sandbox, run, stripSandbox, banner };
+})();
@@ -9,18 +9,23 @@ const InboxProcessor = (function() {
   /** Allow test injection of a mock GmailApp */
   function setGmailApp(mock) { _GmailApp = mock; }
 
+  const PROCESSED_LABEL = 'Scriba/Processed';
+  const QUARANTINE_LABEL = 'Scriba/Quarantine'; // threads of emails waiting for their sender's approval
+
+  /** Get or create a Gmail label */
+  function getLabel(name) {
+    return _GmailApp.getUserLabelByName(name) || _GmailApp.createLabel(name);
+  }
+
   /**
    * Main entry point. Called by hourly trigger.
    */
   function processUnread() {
+    Environment.current(); // point the ledger at this deployment's workbooks
+    releaseHeld();
     const query = Config.get('inboxSearch') || 'is:unread to:scribasenatus@*';
     const threads = _GmailApp.search(query);
-
-    // Get or create "Scriba/Processed" label
-    let processedLabel = _GmailApp.getUserLabelByName('Scriba/Processed');
-    if (!processedLabel) {
-      processedLabel = _GmailApp.createLabel('Scriba/Processed');
-    }
+    const processedLabel = getLabel(PROCESSED_LABEL);
 
     threads.forEach(thread => {
       thread.getMessages().forEach(msg => {
@@ -41,43 +46,213 @@ const InboxProcessor = (function() {
     });
   }
 
+  /**
+   * Run the quarantined emails of senders an admin has approved since, and
+   * log those of senders blocked meanwhile as rejected. The rest stay held.
+   */
+  function releaseHeld() {
+    const held = Senders.heldMessages();
+    if (held.length === 0) return;
+    const members = Schemas.find(Schemas.MEMBERS);
+
+    held.forEach(({ from, messageId }) => {
+      const status = Senders.statusOf(from, members);
+      if (status === Senders.BLOCKED) {
+        logEvent(from, '', 'UNKNOWN', 'Senders', 'rejected', 'blocked while in quarantine', messageId);
+      } else if (status === Senders.APPROVED) {
+        try {
+          const msg = _GmailApp.getMessageById(messageId);
+          dispatchMessage(msg);
+          msg.getThread().removeLabel(getLabel(QUARANTINE_LABEL));
+        } catch (err) {
+          logEvent(from, '', 'EXCEPTION', 'InboxProcessor', 'fail', `releasing from quarantine: ${err.message}`, messageId);
+        }
+      }
+    });
+  }
+
   /**
    * Reads email content and decides what type of action it is.
    * Delegates to appropriate service or reply builder.
    */
   const { logEvent } = Config;
 
+  // Optional header of a multi-command email: if one command fails, undo them all
+  const ALL_OR_NOTHING = /^ALL[- ]OR[- ]NOTHING\b[:\s]*/i;
+
+  // Commands a rollback cannot undo: REVERSE emails both parties, APPROVE writes
+  // the Members tab and TOKEN the ApiTokens tab
+  const IRREVERSIBLE = ['REVERSE', 'APPROVE', 'TOKEN'];
+
   function dispatchMessage(msg) {
     const fromEmail = extractEmail(msg.getFrom());
-    const body = normalizeBody(msg.getPlainBody());
     const subject = msg.getSubject();
     const messageId = msg.getId();
+    let profile = Environment.current();
+    let found = null;
 
     try {
-      const command = detectCommand(body);
-      if (!command) {
+      found = readCommands(msg.getPlainBody(), subject);
+      const { blocks, sandbox, allOrNothing } = found;
+      if (blocks.length === 0) {
         // No recognized command - silently ignore (may be other email traffic)
         logEvent(fromEmail, subject, 'UNKNOWN', 'InboxProcessor', 'ignored', 'no command found', messageId);
         return;
       }
 
+      const types = blocks.map(b => b.command.type).join(' ');
+      if (!admitSender(msg, fromEmail, types, profile)) return;
+
+      // SANDBOX runs this email's commands in the test environment; the Log entry stays here
+      if (sandbox) profile = Environment.sandbox();
+      const notes = [sandbox ? `SANDBOX (${profile.name})` : '', found.source === 'subject' ? 'from subject' : ''];
+
+      if (blocks.length > 1 || allOrNothing) {
+        const batch = Environment.run(profile, () => runCommands(fromEmail, blocks, subject, messageId, allOrNothing));
+        sendReply(msg, MessageBuilder.buildBatchReply(batch), profile, found);
+        logEvent(fromEmail, subject, types, 'InboxProcessor', batch.status, logNotes(notes, batch.results), messageId);
+        return;
+      }
+
+      const { command, text } = blocks[0];
       const handler = DispatchTable[command.type];
       if (!handler) {
-        sendReply(msg, MessageBuilder.buildErrorMessage("Unrecognized command: " + command.type));
+        sendReply(msg, MessageBuilder.buildErrorMessage("Unrecognized command: " + command.type), profile, found);
         logEvent(fromEmail, subject, command.type, 'InboxProcessor', 'error', 'no handler', messageId);
         return;
       }
 
-      const reply = handler(fromEmail, body, subject, command);
-      sendReply(msg, reply);
-      logEvent(fromEmail, subject, command.type, handler.name || 'anon', 'success', '', messageId);
+      const reply = Environment.run(profile, () => handler(fromEmail, text, subject, command, messageId));
+      sendReply(msg, reply, profile, found);
+      const result = { index: 1, reply, state: reply.error ? 'failed' : 'ok' };
+      logEvent(fromEmail, subject, command.type, handler.name || 'anon', result.state === 'failed' ? 'error' : 'success',
+        logNotes(notes, [result]), messageId);
 
     } catch (err) {
-      sendReply(msg, MessageBuilder.buildErrorMessage(err.message));
+      sendReply(msg, MessageBuilder.buildHandlerError('', err), profile, found);
       logEvent(fromEmail, subject, 'EXCEPTION', 'InboxProcessor', 'fail', err.message, messageId);
     }
   }
 
+  /**
+   * The Notes of an email's Config Log entry: the email's own notes, then one
+   * per command line that failed or was rolled back, e.g.
+   * "from subject; #1: rolled back; #2: Insufficient funds"
+   * @param {Array<object>} results - runCommands() results
+   */
+  function logNotes(notes, results) {
+    const lines = results
+      .filter(r => r.state === 'failed' || r.state === 'rolled back')
+      .map(r => `#${r.index}: ${r.state === 'failed' ? r.reply.error.message : r.state}`);
+    return notes.concat(lines).filter(Boolean).join('; ');
+  }
+
+  /**
+   * Check the sender before any command runs (see Senders.screen).
+   * Rejected emails get no reply, since the From address may be forged;
+   * quarantined ones are labelled and wait for an admin's APPROVE.
+   * @returns {boolean} true if the commands may run
+   */
+  function admitSender(msg, fromEmail, types, profile) {
+    const verdict = Senders.screen(fromEmail, msg.getRawContent());
+    if (verdict.status === 'allowed') return true;
+
+    if (verdict.status === 'quarantined') {
+      msg.getThread().addLabel(getLabel(QUARANTINE_LABEL));
+      sendReply(msg, MessageBuilder.buildQuarantineNotice(), profile);
+      if (verdict.isNew) Senders.notifyAdmins(fromEmail, msg.getSubject());
+    }
+    logEvent(fromEmail, msg.getSubject(), types, 'Senders', verdict.status, verdict.reason, msg.getId());
+    Logger.log(`&#128683; ${verdict.status} ${fromEmail}: ${verdict.reason}`);
+    return false;
+  }
+
+  /**
+   * Find the commands of a message in its body or its subject line. The
+   * Config tab's commandPrecedence decides the order: 'body' (default)
+   * reads the subject only when the body has no command, 'subject' the
+   * other way round, 'body-only' never reads the subject. A subject must
+   * start with the command word in capitals ('QUOT', not 'Balance sheet
+   * Q3'), and subjects of replies and forwards (Re:, Fwd:) are ignored, so
+   * ordinary mail and answers to Scriba's replies run nothing.
+   * @returns {{source:string|null, fallback:boolean, sandbox:boolean, allOrNothing:boolean, blocks:Array<object>}}
+   *   source is 'body' or 'subject' (null if neither has a command); fallback is true when it was the second choice
+   */
+  function readCommands(plainBody, subject, precedence = Config.get('commandPrecedence')) {
+    const texts = { body: normalizeBody(plainBody), subject: normalizeSubject(subject) };
+    const rule = String(precedence || 'body').trim().toLowerCase();
+    const order = { 'subject': ['subject', 'body'], 'body-only': ['body'] }[rule] || ['body', 'subject'];
+
+    for (const source of order) {
+      const headers = readHeaders(texts[source]);
+      const blocks = splitCommands(headers.body, { capitalsOnly: source === 'subject' });
+      if (blocks.length > 0) {
+        return { source, fallback: source !== order[0], sandbox: headers.sandbox, allOrNothing: headers.allOrNothing,
+                 blocks };
+      }
+    }
+    return { source: null, fallback: false, sandbox: false, allOrNothing: false, blocks: [] };
+  }
+
+  /**
+   * Run the commands of a multi-command email in order. Each gets its own
+   * message ID (<id>#<n>), so their ledger idempotency keys stay apart.
+   * With allOrNothing the first failure stops the run, and the ledger and the
+   * Causae/Commissiones tabs go back to how they were before the first
+   * command (see Wavebucks.atomic). Commands with effects beyond those
+   * (IRREVERSIBLE) are refused there, and then nothing runs.
+   * @returns {{results:Array<object>, allOrNothing:boolean, rolledBack:boolean, status:string}}
+   *   results: { index, type, text, reply, state } with state 'ok', 'failed', 'rolled back' or 'skipped'
+   */
+  function runCommands(fromEmail, blocks, subject, messageId, allOrNothing = false) {
+    const results = blocks.map((block, i) => ({
+      index: i + 1, type: block.command.type, text: block.text, reply: null, state: 'skipped'
+    }));
+
+    const runOne = (result, block) => {
+      const handler = DispatchTable[block.command.type];
+      try {
+        result.reply = handler
+          ? handler(fromEmail, block.text, subject, block.command, `${messageId}#${result.index}`)
+          : handlerError('', new Error(`Unrecognized command: ${block.command.type}`));
+      } catch (err) {
+        result.reply = handlerError('', err);
+      }
+      result.state = result.reply.error ? 'failed' : 'ok';
+      return result.state === 'ok';
+    };
+
+    const refused = allOrNothing ? results.filter(r => IRREVERSIBLE.includes(r.type)) : [];
+    if (refused.length > 0) {
+      refused.forEach(r => {
+        r.reply = handlerError('', new Error(`${r.type} cannot be undone, so it cannot run in an ALL-OR-NOTHING ` +
+          'email. Send it in an email of its own.'));
+        r.state = 'failed';
+      });
+      return { results, allOrNothing, rolledBack: false, status: 'error' };
+    }
+
+    let rolledBack = false;
+    if (!allOrNothing) {
+      results.forEach((result, i) => runOne(result, blocks[i]));
+    } else {
+      try {
+        Wavebucks.atomic(() => {
+          const failed = results.find((result, i) => !runOne(result, blocks[i]));
+          if (failed) throw new Error(`Command #${failed.index} failed`);
+        }, { extraTables: backupExtraTables() });
+      } catch (err) {
+        if (!results.some(r => r.state === 'failed')) throw err;
+        rolledBack = true;
+        results.filter(r => r.state === 'ok').forEach(r => { r.state = 'rolled back'; });
+      }
+    }
+
+    const failed = results.filter(r => r.state === 'failed').length;
+    const status = rolledBack ? 'rolled back' : failed === 0 ? 'success' : failed === results.length ? 'error' : 'partial';
+    return { results, allOrNothing, rolledBack, status };
+  }
+
 
   /** --- Helpers --- */
 
@@ -110,6 +285,61 @@ const InboxProcessor = (function() {
     return cleanBody.replace(/\r\n|\r/g, '\n').trim();
   }
 
+  /** Subject line as command text; blank for replies and forwards */
+  function normalizeSubject(subject) {
+    const text = String(subject || '').trim();
+    return /^(re|fwd?|aw|wg)\s*:/i.test(text) ? '' : text;
+  }
+
+  /**
+   * Leading SANDBOX and ALL-OR-NOTHING words (either order, own line or not)
+   * @returns {{sandbox:boolean, allOrNothing:boolean, body:string}} body without them
+   */
+  function readHeaders(text) {
+    let body = text;
+    let sandbox = false;
+    let allOrNothing = false;
+    for (;;) {
+      const stripped = Environment.stripSandbox(body);
+      const match = body.match(ALL_OR_NOTHING);
+      if (stripped.sandbox) {
+        sandbox = true;
+        body = stripped.body;
+      } else if (match) {
+        allOrNothing = true;
+        body = body.slice(match[0].length);
+      } else {
+        return { sandbox, allOrNothing, body };
+      }
+    }
+  }
+
+  /**
+   * Split a body into commands. The body must start with one, as before;
+   * every later line that starts with a command word in capitals (VOTE,
+   * TRANSFER, ...) begins the next one, and other lines belong to the
+   * command above them. Reading stops at a "-- " signature line.
+   * @param {boolean} capitalsOnly - The first command too must be in capitals (subject lines)
+   * @returns {Array<{command:object, text:string}>}
+   */
+  function splitCommands(body, { capitalsOnly = false } = {}) {
+    const blocks = [];
+    for (const line of body.split('\n')) {
+      if (/^--\s*$/.test(line)) break;
+      const text = line.trim();
+      const word = text.match(/^[A-Za-z]+/);
+      const inCapitals = !!word && word[0] === word[0].toUpperCase();
+      const command = text && ((blocks.length === 0 && !capitalsOnly) || inCapitals)
+        ? detectCommand(text)
+        : null;
+
+      if (command) blocks.push({ command, lines: [text] });
+      else if (blocks.length > 0) blocks[blocks.length - 1].lines.push(line);
+      else break; // text before any command: not a command email
+    }
+    return blocks.map(b => ({ command: b.command, text: b.lines.join('\n').trim() }));
+  }
+
   /**
    * Detect which command type this message belongs to.
    * Looks for the first matching pattern in Config.LEXICON.
@@ -122,13 +352,20 @@ const InboxProcessor = (function() {
     return null;
   }
 
-  function sendReply(msg, htmlBody) {
+  /**
+   * Reply in the message's thread, headed by the environment that handled it
+   * and, once known, where the command was read from (see readCommands)
+   */
+  function sendReply(msg, reply, profile = Environment.current(), found = null) {
     const recipient = extractEmail(msg.getFrom());
+    const sourceNote = found && found.source ? MessageBuilder.buildSourceNote(found) : '';
+
+    // Handlers return an HTML string, or { htmlBody, attachments, data, error }; email only needs the first two
+    const options = { htmlBody: Environment.banner(profile) + sourceNote + replyHtml(reply) };
+    if (reply.attachments) options.attachments = reply.attachments;
 
     // Reply directly to the message to maintain thread continuity
-    msg.reply('', {
-      htmlBody: htmlBody
-    });
+    msg.reply('', options);
 
     Logger.log(`📨 HTML reply sent to ${recipient} in thread`);
   }
@@ -136,6 +373,11 @@ const InboxProcessor = (function() {
   return {
     processUnread,
     dispatchMessage,
+    runCommands,
+    readCommands,
+    splitCommands,
+    readHeaders,
+    detectCommand,
     setGmailApp
   };
 })();
@@ -150,13 +392,280 @@ const MessageBuilder = (() => ({
     return `<p>⚠️ <b>Error:</b> ${txt}</p><p>Send <code>HELP</code> for instructions.</p>`;
   },
 
-  buildDigest({ balance }) {
+  /**
+   * Render a Wavebucks.InsufficientFunds error.
+   * Matched by name, since instanceof fails across the library boundary.
+   */
+  buildInsufficientFunds(err, action = '') {
+    const money = amount => formatMoney(amount, err.currency);
+    const limitRow = err.creditLimit ? `<p><b>Credit Limit:</b> ${money(err.creditLimit)}</p>` : '';
+    return `<h2>&#9888; Insufficient Funds</h2>
+            ${action ? `<p>${action}.</p>` : ''}
+            <p><b>Balance:</b> ${money(err.balance)}</p>
+            ${limitRow}
+            <p><b>Available:</b> ${money(err.available)}</p>
+            <p><b>Required:</b> ${money(err.required)}</p>
+            <p><i>Send <code>QUOT</code> to check your balance.</i></p>`;
+  },
+
+  /** Render a Wavebucks.SpendingLimitExceeded error (matched by name, like InsufficientFunds) */
+  buildSpendingLimit(err, action = '') {
+    const money = amount => formatMoney(amount, err.currency);
+    const dailyRows = err.dailyLimit !== null
+      ? `<p><b>Daily Limit:</b> ${money(err.dailyLimit)}</p>
+         <p><b>Spent Today:</b> ${money(err.spentToday)}</p>
+         <p><b>You Can Still Spend Today:</b> ${money(err.remainingToday)}</p>`
+      : '';
+    const transactionRow = err.transactionLimit !== null
+      ? `<p><b>Per-Transaction Limit:</b> ${money(err.transactionLimit)}</p>`
+      : '';
+
+    return `<h2>&#9888; Spending Limit Reached</h2>
+            ${action ? `<p>${action}.</p>` : ''}
+            <p><b>Requested:</b> ${money(err.required)}</p>
+            ${transactionRow}
+            ${dailyRows}
+            <p><i>Daily limits reset at midnight. Ask an admin if you need a higher limit.</i></p>`;
+  },
+
+  /** Render any error thrown by a handler, e.g. buildHandlerError('Vote failed', err) */
+  buildHandlerError(action, err) {
+    if (err && err.name === 'InsufficientFunds') return this.buildInsufficientFunds(err, action);
+    if (err && err.name === 'SpendingLimitExceeded') return this.buildSpendingLimit(err, action);
+    return this.buildErrorMessage(action ? `${action}: ${err.message}` : err.message);
+  },
+
+  /** Reply to an email whose sender is waiting for approval */
+  buildQuarantineNotice() {
+    return `<h2>&#9203; Waiting for Approval</h2>
+            <p>Scriba does not know your address yet, so your email is on hold until an administrator approves you.</p>
+            <p>Your commands will run once you are approved; there is no need to send them again.</p>`;
+  },
+
+  /** Email to the admins about a new sender */
+  buildApprovalRequest(email, subject) {
+    return `<h2>&#9203; New Sender Waiting</h2>
+            <p><b>${escapeHtml(email)}</b> sent Scriba a command (subject: ${escapeHtml(subject)}) and is not a member yet.</p>
+            <p>Send <code>APPROVE ${escapeHtml(email)}</code> to let them in; their held emails run on the next inbox check.
+               To refuse, set their Status to <b>blocked</b> in the Members tab.</p>`;
+  },
+
+  /** Reply to APPROVE. @param {object} result - From Senders.approve; @param {number} held - Their emails in quarantine */
+  buildApproval(result, held) {
+    const heldLine = held > 0
+      ? `<p>${held} held email${held === 1 ? '' : 's'} will run on the next inbox check.</p>`
+      : '';
+    const previousLine = result.previous ? `<p><b>Previous status:</b> ${result.previous}</p>` : '';
+    return `<h2>&#9989; Sender Approved</h2>
+            <p><b>${escapeHtml(result.email)}</b> can now send Scriba commands.</p>
+            ${previousLine}
+            ${heldLine}`;
+  },
+
+  /** Which part of the email the command was read from. @param {object} found - From InboxProcessor.readCommands */
+  buildSourceNote({ source, fallback }) {
+    const reason = fallback ? ` (the ${source === 'subject' ? 'body' : 'subject'} had no command)` : '';
+    return `<p style="color:#666;font-size:small">&#9993;&#65039; Command read from the email ${source === 'subject' ? 'subject line' : 'body'}${reason}</p>`;
+  },
+
+  /**
+   * Combined reply to a multi-command email: a summary, then one section per
+   * command with its own reply. Attachments of all commands are kept.
+   * @param {object} batch - From InboxProcessor.runCommands
+   */
+  buildBatchReply({ results, allOrNothing, rolledBack }) {
+    const icons = { 'ok': '&#9989;', 'failed': '&#10060;', 'rolled back': '&#8617;&#65039;', 'skipped': '&#9197;&#65039;' };
+    const count = state => results.filter(r => r.state === state).length;
+    const failed = results.find(r => r.state === 'failed');
+
+    let summary = `<p>${count('ok')} of ${results.length} commands succeeded.</p>`;
+    if (rolledBack) {
+      summary = `<p><b>ALL-OR-NOTHING:</b> command #${failed.index} failed, so nothing was applied.
+                 ${count('rolled back')} earlier command(s) were rolled back and ${count('skipped')} not run.</p>`;
+    } else if (allOrNothing && failed) {
+      summary = `<p><b>ALL-OR-NOTHING:</b> command #${failed.index} cannot be rolled back, so nothing was run.</p>`;
+    } else if (allOrNothing) {
+      summary = `<p><b>ALL-OR-NOTHING:</b> all ${results.length} commands succeeded.</p>`;
+    }
+
+    const notes = {
+      'rolled back': '<p><i>Rolled back: the ledger changes below were undone.</i></p>',
+      'skipped': '<p><i>Not run.</i></p>'
+    };
+    const sections = results.map(r => `
+      <hr>
+      <h3>${icons[r.state]} #${r.index} <code>${escapeHtml(r.text.split('\n')[0])}</code></h3>
+      ${notes[r.state] || ''}
+      ${r.reply ? replyHtml(r.reply) : ''}`).join('');
+
+    const attachments = [].concat(...results.map(r => (r.reply && r.reply.attachments) || []));
+    const reply = { htmlBody: `<h2>&#128221; ${results.length} Commands</h2>${summary}${sections}` };
+    if (attachments.length > 0) reply.attachments = attachments;
+    return reply;
+  },
+
+  /**
+   * Render one page of a HISTORY statement (newest first).
+   * @param {Array<object>} entries - From Wavebucks.getHistory
+   * @param {{page:number, from:Date, to:Date}} options - Parsed HISTORY command
+   */
+  buildStatement(entries, { page = 1, from = null, to = null } = {}) {
+    const pageCount = Math.max(1, Math.ceil(entries.length / STATEMENT_PAGE_SIZE));
+    const start = (page - 1) * STATEMENT_PAGE_SIZE;
+    const pageEntries = entries.slice(start, start + STATEMENT_PAGE_SIZE);
+    const range = `${from ? from.toDateString() : 'the beginning'} to ${to ? to.toDateString() : 'today'}`;
+
+    if (entries.length === 0) {
+      return `<h2>&#128220; Account Statement</h2><p>No ledger entries from ${range}.</p>`;
+    }
+    if (pageEntries.length === 0) {
+      return this.buildErrorMessage(`Page ${page} is past the end of your statement (${pageCount} page(s)).`);
+    }
+
+    const rows = pageEntries.map(e => `
+      <tr>
+        <td>${e.timestamp.toDateString()}</td>
+        <td>${escapeHtml(e.notes)}</td>
+        <td>${escapeHtml(e.counterparty || '')}</td>
+        <td>${escapeHtml(e.reference || '')}</td>
+        <td align="right">${e.amount > 0 ? '+' : ''}${formatMoney(e.amount, e.currency)}</td>
+        <td align="right">${formatMoney(e.balance, e.currency)}</td>
+      </tr>`).join('');
+
+    const nextPage = page < pageCount
+      ? `<p><i>Send <code>HISTORY PAGE ${page + 1}</code> for older entries.</i></p>`
+      : '';
+
+    return `<h2>&#128220; Account Statement</h2>
+            <p>${entries.length} entries from ${range}. Page ${page} of ${pageCount}.</p>
+            <table border="1" cellpadding="4">
+              <tr><th>Date</th><th>Description</th><th>Counterparty</th><th>Ref</th><th>Amount</th><th>Balance</th></tr>
+              ${rows}
+            </table>
+            ${nextPage}
+            <p><i>The full range is attached as CSV.</i></p>`;
+  },
+
+  /** CSV attachment of a full HISTORY statement */
+  buildStatementCsv(entries, email) {
+    const header = ['Timestamp', 'Transaction ID', 'Description', 'Counterparty', 'Reference', 'Amount', 'Balance',
+                    'Currency'];
+    const lines = [header].concat(entries.map(e => [
+      e.timestamp.toISOString(), e.txId, e.notes, e.counterparty, e.reference, e.amount, e.balance,
+      e.currency || Wavebucks.DEFAULT_CURRENCY
+    ])).map(cols => cols.map(toCsvCell).join(','));
+
+    const filename = `wavebucks-statement-${email.split('@')[0]}.csv`;
+    return Utilities.newBlob(lines.join('\r\n'), 'text/csv', filename);
+  },
+
+  /**
+   * Render the SUPPLY report.
+   * @param {object} supply - From Wavebucks.getSupply
+   * @param {number|string} supplyCap - See supplyCapFor (blank/0 = none)
+   */
+  buildSupply(supply, supplyCap) {
+    const currency = Wavebucks.getCurrency(supply.currency);
+    const money = amount => formatMoney(amount, currency.code);
+    const cap = Number(supplyCap) || 0;
+    const capLines = cap > 0
+      ? `<p><b>Supply Cap:</b> ${money(cap)}</p>
+         <p><b>Can Still Be Minted:</b> ${money(Math.max(0, cap - supply.total))}</p>`
+      : '<p><b>Supply Cap:</b> none</p>';
+
+    const recent = supply.mints.slice(0, SUPPLY_HISTORY_SIZE);
+    const mintRows = recent.map(m => `
+      <tr>
+        <td>${m.timestamp.toDateString()}</td>
+        <td>${escapeHtml(m.account)}</td>
+        <td align="right">${money(m.amount)}</td>
+        <td>${escapeHtml(m.reason)}</td>
+      </tr>`).join('');
+    const mintTable = recent.length > 0
+      ? `<table border="1" cellpadding="4">
+           <tr><th>Date</th><th>Account</th><th>Amount</th><th>Reason</th></tr>
+           ${mintRows}
+         </table>`
+      : '<p>No mints recorded yet.</p>';
+
+    return `<h2>&#127974; ${currency.name} Supply</h2>
+            <p><b>Circulating:</b> ${money(supply.circulating)}</p>
+            <p><b>Locked in Escrow &amp; Pots:</b> ${money(supply.escrowed)}</p>
+            <p><b>Total Supply:</b> ${money(supply.total)}</p>
+            ${capLines}
+            <p><b>Minted:</b> ${money(supply.minted)} &nbsp; <b>Burned:</b> ${money(supply.burned)}</p>
+            <h3>Recent Mints</h3>
+            ${mintTable}`;
+  },
+
+  /** Reply to the admin who sent REVERSE. @param {object} result - From Wavebucks.reverse */
+  buildReversal(result) {
+    const { original } = result;
+    const money = amount => formatMoney(amount, original.currency);
+    const debtLine = result.debt
+      ? `<p>&#9888; <b>${escapeHtml(result.debt.account)}</b> now has a negative balance of ${money(result.debt.balance)}.</p>`
+      : '';
+    const retryLine = result.alreadyApplied ? '<p><i>This message was already processed; nothing new was posted.</i></p>' : '';
+
+    return `<h2>&#9878; Transaction Reversed</h2>
+            <p><b>Original:</b> ${original.txId} — ${money(original.amount)} from ${escapeHtml(original.debitAccount)} to ${escapeHtml(original.creditAccount)}</p>
+            <p><b>Memo:</b> ${escapeHtml(original.memo)}</p>
+            <p><b>Reversal:</b> ${result.txId}</p>
+            ${result.reason ? `<p><b>Reason:</b> ${escapeHtml(result.reason)}</p>` : ''}
+            ${debtLine}
+            ${retryLine}
+            <p><i>Both parties have been emailed.</i></p>`;
+  },
+
+  /**
+   * Email to one party of a reversed transaction.
+   * @param {object} result - From Wavebucks.reverse
+   * @param {string} account - The party being told
+   * @param {number} balance - Their balance after the reversal
+   */
+  buildReversalNotice(result, account, balance) {
+    const { original } = result;
+    const money = amount => formatMoney(amount, original.currency);
+    const gotFundsBack = String(account).toLowerCase() === String(original.debitAccount).toLowerCase();
+    const effect = gotFundsBack
+      ? `${money(original.amount)} has been returned to your account.`
+      : `${money(original.amount)} has been taken back from your account.`;
+    const balanceLine = balance < 0
+      ? `<p>&#9888; Your balance is now <b>${money(balance)}</b>. This debt will be settled from future payments you receive.</p>`
+      : `<p><b>Your balance:</b> ${money(balance)}</p>`;
+
+    return `<h2>&#9878; Transaction Reversed</h2>
+            <p>An administrator reversed transaction <b>${original.txId}</b>
+               (${money(original.amount)} from ${escapeHtml(original.debitAccount)} to ${escapeHtml(original.creditAccount)}:
+               ${escapeHtml(original.memo)}).</p>
+            ${result.reason ? `<p><b>Reason:</b> ${escapeHtml(result.reason)}</p>` : ''}
+            <p>${effect} The reversal is recorded as <b>${result.txId}</b>.</p>
+            ${balanceLine}
+            <p><i>Reply to this email if you think this was a mistake.</i></p>`;
+  },
+
+  /**
+   * QUOT reply; `others` lists balances in further currencies,
+   * [{ currency, balance, escrow }], escrow being that currency's locked total
+   */
+  buildDigest({ balance, escrow, others = [] }) {
     const causae = ServiceAdapters.getActiveCausae();
     const comms  = ServiceAdapters.getActiveCommissio();
+    const escrowLine = escrow !== undefined
+      ? `<p><b>Locked in Escrow &amp; Pots:</b> ${formatMoney(escrow)}</p>`
+      : '';
+    const otherLines = others
+      .map(b => {
+        const locked = b.escrow ? ` (locked in escrow &amp; pots: ${formatMoney(b.escrow, b.currency)})` : '';
+        return `<p><b>${Wavebucks.getCurrency(b.currency).name}:</b> ${formatMoney(b.balance, b.currency)}${locked}</p>`;
+      })
+      .join('');
 
     return `
       ${Personality.get('QUOT_HEADER')}
-      <p><b>Balance:</b> ₩${balance}</p>
+      <p><b>Balance:</b> ${formatMoney(balance)}</p>
+      ${otherLines}
+      ${escrowLine}
 
       <h3>Active Causae</h3>
       ${formatList(causae)}
@@ -169,6 +678,28 @@ const MessageBuilder = (() => ({
 
 }))();
 
+/** Entries per page in a HISTORY statement */
+const STATEMENT_PAGE_SIZE = 20;
+
+/** Mints listed in a SUPPLY report */
+const SUPPLY_HISTORY_SIZE = 10;
+
+/** Amount with its currency symbol, e.g. formatMoney(5) → '&#8361;5', formatMoney(5, 'ART') */
+function formatMoney(amount, currency) {
+  return Wavebucks.formatAmount(amount, currency || Wavebucks.DEFAULT_CURRENCY);
+}
+
+/** Quote a value for CSV when it contains commas, quotes or newlines */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Escape text for use in HTML replies */
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 /**
  * Helper to render array → HTML list.
  * Accepts either string array or preformatted HTML chunks.
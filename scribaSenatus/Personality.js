@@ -24,9 +24,10 @@ const Personality = (() => {
       return generateHelpMessage();
     }
 
-    if (_cache[key]) return _cache[key];
+    const cacheKey = `${Environment.configSheetId()}:${key}`; // SANDBOX replies may use another Config
+    if (_cache[cacheKey]) return _cache[cacheKey];
 
-    const ss = SpreadsheetApp.openById(CONFIG_SHEET_ID);
+    const ss = SpreadsheetApp.openById(Environment.configSheetId());
     const sh = ss.getSheetByName('Personality');
     if (!sh) throw new Error("❌ Personality sheet not found in Config spreadsheet.");
 
@@ -35,7 +36,7 @@ const Personality = (() => {
     if (!row) return `<p>[Missing personality text for ${key}]</p>`;
 
     const html = row[2] || '';
-    _cache[key] = html;
+    _cache[cacheKey] = html;
     return html;
   }
 
@@ -0,0 +1,121 @@
+/**
+ * Schemas.js
+ * Declared header rows of the Config spreadsheet tabs, so services read and
+ * write cells by column name instead of position.
+ * The header constants are the one place each tab's columns are spelled
+ * out; the schemas are built from them with WavebucksConfig.defineSchema on
+ * first use, since this file loads before sheetConfig.js. The ledger sheets
+ * (Balances, Transactions, Log, Currencies) are declared in sheetConfig.js.
+ */
+
+const Schemas = (() => {
+  const CAUSAE_HEADERS = [
+    'ID', 'Title', 'Options', 'Creator', 'Status', 'TotalPot', 'ClosingDate', 'Votes', 'Notes', 'Currency'
+  ];
+
+  const COMMISSIONES_HEADERS = [
+    'ID', 'Title', 'Creator', 'Reward', 'Expiry', 'Status', 'Assignee', 'Created', 'Completed', 'Notes', 'Currency'
+  ];
+
+  // The Config spreadsheet's own Log tab (one row per handled email or API call),
+  // not the ledger Log sheet
+  const CONFIG_LOG_HEADERS = ['Timestamp', 'From', 'Subject', 'Command', 'Handler', 'Status', 'Notes', 'Message ID'];
+
+  const API_TOKENS_HEADERS = ['Email', 'Token Hash', 'Created', 'Last Used'];
+
+  // Membership allowlist of command senders, see Senders.js
+  const MEMBERS_HEADERS = ['Email', 'Status', 'First Seen', 'Last Seen', 'Approved By', 'Notes'];
+
+  // defineSchema() arguments of each tab
+  const DEFINITIONS = {
+    CAUSAE: ['Causae', CAUSAE_HEADERS, { aliases: { 'Creator Email': 'Creator' } }],
+    COMMISSIONES: ['Commissiones', COMMISSIONES_HEADERS, {
+      aliases: { 'Creator Email': 'Creator', 'Expiry Date': 'Expiry', 'Assigned To': 'Assignee',
+                 'Created Date': 'Created', 'Completed Date': 'Completed' }
+    }],
+    CONFIG_LOG: ['Log', CONFIG_LOG_HEADERS, { aliases: { 'Date': 'Timestamp', 'Email': 'From' } }],
+    API_TOKENS: ['ApiTokens', API_TOKENS_HEADERS],
+    MEMBERS: ['Members', MEMBERS_HEADERS]
+  };
+  const defined = {};
+
+  /** The schema of a tab, built on first use */
+  function schemaOf(key) {
+    if (!defined[key]) defined[key] = WavebucksConfig.defineSchema(...DEFINITIONS[key]);
+    return defined[key];
+  }
+
+  /** Tab of the Config spreadsheet, or null if it does not exist */
+  function findSheet(schema) {
+    return SpreadsheetApp.openById(Environment.configSheetId()).getSheetByName(schema.name);
+  }
+
+  /** Tab of the Config spreadsheet, created with the schema headers if missing */
+  function getSheet(schema) {
+    let sh = findSheet(schema);
+    if (!sh) {
+      sh = SpreadsheetApp.openById(Environment.configSheetId()).insertSheet(schema.name);
+      sh.appendRow(schema.headers);
+    }
+    return sh;
+  }
+
+  /**
+   * A tab as a schema table (see WavebucksConfig.schemaTable), creating it
+   * if needed. Missing columns are added at the end, so writes never fail
+   * on an older tab.
+   */
+  function open(schema) {
+    return WavebucksConfig.schemaTable(getSheet(schema), schema, { migrate: true });
+  }
+
+  /** Like open(), but null instead of creating a missing tab (read-only callers) */
+  function find(schema) {
+    const sh = findSheet(schema);
+    return sh ? WavebucksConfig.schemaTable(sh, schema, { migrate: true }) : null;
+  }
+
+  /**
+   * Check the existing Config tabs against their schemas
+   * @param {boolean} migrate - Also add missing columns
+   * @returns {Array<object>} Reports, see WavebucksConfig.compareHeaders
+   */
+  function check({ migrate = false } = {}) {
+    return Object.keys(DEFINITIONS)
+      .map(schemaOf)
+      .map(schema => ({ schema, sheet: findSheet(schema) }))
+      .filter(entry => entry.sheet)
+      .map(({ schema, sheet }) => (migrate
+        ? WavebucksConfig.migrateSchema(sheet, schema)
+        : WavebucksConfig.validateSchema(sheet, schema)));
+  }
+
+  return {
+    CAUSAE_HEADERS, COMMISSIONES_HEADERS, CONFIG_LOG_HEADERS, API_TOKENS_HEADERS, MEMBERS_HEADERS,
+    get CAUSAE() { return schemaOf('CAUSAE'); },
+    get COMMISSIONES() { return schemaOf('COMMISSIONES'); },
+    get CONFIG_LOG() { return schemaOf('CONFIG_LOG'); },
+    get API_TOKENS() { return schemaOf('API_TOKENS'); },
+    get MEMBERS() { return schemaOf('MEMBERS'); },
+    get ALL() { return Object.keys(DEFINITIONS).map(schemaOf); },
+    getSheet, open, find, check
+  };
+})();
+
+/**
+ * Validate every sheet against its schema: the ledger sheets and the Config
+ * tabs. Run from the editor after an upgrade; checkSheets(true) also adds
+ * missing columns. Renamed and extra columns are only reported.
+ * @returns {Array<object>} Reports, see WavebucksConfig.compareHeaders
+ */
+function checkSheets(migrate = false) {
+  Logger.log(`Environment: ${Environment.current().label}`);
+  const ledgerReports = Wavebucks.checkSchemas({ migrate }); // logs its own lines
+  const configReports = Schemas.check({ migrate });
+  configReports.forEach(report => Logger.log(WavebucksConfig.describeSchemaReport(report)));
+  const reports = ledgerReports.concat(configReports);
+  Logger.log(reports.every(report => report.ok)
+    ? '&#9989; All sheets match their schemas'
+    : '&#9888;&#65039; Some sheets differ from their schemas, see above');
+  return reports;
+}
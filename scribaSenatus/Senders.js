@@ -0,0 +1,199 @@
+/**
+ * Senders.js
+ * Who may send Scriba commands. The From header alone proves nothing, so a
+ * command email must pass the receiving server's DKIM/SPF/DMARC checks for
+ * the sender's domain, and the sender must be on the membership allowlist.
+ *
+ * Members tab (Config spreadsheet): one row per sender, Status approved,
+ * pending or blocked. Admins (Config 'admins') are always allowed.
+ *
+ * Config keys:
+ *   allowedDomains – comma-separated domains whose new senders are
+ *                    quarantined (pending) until an admin sends APPROVE;
+ *                    new senders from other domains are rejected
+ *   authServId     – server whose Authentication-Results header is trusted
+ *                    (default mx.google.com); headers added by anyone else
+ *                    are ignored, since a sender can write their own
+ */
+
+const Senders = (() => {
+  const APPROVED = 'approved';
+  const PENDING = 'pending';
+  const BLOCKED = 'blocked';
+  const DEFAULT_AUTHSERV_ID = 'mx.google.com';
+
+  function domainOf(address) {
+    const text = String(address || '').trim().toLowerCase();
+    return text.slice(text.lastIndexOf('@') + 1);
+  }
+
+  /** Same domain, or one a subdomain of the other (relaxed alignment) */
+  function aligned(domain, senderDomain) {
+    return !!domain && (domain === senderDomain || senderDomain.endsWith(`.${domain}`) ||
+      domain.endsWith(`.${senderDomain}`));
+  }
+
+  /** Header lines of a raw message, folded lines joined */
+  function headerLines(raw) {
+    const head = String(raw || '').split(/\r?\n\r?\n/)[0];
+    return head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+  }
+
+  /**
+   * Methods of the first Authentication-Results header added by authServId
+   * @returns {object|null} e.g. { dkim: { result: 'pass', domain: 'example.com' }, spf: {...}, dmarc: {...} }
+   */
+  function readAuthResults(raw, authServId) {
+    const value = headerLines(raw)
+      .filter(line => /^Authentication-Results:/i.test(line))
+      .map(line => line.replace(/^Authentication-Results:\s*/i, ''))
+      .find(text => text.split(';')[0].trim().split(/\s+/)[0].toLowerCase() === authServId);
+    if (value === undefined) return null;
+
+    const methods = {};
+    value.split(';').slice(1).forEach(part => {
+      const method = part.match(/^\s*(dkim|spf|dmarc)=(\w+)/i);
+      if (!method) return;
+      const name = method[1].toLowerCase();
+      if (methods[name] && methods[name].result === 'pass') return; // keep a passing signature
+      const property = part.match(/\b(?:header\.d|header\.i|smtp\.mailfrom|header\.from)=(\S+)/i);
+      methods[name] = { result: method[2].toLowerCase(), domain: property ? domainOf(property[1]) : '' };
+    });
+    return methods;
+  }
+
+  /**
+   * Whether the receiving server verified that the email really comes from
+   * the sender's domain: DMARC passed, or DKIM or SPF passed for that domain
+   * @param {string} raw - msg.getRawContent()
+   * @param {string} email - Sender address from the From header
+   * @returns {{ok:boolean, reason:string}}
+   */
+  function authenticate(raw, email) {
+    const authServId = String(Config.get('authServId') || DEFAULT_AUTHSERV_ID).trim().toLowerCase();
+    const methods = readAuthResults(raw, authServId);
+    if (!methods) return { ok: false, reason: `no Authentication-Results header from ${authServId}` };
+
+    const senderDomain = domainOf(email);
+    const passed = ['dmarc', 'dkim', 'spf'].find(name => methods[name] && methods[name].result === 'pass' &&
+      aligned(methods[name].domain, senderDomain));
+    if (passed) return { ok: true, reason: `${passed}=pass` };
+
+    const results = ['dkim', 'spf', 'dmarc']
+      .map(name => `${name}=${methods[name] ? methods[name].result : 'none'}`)
+      .join(' ');
+    return { ok: false, reason: `not authenticated for ${senderDomain} (${results})` };
+  }
+
+  /** Index of the sender's Members row, or -1 */
+  function findMember(table, email) {
+    const key = String(email).toLowerCase().trim();
+    return table.rows().findIndex(row => String(table.get(row, 'Email')).toLowerCase().trim() === key);
+  }
+
+  /**
+   * Decide whether a command email may run. A new sender from an allowed
+   * domain is added to the Members tab as pending.
+   * @returns {{status:string, reason:string, isNew:boolean}} status 'allowed', 'quarantined' or 'rejected'
+   */
+  function screen(email, raw) {
+    const auth = authenticate(raw, email);
+    if (!auth.ok) return { status: 'rejected', reason: auth.reason, isNew: false };
+    if (Config.isAdmin(email)) return { status: 'allowed', reason: 'admin', isNew: false };
+
+    const table = Schemas.open(Schemas.MEMBERS);
+    const index = findMember(table, email);
+    if (index >= 0) {
+      const status = String(table.get(table.rows()[index], 'Status')).toLowerCase().trim();
+      table.set(index, { 'Last Seen': new Date() });
+      if (status === APPROVED) return { status: 'allowed', reason: 'member', isNew: false };
+      if (status === BLOCKED) return { status: 'rejected', reason: 'blocked in the Members tab', isNew: false };
+      return { status: 'quarantined', reason: 'awaiting approval', isNew: false };
+    }
+
+    const domain = domainOf(email);
+    if (!Config.getList('allowedDomains').includes(domain)) {
+      return { status: 'rejected', reason: `not a member, and ${domain} is not an allowed domain`, isNew: false };
+    }
+    table.append({ Email: email, Status: PENDING, 'First Seen': new Date(), 'Last Seen': new Date() });
+    return { status: 'quarantined', reason: 'new sender, awaiting approval', isNew: true };
+  }
+
+  /**
+   * Approve a sender, adding them to the Members tab if needed
+   * @param {object} table - Members table, when approving several at once
+   * @returns {{email:string, previous:string}} previous status ('' if new)
+   */
+  function approve(email, approvedBy, table = Schemas.open(Schemas.MEMBERS)) {
+    const index = findMember(table, email);
+    const values = { Status: APPROVED, 'Approved By': approvedBy };
+    if (index < 0) {
+      table.append({ Email: email, 'First Seen': new Date(), ...values });
+      return { email, previous: '' };
+    }
+    const previous = String(table.get(table.rows()[index], 'Status')).toLowerCase().trim();
+    table.set(index, values);
+    return { email, previous };
+  }
+
+  /** Status of a sender in the Members tab ('' if not listed) */
+  function statusOf(email, table = Schemas.find(Schemas.MEMBERS)) {
+    if (!table) return '';
+    const index = findMember(table, email);
+    return index < 0 ? '' : String(table.get(table.rows()[index], 'Status')).toLowerCase().trim();
+  }
+
+  /**
+   * Emails held in quarantine and not handled since, from the Config Log
+   * @returns {Array<{from:string, messageId:string}>}
+   */
+  function heldMessages() {
+    const table = Schemas.find(Schemas.CONFIG_LOG);
+    if (!table) return [];
+    const latest = {};
+    table.rows().forEach(row => {
+      const messageId = table.get(row, 'Message ID');
+      if (messageId) latest[messageId] = { from: table.get(row, 'From'), status: table.get(row, 'Status') };
+    });
+    return Object.keys(latest)
+      .filter(messageId => latest[messageId].status === 'quarantined')
+      .map(messageId => ({ from: latest[messageId].from, messageId }));
+  }
+
+  /** Tell the admins that a new sender is waiting. A failed notice is logged, not thrown. */
+  function notifyAdmins(email, subject) {
+    const admins = Config.getList('admins');
+    if (admins.length === 0) return;
+    try {
+      MailApp.sendEmail({
+        to: admins.join(','),
+        subject: `Scriba: ${email} is waiting for approval`,
+        htmlBody: MessageBuilder.buildApprovalRequest(email, subject)
+      });
+    } catch (err) {
+      Logger.log(`⚠️ Could not notify admins about ${email}: ${err.message}`);
+    }
+  }
+
+  return {
+    APPROVED, PENDING, BLOCKED, authenticate, screen, approve, statusOf, heldMessages, notifyAdmins
+  };
+})();
+
+/**
+ * Add every ledger account holder to the Members tab as approved. Run once
+ * from the editor when enabling the allowlist, so existing members are not
+ * quarantined; accounts already listed are left as they are.
+ */
+function seedMembers() {
+  Environment.current();
+  const balances = JSON.parse(Wavebucks.exportLedger({ tables: ['Balances'] })).tables.Balances;
+  const table = Schemas.open(Schemas.MEMBERS);
+  const emails = balances.rows
+    .map(row => String(row[WavebucksConfig.BAL_EMAIL_COL]).toLowerCase().trim())
+    .filter((email, i, list) => email.includes('@') && !Wavebucks.isSystemAccount(email) && list.indexOf(email) === i)
+    .filter(email => !Senders.statusOf(email, table));
+  emails.forEach(email => Senders.approve(email, 'seedMembers', table));
+  Logger.log(`&#9989; Added ${emails.length} members`);
+  return emails;
+}
@@ -38,3 +38,31 @@ const ServiceAdapters = (() => {
   };
 
 })();
+
+/**
+ * One-off migration of legacy escrow, run from the script editor: wagers and
+ * rewards taken before pots and escrow were ledger accounts were debited to
+ * nowhere, so their accounts hold less than the sheets promise. Logs every
+ * open Causa and Commissio short of funds; with apply, credits each shortfall
+ * from external. Review the dry run first: a shortfall may also come from a
+ * hand-edited cell. Each account is migrated at most once.
+ * @returns {Array<object>} The shortfalls, see Causae.legacyShortfalls
+ */
+function migrateLegacyEscrows(apply = false) {
+  Logger.log(`Environment: ${Environment.current().label}`);
+  const shortfalls = Causae.legacyShortfalls().concat(Commissio.legacyShortfalls());
+  shortfalls.forEach(s => {
+    const missing = Wavebucks.sumAmounts([s.expected, -s.held], s.currency);
+    Logger.log(`${s.label}: ${s.account} holds ${formatMoney(s.held, s.currency)} of ` +
+               `${formatMoney(s.expected, s.currency)}, short ${formatMoney(missing, s.currency)}`);
+    if (apply) {
+      const txId = Wavebucks.migrateLegacyEscrow(s.account, s.expected,
+        { source: 'LEGACY-ESCROW', idempotencyKey: `LEGACY-ESCROW:${s.account}`, currency: s.currency });
+      Logger.log(`  &#128230; Migrated as ${txId}`);
+    }
+  });
+  Logger.log(shortfalls.length === 0
+    ? '&#9989; Every open Causa and Commissio is fully funded'
+    : `${shortfalls.length} short of funds${apply ? ', migrated' : '; run migrateLegacyEscrows(true) to migrate'}`);
+  return shortfalls;
+}
@@ -185,6 +185,72 @@ function testCommandParsers() {
       CommandParsers.parseTransfer('TRANSFER user@example.com');
     }, 'Should throw when missing amount');
   });
+
+  TestRunner.test('parseTransfer - optional currency code', () => {
+    TestRunner.assertEqual(CommandParsers.parseTransfer('TRANSFER user@example.com 25 ART').currency, 'ART', 'Code');
+    TestRunner.assertEqual(CommandParsers.parseTransfer('TRANSFER user@example.com 25').currency, null, 'Default');
+  });
+
+  TestRunner.test('parseTransfer - decimal amount', () => {
+    const parsed = CommandParsers.parseTransfer('TRANSFER user@example.com 2.5');
+    TestRunner.assertEqual(parsed.amount, 2.5, 'Amount');
+    TestRunner.assertEqual(parsed.currency, null, 'Decimals are not a currency code');
+  });
+
+  TestRunner.test('parseHistory - defaults', () => {
+    const parsed = CommandParsers.parseHistory('HISTORY');
+
+    TestRunner.assertEqual(parsed.page, 1, 'Page should default to 1');
+    TestRunner.assertEqual(parsed.from, null, 'From should default to null');
+    TestRunner.assertEqual(parsed.to, null, 'To should default to null');
+  });
+
+  TestRunner.test('parseHistory - page and date range', () => {
+    const parsed = CommandParsers.parseHistory('HISTORY PAGE 2 FROM 2025-11-01 TO 2025-11-30');
+
+    TestRunner.assertEqual(parsed.page, 2, 'Page should be 2');
+    TestRunner.assertEqual(parsed.from.getDate(), 1, 'From should be Nov 1');
+    TestRunner.assertEqual(parsed.to.getDate(), 30, 'To should be Nov 30');
+    TestRunner.assertEqual(parsed.to.getHours(), 23, 'To should include the whole day');
+  });
+
+  TestRunner.test('parseHistory - reversed range throws', () => {
+    TestRunner.assertThrows(() => {
+      CommandParsers.parseHistory('HISTORY FROM 2025-12-01 TO 2025-11-01');
+    }, 'Should throw when FROM is after TO');
+  });
+
+  TestRunner.test('parseMint - email, amount and reason', () => {
+    const parsed = CommandParsers.parseMint('MINT Friend@Example.com 100 Festival volunteer stipend');
+    TestRunner.assertEqual(parsed.email, 'friend@example.com', 'Email should be lowercased');
+    TestRunner.assertEqual(parsed.amount, 100, 'Amount should be 100');
+    TestRunner.assertEqual(parsed.reason, 'Festival volunteer stipend', 'Reason should be the rest of the line');
+  });
+
+  TestRunner.test('parseMint - currency code is not part of the reason', () => {
+    const parsed = CommandParsers.parseMint('MINT friend@example.com 100 ART Gallery opening');
+    TestRunner.assertEqual(parsed.currency, 'ART', 'Currency');
+    TestRunner.assertEqual(parsed.reason, 'Gallery opening', 'Reason');
+  });
+
+  TestRunner.test('parseBurn - missing reason throws', () => {
+    TestRunner.assertThrows(() => {
+      CommandParsers.parseBurn('BURN friend@example.com 40');
+    }, 'Should throw without a reason');
+  });
+
+  TestRunner.test('parseReverse - DEBT flag and reason', () => {
+    const parsed = CommandParsers.parseReverse('REVERSE tx-42 DEBT Typo in recipient');
+    TestRunner.assertEqual(parsed.txId, 'TX-42', 'Transaction ID should be uppercased');
+    TestRunner.assertEqual(parsed.allowDebt, true, 'DEBT should allow a negative balance');
+    TestRunner.assertEqual(parsed.reason, 'Typo in recipient', 'Reason should follow the flag');
+  });
+
+  TestRunner.test('parseReverse - reason only', () => {
+    const parsed = CommandParsers.parseReverse('REVERSE TX-7 Debtor paid twice');
+    TestRunner.assertEqual(parsed.allowDebt, false, 'A reason starting with "Debt" is not the flag');
+    TestRunner.assertEqual(parsed.reason, 'Debtor paid twice', 'Reason');
+  });
 }
 
 // ============================================================================
@@ -255,6 +321,63 @@ function testInboxProcessor() {
 
     TestRunner.assertEqual(email, 'john@example.com', 'Should handle plain email');
   });
+
+  TestRunner.test('splitCommands - one block per command line', () => {
+    const blocks = InboxProcessor.splitCommands('VOTE 1 0 5\nVOTE 2 1 5\nsee you there\nQUOT\n--\nVOTE 3 0 5');
+    TestRunner.assertEqual(blocks.map(b => b.command.type).join(' '), 'VOTE VOTE QUOT', 'Should stop at the signature');
+    TestRunner.assertEqual(blocks[1].text, 'VOTE 2 1 5\nsee you there', 'Other lines belong to the command above');
+    TestRunner.assertEqual(InboxProcessor.splitCommands('VOTE 1 0 5\ncomplete novice here').length, 1,
+      'Later commands must be in capitals');
+    TestRunner.assertEqual(InboxProcessor.splitCommands('Hi!\nQUOT').length, 0, 'Body must start with a command');
+  });
+
+  TestRunner.test('readHeaders - ALL-OR-NOTHING and SANDBOX in either order', () => {
+    const headers = InboxProcessor.readHeaders('ALL-OR-NOTHING\nSANDBOX\nVOTE 1 0 5');
+    TestRunner.assert(headers.allOrNothing && headers.sandbox, 'Should find both');
+    TestRunner.assertEqual(headers.body, 'VOTE 1 0 5', 'Should leave the commands');
+  });
+
+  TestRunner.test('readCommands - subject line when the body has none', () => {
+    const fromSubject = InboxProcessor.readCommands('Thanks!', 'QUOT', 'body');
+    TestRunner.assertEqual(fromSubject.source, 'subject', 'Should fall back to the subject');
+    TestRunner.assert(fromSubject.fallback, 'Should flag the fallback');
+    TestRunner.assertEqual(InboxProcessor.readCommands('QUOT', 'VOTE 3 1 10', 'subject').blocks[0].command.type, 'VOTE',
+      'subject precedence reads the subject first');
+    TestRunner.assertEqual(InboxProcessor.readCommands('Thanks!', 'QUOT', 'body-only').source, null,
+      'body-only never reads the subject');
+    TestRunner.assertEqual(InboxProcessor.readCommands('Thanks!', 'Re: VOTE 3 1 10', 'body').source, null,
+      'Replies must not repeat the command in their subject');
+  });
+
+  TestRunner.test('Senders.authenticate - trusts only the receiving server', () => {
+    const raw = results => `Delivered-To: scribasenatus@example.org\r\n${results}\r\n` +
+      'From: Friend <friend@example.com>\r\nSubject: QUOT\r\n\r\nAuthentication-Results: mx.google.com; dmarc=pass\r\n';
+    const passing = raw('Authentication-Results: mx.google.com;\r\n       dkim=pass header.i=@example.com header.s=s1;\r\n' +
+      '       spf=pass (google.com: domain of friend@example.com designates 192.0.2.1 as permitted sender) ' +
+      'smtp.mailfrom=friend@example.com;\r\n       dmarc=pass (p=NONE sp=NONE dis=NONE) header.from=example.com');
+    TestRunner.assert(Senders.authenticate(passing, 'friend@example.com').ok, 'Should accept a passing sender');
+
+    const forged = raw('Authentication-Results: mx.google.com; spf=softfail smtp.mailfrom=friend@example.com; dmarc=fail ' +
+      'header.from=example.com\r\nAuthentication-Results: evil.example.net; dkim=pass header.d=example.com');
+    const result = Senders.authenticate(forged, 'friend@example.com');
+    TestRunner.assert(!result.ok, 'Should ignore results added by another server');
+    TestRunner.assert(result.reason.includes('spf=softfail'), 'Should give the failed checks as the reason');
+
+    const otherDomain = raw('Authentication-Results: mx.google.com; dkim=pass header.i=@attacker.example');
+    TestRunner.assert(!Senders.authenticate(otherDomain, 'friend@example.com').ok, 'DKIM must be for the sender domain');
+    TestRunner.assert(!Senders.authenticate(raw(''), 'friend@example.com').ok, 'Should refuse a body-only header');
+  });
+
+  TestRunner.test('Environment.stripSandbox - removes the SANDBOX prefix', () => {
+    const result = Environment.stripSandbox('SANDBOX QUOT');
+    TestRunner.assert(result.sandbox, 'Should flag a sandbox command');
+    TestRunner.assertEqual(result.body, 'QUOT', 'Should leave the command');
+  });
+
+  TestRunner.test('Environment.banner - names the environment of this deployment', () => {
+    const profile = Environment.current();
+    TestRunner.assert(Environment.banner().toUpperCase().includes(profile.label.toUpperCase()), 'Should name the profile');
+  });
 }
 
 // ============================================================================
@@ -263,8 +386,8 @@ function testInboxProcessor() {
 
 function testDispatchTable() {
   TestRunner.test('DispatchTable has required handlers', () => {
-    const requiredHandlers = ['HELP', 'QUOT', 'CAUSA', 'VOTE', 'RESOLVE',
-                              'COMMISSIO', 'ACCEPT', 'COMPLETE', 'TRANSFER'];
+    const requiredHandlers = ['HELP', 'QUOT', 'HISTORY', 'CAUSA', 'VOTE', 'RESOLVE',
+                              'COMMISSIO', 'ACCEPT', 'COMPLETE', 'TRANSFER', 'SUPPLY', 'MINT', 'BURN', 'REVERSE'];
 
     requiredHandlers.forEach(handler => {
       TestRunner.assert(
@@ -274,6 +397,29 @@ function testDispatchTable() {
     });
   });
 
+  TestRunner.test('MINT handler refuses non-treasurers', () => {
+    const reply = DispatchTable.MINT('not-a-treasurer@example.com', 'MINT a@example.com 5 Test', '', null, '');
+    TestRunner.assert(replyHtml(reply).includes('Only treasurers'), 'Should refuse before touching the ledger');
+    TestRunner.assert(reply.error && reply.error.message.includes('Only treasurers'), 'Should report the error as data');
+  });
+
+  TestRunner.test('REVERSE handler refuses non-admins', () => {
+    const reply = DispatchTable.REVERSE('not-an-admin@example.com', 'REVERSE TX-1', '', null, '');
+    TestRunner.assert(replyHtml(reply).includes('Only admins'), 'Should refuse before touching the ledger');
+  });
+
+  TestRunner.test('ledgerSource combines command and message ID', () => {
+    TestRunner.assertEqual(ledgerSource('VOTE', 'abc123'), 'VOTE:abc123', 'Should join type and message ID');
+    TestRunner.assertEqual(ledgerSource('VOTE', ''), 'VOTE', 'Should fall back to type alone');
+  });
+
+  TestRunner.test('ledgerOptions keys postings on the message ID', () => {
+    const options = ledgerOptions('VOTE', 'abc123');
+    TestRunner.assertEqual(options.source, 'VOTE:abc123', 'Source should name command and message');
+    TestRunner.assertEqual(options.idempotencyKey, 'VOTE:abc123', 'Key should be tied to the message');
+    TestRunner.assertEqual(ledgerOptions('VOTE', '').idempotencyKey, '', 'No message ID means no key');
+  });
+
   TestRunner.test('DispatchTable has DEFAULT handler', () => {
     TestRunner.assert(
       typeof DispatchTable.DEFAULT === 'function',
@@ -282,6 +428,30 @@ function testDispatchTable() {
   });
 }
 
+// ============================================================================
+// WEB API TESTS
+// ============================================================================
+
+function testWebApi() {
+  TestRunner.test('CommandApi refuses unsigned and unknown requests', () => {
+    TestRunner.assertEqual(CommandApi.handle('not json', '').error, 'Body must be a JSON object', 'Should need JSON');
+    const body = JSON.stringify({ client: 'no-such-client', email: 'a@example.com', command: 'QUOT' });
+    TestRunner.assertEqual(CommandApi.handle(body, 'abc').error, 'Unknown client', 'Should need a registered client');
+  });
+
+  TestRunner.test('CommandApi.sign is a hex HMAC-SHA256', () => {
+    const signature = CommandApi.sign('{"client":"kiosk"}', 'secret');
+    TestRunner.assert(/^[0-9a-f]{64}$/.test(signature), 'Should be 64 hex characters');
+    TestRunner.assert(signature !== CommandApi.sign('{"client":"kiosk"}', 'other'), 'Should depend on the secret');
+  });
+
+  TestRunner.test('WebApi refuses requests without a token', () => {
+    const result = WebApi.handle({ route: 'balance' });
+    TestRunner.assertEqual(result.ok, false, 'Should not answer');
+    TestRunner.assertEqual(result.error, 'Invalid or missing token', 'Should explain why');
+  });
+}
+
 // ============================================================================
 // SERVICE ADAPTERS TESTS
 // ============================================================================
@@ -318,11 +488,132 @@ function testMessageBuilder() {
     TestRunner.assert(msg.includes('Error'), 'Should indicate it is an error');
   });
 
+  TestRunner.test('MessageBuilder.buildHandlerError renders InsufficientFunds', () => {
+    const err = new Wavebucks.InsufficientFunds('a@example.com', 5, 20, 10);
+    const msg = MessageBuilder.buildHandlerError('Transfer failed', err);
+    TestRunner.assert(msg.includes('Insufficient Funds'), 'Should use the insufficient funds layout');
+    TestRunner.assert(msg.includes('&#8361;15'), 'Should show available funds');
+  });
+
+  TestRunner.test('MessageBuilder.buildHandlerError renders SpendingLimitExceeded', () => {
+    const err = new Wavebucks.SpendingLimitExceeded('a@example.com', 'daily', 40,
+      { dailyLimit: 100, transactionLimit: null, spentToday: 75 });
+    const msg = MessageBuilder.buildHandlerError('Transfer failed', err);
+    TestRunner.assert(msg.includes('Spending Limit Reached'), 'Should use the spending limit layout');
+    TestRunner.assert(msg.includes('&#8361;25'), 'Should show what is left today');
+  });
+
+  TestRunner.test('MessageBuilder.buildHandlerError prefixes other errors', () => {
+    const msg = MessageBuilder.buildHandlerError('Vote failed', new Error('Causa 9 not found'));
+    TestRunner.assert(msg.includes('Vote failed: Causa 9 not found'), 'Should include action and message');
+  });
+
+  TestRunner.test('MessageBuilder.buildBatchReply - one section per command', () => {
+    const batch = {
+      allOrNothing: true, rolledBack: true, status: 'rolled back',
+      results: [
+        { index: 1, type: 'VOTE', text: 'VOTE 1 0 5', reply: '<p>Vote recorded</p>', state: 'rolled back' },
+        { index: 2, type: 'VOTE', text: 'VOTE 9 0 5', reply: handlerError('Vote failed', new Error('Causa 9 not found')),
+          state: 'failed' },
+        { index: 3, type: 'QUOT', text: 'QUOT', reply: null, state: 'skipped' }
+      ]
+    };
+    const msg = MessageBuilder.buildBatchReply(batch).htmlBody;
+    TestRunner.assert(msg.includes('command #2 failed'), 'Should name the failed command');
+    TestRunner.assert(msg.includes('Causa 9 not found'), 'Should include its error');
+    TestRunner.assert(msg.includes('Rolled back'), 'Should mark rolled back commands');
+    TestRunner.assert(msg.includes('Not run'), 'Should mark skipped commands');
+  });
+
+  TestRunner.test('MessageBuilder.buildStatement pages entries', () => {
+    const entries = [];
+    for (let i = 0; i < STATEMENT_PAGE_SIZE + 5; i++) {
+      entries.push({ timestamp: new Date(), txId: `TX-${i}`, amount: -1, notes: `Entry ${i}`,
+                     balance: i, counterparty: 'pot:causa:3', reference: 'Causa 3' });
+    }
+    const first = MessageBuilder.buildStatement(entries, { page: 1 });
+    const second = MessageBuilder.buildStatement(entries, { page: 2 });
+
+    TestRunner.assert(first.includes('HISTORY PAGE 2'), 'First page should point to the next page');
+    TestRunner.assert(first.includes('Causa 3'), 'Should show the originating reference');
+    TestRunner.assert(second.includes(`Entry ${STATEMENT_PAGE_SIZE}`), 'Second page should continue the list');
+    TestRunner.assert(!second.includes('HISTORY PAGE 3'), 'Last page should not point further');
+  });
+
+  TestRunner.test('MessageBuilder.buildStatement escapes member text', () => {
+    const entries = [{ timestamp: new Date(), txId: 'TX-1', amount: 5, balance: 5, counterparty: 'b@example.com',
+                       notes: 'Transfer <img src=x onerror=alert(1)>', reference: '<b>Causa 3</b>' }];
+    const msg = MessageBuilder.buildStatement(entries);
+    TestRunner.assert(!msg.includes('<img'), 'Should escape markup in notes');
+    TestRunner.assert(msg.includes('&lt;b&gt;Causa 3'), 'Should escape markup in the reference');
+  });
+
+  TestRunner.test('toCsvCell quotes commas and quotes', () => {
+    TestRunner.assertEqual(toCsvCell('plain'), 'plain', 'Plain text is unchanged');
+    TestRunner.assertEqual(toCsvCell('a, "b"'), '"a, ""b"""', 'Commas and quotes are escaped');
+  });
+
+  TestRunner.test('MessageBuilder.buildSupply shows totals, cap and mints', () => {
+    const supply = {
+      circulating: 900, escrowed: 100, total: 1000, minted: 1200, burned: 200,
+      mints: [{ txId: 'TX-7', timestamp: new Date(), account: 'a@example.com', amount: 50, reason: 'Festival' }]
+    };
+    const msg = MessageBuilder.buildSupply(supply, 1500);
+    TestRunner.assert(msg.includes('&#8361;900'), 'Should show circulating supply');
+    TestRunner.assert(msg.includes('&#8361;500'), 'Should show what can still be minted');
+    TestRunner.assert(msg.includes('Festival'), 'Should list mint reasons');
+    TestRunner.assert(MessageBuilder.buildSupply(supply, '').includes('none'), 'Blank cap means no cap');
+  });
+
+  TestRunner.test('MessageBuilder.buildReversalNotice explains the effect per party', () => {
+    const result = {
+      txId: 'TX-9', reason: 'Typo', alreadyApplied: false, debt: null,
+      original: { txId: 'TX-5', amount: 25, debitAccount: 'a@example.com', creditAccount: 'b@example.com', memo: 'Transfer' }
+    };
+    const sender = MessageBuilder.buildReversalNotice(result, 'a@example.com', 30);
+    const recipient = MessageBuilder.buildReversalNotice(result, 'b@example.com', -5);
+    TestRunner.assert(sender.includes('returned to your account'), 'Sender gets the funds back');
+    TestRunner.assert(recipient.includes('taken back'), 'Recipient loses the funds');
+    TestRunner.assert(recipient.includes('&#8361;-5'), 'Recipient sees the debt');
+  });
+
+  TestRunner.test('MessageBuilder reversal emails escape memos, reasons and accounts', () => {
+    const result = {
+      txId: 'TX-9', reason: '<i>Typo</i>', alreadyApplied: false, debt: { account: 'b<x>@example.com', balance: -5 },
+      original: { txId: 'TX-5', amount: 25, debitAccount: 'a@example.com', creditAccount: 'b<x>@example.com',
+                  memo: '<script>Rent</script>' }
+    };
+    [MessageBuilder.buildReversal(result), MessageBuilder.buildReversalNotice(result, 'a@example.com', 30)].forEach(msg => {
+      TestRunner.assert(msg.includes('&lt;script&gt;Rent'), 'Should escape the memo');
+      TestRunner.assert(msg.includes('&lt;i&gt;Typo'), 'Should escape the reason');
+      TestRunner.assert(msg.includes('b&lt;x&gt;@example.com'), 'Should escape the account');
+      TestRunner.assert(!msg.includes('<script>'), 'Should leave no raw markup');
+    });
+  });
+
   TestRunner.test('MessageBuilder.buildDigest includes balance', () => {
     const msg = MessageBuilder.buildDigest({ balance: 100 });
     TestRunner.assert(msg.includes('100'), 'Should include balance');
     TestRunner.assert(msg.includes('Balance'), 'Should have balance label');
   });
+
+  TestRunner.test('MessageBuilder.buildDigest includes escrow total', () => {
+    const msg = MessageBuilder.buildDigest({ balance: 100, escrow: 42 });
+    TestRunner.assert(msg.includes('Escrow'), 'Should have escrow label');
+    TestRunner.assert(msg.includes('&#8361;42'), 'Should format the escrow total with the currency symbol');
+  });
+
+  TestRunner.test('MessageBuilder.buildDigest lists balances in other currencies', () => {
+    const msg = MessageBuilder.buildDigest({ balance: 100, others: [{ currency: 'WB', balance: 7 }] });
+    TestRunner.assert(msg.includes('Wavebucks:'), 'Should label the currency by name');
+    TestRunner.assert(msg.includes('&#8361;7'), 'Should format with the currency symbol');
+  });
+
+  TestRunner.test('MessageBuilder.buildDigest formats the balance with its precision', () => {
+    const msg = MessageBuilder.buildDigest({ balance: 2.5, escrow: 0 });
+    TestRunner.assert(msg.includes(formatMoney(2.5)), 'Should format the balance');
+    TestRunner.assert(!msg.includes('₩'), 'Should not print a bare symbol');
+  });
 }
 
 // ============================================================================
@@ -359,6 +650,112 @@ function testCommissionesService() {
     const list = Commissio.getActiveList();
     TestRunner.assert(Array.isArray(list), 'Should return array');
   });
+
+  TestRunner.test('Commissiones schema accepts the documented column names', () => {
+    const report = WavebucksConfig.compareHeaders(Schemas.COMMISSIONES, ['ID', 'Title', 'Creator Email', 'Reward',
+      'Expiry Date', 'Status', 'Assigned To', 'Created Date', 'Completed Date', 'Notes', 'Currency']);
+    TestRunner.assert(report.ok, 'Should find every column');
+    TestRunner.assertEqual(report.columns.Assignee, 6, 'Assigned To should be the Assignee column');
+  });
+}
+
+// ============================================================================
+// WAVEBUCKS LIBRARY TESTS
+// ============================================================================
+
+function testWavebucksLibrary() {
+  TestRunner.test('Wavebucks library has required methods', () => {
+    ['InsufficientFunds', 'SpendingLimitExceeded', 'setStore', 'ensureAccount', 'getBalance',
+     'getSpendingAllowance', 'credit', 'debit', 'transfer', 'applyBatch', 'withLock',
+     'withStep', 'escrowAccount', 'potAccount', 'isSystemAccount', 'getLockedFunds', 'mint', 'burn',
+     'getSupply', 'migrateLegacyEscrow',
+     'getTransaction', 'reverse', 'getHistory', 'openJournal', 'rebuildBalances', 'reconcile',
+     'runAllowance'].forEach(method => {
+      TestRunner.assert(typeof Wavebucks[method] === 'function', `Should have ${method} method`);
+    });
+  });
+
+  TestRunner.test('transfer - rejects non-positive amount', () => {
+    TestRunner.assertThrows(() => {
+      Wavebucks.transfer('a@example.com', 'b@example.com', 0, 'test');
+    }, 'Should throw on zero amount');
+  });
+
+  TestRunner.test('transfer - rejects transfer to self', () => {
+    TestRunner.assertThrows(() => {
+      Wavebucks.transfer('a@example.com', 'A@example.com', 5, 'test');
+    }, 'Should throw when sender and recipient match');
+  });
+
+  TestRunner.test('transfer - requires at least one account', () => {
+    TestRunner.assertThrows(() => {
+      Wavebucks.transfer(null, null, 5, 'test');
+    }, 'Should throw without sender or recipient');
+  });
+
+  TestRunner.test('InsufficientFunds carries balance details', () => {
+    const err = new Wavebucks.InsufficientFunds('a@example.com', 5, 20, 10);
+    TestRunner.assertEqual(err.name, 'InsufficientFunds', 'Should be named InsufficientFunds');
+    TestRunner.assertEqual(err.available, 15, 'Available should include credit limit');
+    TestRunner.assert(err.message.includes('Insufficient funds'), 'Message should explain the failure');
+  });
+
+  TestRunner.test('withStep derives one idempotency key per step', () => {
+    const options = Wavebucks.withStep({ source: 'VOTE:abc', idempotencyKey: 'VOTE:abc' }, 'wager');
+    TestRunner.assertEqual(options.idempotencyKey, 'VOTE:abc:wager', 'Step should be appended to the key');
+    TestRunner.assertEqual(options.source, 'VOTE:abc', 'Source should be unchanged');
+    TestRunner.assertEqual(Wavebucks.withStep({ source: 'x' }, 'wager').idempotencyKey, undefined,
+      'Options without a key stay keyless');
+  });
+
+  TestRunner.test('System account names', () => {
+    TestRunner.assertEqual(Wavebucks.escrowAccount('Commissio', 5), 'escrow:commissio:5', 'Escrow account name');
+    TestRunner.assertEqual(Wavebucks.potAccount('causa', 3), 'pot:causa:3', 'Pot account name');
+    TestRunner.assert(Wavebucks.isSystemAccount('pot:causa:3'), 'Pot should be a system account');
+    TestRunner.assert(!Wavebucks.isSystemAccount('user@example.com'), 'Member should not be a system account');
+  });
+
+  TestRunner.test('nightlyReconcile trigger entry point exists', () => {
+    TestRunner.assert(typeof nightlyReconcile === 'function', 'Should define nightlyReconcile');
+  });
+
+  TestRunner.test('weeklyAllowance trigger entry point exists', () => {
+    TestRunner.assert(typeof weeklyAllowance === 'function', 'Should define weeklyAllowance');
+  });
+
+  TestRunner.test('runAllowance - rejects a demurrage rate above 100%', () => {
+    TestRunner.assertThrows(() => Wavebucks.runAllowance({ dryRun: true, demurrageRate: 150 }),
+      'Should throw on an impossible rate');
+  });
+
+  TestRunner.test('setStore - memory store keeps postings off the spreadsheet', () => {
+    const store = LedgerStore.createMemoryStore({ accounts: [['a@example.com', 10, new Date()]] });
+    try {
+      Wavebucks.setStore(store);
+      Wavebucks.transfer('a@example.com', 'b@example.com', 3, 'Store test');
+      TestRunner.assertEqual(Wavebucks.getBalance('b@example.com'), 3, 'Recipient balance');
+      TestRunner.assertEqual(store.journal.read().length, 1, 'Journal entry in memory');
+    } finally {
+      Wavebucks.setStore(null);
+    }
+  });
+
+  TestRunner.test('applyBatch - rejects an empty batch', () => {
+    TestRunner.assertThrows(() => Wavebucks.applyBatch([]), 'Should throw on empty batch');
+  });
+
+  TestRunner.test('applyBatch - validates every op before touching the ledger', () => {
+    TestRunner.assertThrows(() => {
+      Wavebucks.applyBatch([
+        { from: 'pot:causa:1', to: 'a@example.com', amount: 5 },
+        { from: 'pot:causa:1', to: 'b@example.com', amount: -1 }
+      ]);
+    }, 'Should throw when any op has a non-positive amount');
+  });
+
+  TestRunner.test('getTransaction - unknown ID returns null', () => {
+    TestRunner.assertEqual(Wavebucks.getTransaction('TX-does-not-exist'), null, 'Should return null');
+  });
 }
 
 // ============================================================================
@@ -496,6 +893,9 @@ function runAllTests() {
   Logger.log('\nRunning DispatchTable tests...');
   testDispatchTable();
 
+  Logger.log('\nRunning Web API tests...');
+  testWebApi();
+
   Logger.log('\nRunning ServiceAdapters tests...');
   testServiceAdapters();
 
@@ -508,6 +908,9 @@ function runAllTests() {
   Logger.log('\nRunning Commissiones Service tests...');
   testCommissionesService();
 
+  Logger.log('\nRunning Wavebucks Library tests...');
+  testWavebucksLibrary();
+
   Logger.log('\nRunning Personality tests...');
   testPersonality();
 
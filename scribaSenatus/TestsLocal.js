@@ -4,14 +4,49 @@
  * Run with: node TestsLocal.js
  */
 
-// Mock Logger for Node.js
-const Logger = {
-  log: console.log
+// Test results are printed with report(); what the code under test logs through Logger and
+// console is dropped, unless run as VERBOSE=1 node TestsLocal.js
+const report = console.log.bind(console);
+const quiet = () => {};
+global.Logger = { log: process.env.VERBOSE ? report : quiet };
+if (!process.env.VERBOSE) global.console = { ...console, log: quiet, info: quiet, warn: quiet, error: quiet };
+
+// Config spreadsheet tabs as arrays of rows (header first), settable per test;
+// every spreadsheet ID opens the same tabs
+const configTabs = {};
+global.SpreadsheetApp = {
+  openById: () => ({
+    getSheetByName: name => (configTabs[name] ? fakeSheet(configTabs[name]) : null),
+    insertSheet: name => fakeSheet(configTabs[name] = [])
+  })
 };
+global.GmailApp = {};
 
-// Mock Google Apps Script globals
-const SpreadsheetApp = {};
-const GmailApp = {};
+// Script Properties for the ledger, settable per test
+const scriptProperties = {};
+global.PropertiesService = {
+  getScriptProperties: () => ({ getProperty: key => (key in scriptProperties ? scriptProperties[key] : null) })
+};
+
+// Utilities.computeDigest for the Log hash chain, returning signed bytes like Apps Script
+global.Utilities = {
+  DigestAlgorithm: { SHA_256: 'sha256' },
+  Charset: { UTF_8: 'utf8' },
+  computeDigest: (algorithm, text, charset) =>
+    Array.from(require('crypto').createHash(algorithm).update(text, charset).digest()).map(b => (b > 127 ? b - 256 : b))
+};
+
+// Load the real ledger (WavebucksConfig, LedgerStore, Wavebucks), Environment, Config,
+// CommandParsers, Schemas, WebApi, InboxProcessor and the handlers it dispatches to; tests run the ledger on an in-memory store and the
+// Config spreadsheet on configTabs
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+['sheetConfig.js', 'LedgerStore.js', 'WavebucksCore.js', 'Environment.js', 'Config.js', 'CommandParsers.js',
+ 'Schemas.js', 'WebApi.js', 'InboxProcessor.js', 'DispatchService.js', 'Senders.js', 'Causae.js', 'Commissiones.js',
+ 'Backups.js'].forEach(file => {
+  vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+});
 
 // Import the test framework
 const TestRunner = (() => {
@@ -45,10 +80,10 @@ const TestRunner = (() => {
     try {
       fn();
       results.push({ name, status: 'PASS', error: null });
-      Logger.log(`✅ PASS: ${name}`);
+      report(`✅ PASS: ${name}`);
     } catch (e) {
       results.push({ name, status: 'FAIL', error: e.message });
-      Logger.log(`❌ FAIL: ${name}\n   ${e.message}`);
+      report(`❌ FAIL: ${name}\n   ${e.message}`);
     }
   }
 
@@ -63,219 +98,15 @@ const TestRunner = (() => {
   function summary() {
     const passed = results.filter(r => r.status === 'PASS').length;
     const failed = results.filter(r => r.status === 'FAIL').length;
-    Logger.log(`\n${'='.repeat(50)}`);
-    Logger.log(`TEST SUMMARY: ${passed} passed, ${failed} failed`);
-    Logger.log('='.repeat(50));
+    report(`\n${'='.repeat(50)}`);
+    report(`TEST SUMMARY: ${passed} passed, ${failed} failed`);
+    report('='.repeat(50));
     return { passed, failed, total: results.length };
   }
 
   return { assert, assertEqual, assertThrows, test, getResults, reset, summary };
 })();
 
-// Copy CommandParsers module (no Google dependencies)
-const CommandParsers = (() => {
-
-  function parseCausa(body) {
-    const match = body.match(/CAUSA\s+(.+?)(?:\s*\|\s*CLOSE\s+([^\|]+))?(?:\s*\|\s*MIN\s+(\d+))?$/i);
-    if (!match) throw new Error("Invalid CAUSA format. Use: CAUSA <title> | <option1> | <option2> | ... | CLOSE <date> | MIN <wager>");
-
-    const parts = match[1].split('|').map(s => s.trim());
-    if (parts.length < 2) throw new Error("CAUSA requires at least a title and one option.");
-
-    const title = parts[0];
-    const options = parts.slice(1);
-    const closeDateStr = match[2] || null;
-    const minWager = match[3] ? parseInt(match[3], 10) : 1;
-
-    let closingDate = null;
-    if (closeDateStr) {
-      closingDate = new Date(closeDateStr);
-      if (isNaN(closingDate.getTime())) throw new Error("Invalid closing date format. Use: YYYY-MM-DD");
-    } else {
-      closingDate = new Date();
-      closingDate.setDate(closingDate.getDate() + 7);
-    }
-
-    return { title, options, closingDate, minWager };
-  }
-
-  function parseVote(body) {
-    const match = body.match(/VOTE\s+(\d+)\s+(\d+)\s+(\d+)/i);
-    if (!match) throw new Error("Invalid VOTE format. Use: VOTE <causaId> <optionIndex> <wager>");
-
-    return {
-      causaId: parseInt(match[1], 10),
-      option: parseInt(match[2], 10),
-      wager: parseInt(match[3], 10)
-    };
-  }
-
-  function parseResolve(body) {
-    const match = body.match(/RESOLVE\s+(\d+)\s+(\d+)/i);
-    if (!match) throw new Error("Invalid RESOLVE format. Use: RESOLVE <causaId> <winningOptionIndex>");
-
-    return {
-      causaId: parseInt(match[1], 10),
-      winningOption: parseInt(match[2], 10)
-    };
-  }
-
-  function parseCommissio(body) {
-    const match = body.match(/COMMISSIO\s+(.+?)(?:\s*\|\s*REWARD\s+(\d+))?(?:\s*\|\s*EXPIRES\s+([^\|]+))?$/i);
-    if (!match) throw new Error("Invalid COMMISSIO format. Use: COMMISSIO <title> | REWARD <amount> | EXPIRES <date>");
-
-    const title = match[1].trim();
-    const reward = match[2] ? parseInt(match[2], 10) : 10;
-    const expiryStr = match[3] || null;
-
-    let expiry = null;
-    if (expiryStr) {
-      expiry = new Date(expiryStr.trim());
-      if (isNaN(expiry.getTime())) throw new Error("Invalid expiry date format. Use: YYYY-MM-DD");
-    } else {
-      expiry = new Date();
-      expiry.setDate(expiry.getDate() + 30);
-    }
-
-    return { title, reward, expiry };
-  }
-
-  function parseAccept(body) {
-    const match = body.match(/ACCEPT\s+(\d+)/i);
-    if (!match) throw new Error("Invalid ACCEPT format. Use: ACCEPT <commissionId>");
-
-    return { commissionId: parseInt(match[1], 10) };
-  }
-
-  function parseComplete(body) {
-    const match = body.match(/COMPLETE\s+(\d+)/i);
-    if (!match) throw new Error("Invalid COMPLETE format. Use: COMPLETE <commissionId>");
-
-    return { commissionId: parseInt(match[1], 10) };
-  }
-
-  function parseTransfer(body) {
-    const match = body.match(/TRANSFER\s+([^\s]+)\s+(\d+)/i);
-    if (!match) throw new Error("Invalid TRANSFER format. Use: TRANSFER <email> <amount>");
-
-    return {
-      to: match[1].toLowerCase().trim(),
-      amount: parseInt(match[2], 10)
-    };
-  }
-
-  return {
-    parseCausa,
-    parseVote,
-    parseResolve,
-    parseCommissio,
-    parseAccept,
-    parseComplete,
-    parseTransfer
-  };
-
-})();
-
-// Mock Config module with hardcoded lexicon (matches actual Config.js)
-const Config = (() => {
-  function getLexicon() {
-    return [
-      {
-        type: 'HELP',
-        pattern: /^HELP|^AUXILIUM/i,
-        service: 'Personality',
-        method: 'HELP',
-        description: 'Display this help message with all available commands, categories, and examples',
-        category: 'Balance & Information',
-        icon: '&#128176;',
-        example: 'HELP'
-      },
-      {
-        type: 'QUOT',
-        pattern: /^QUOT|^BALANCE/i,
-        service: 'InboxProcessor',
-        method: 'QUOT',
-        description: 'Check your current Wavebucks balance and see all active Causae and Commissiones',
-        category: 'Balance & Information',
-        icon: '&#128176;',
-        example: 'QUOT or BALANCE'
-      },
-      {
-        type: 'CAUSA',
-        pattern: /^CAUSA/i,
-        service: 'Causae',
-        method: 'createCausa',
-        description: 'Create a collective vote with wagers. Format: CAUSA <title> | <option1> | <option2> | ... | CLOSE <YYYY-MM-DD> | MIN <wager>. Closing date and minimum wager are optional (defaults: 7 days, &#8361;1)',
-        category: 'Causae (Voting & Wagering)',
-        icon: '&#128179;',
-        example: 'CAUSA Best pizza topping | Pepperoni | Mushrooms | CLOSE 2025-12-31 | MIN 5'
-      },
-      {
-        type: 'VOTE',
-        pattern: /^VOTE/i,
-        service: 'Causae',
-        method: 'vote',
-        description: 'Vote on an open causa with a wager. Format: VOTE <causaId> <optionIndex> <wager>. Your wager is deducted immediately. Winners share the pot proportionally',
-        category: 'Causae (Voting & Wagering)',
-        icon: '&#128179;',
-        example: 'VOTE 1 0 10'
-      },
-      {
-        type: 'RESOLVE',
-        pattern: /^RESOLVE/i,
-        service: 'Causae',
-        method: 'resolveCausa',
-        description: 'Resolve a causa and distribute winnings to voters who chose the winning option. Format: RESOLVE <causaId> <winningOptionIndex>. Only the creator can resolve their causa',
-        category: 'Causae (Voting & Wagering)',
-        icon: '&#128179;',
-        example: 'RESOLVE 1 0'
-      },
-      {
-        type: 'COMMISSIO',
-        pattern: /^COMMISSIO/i,
-        service: 'Commissio',
-        method: 'createCommissio',
-        description: 'Create a bounty task with escrowed reward. Format: COMMISSIO <title> | REWARD <amount> | EXPIRES <YYYY-MM-DD>. Reward and expiry are optional (defaults: &#8361;10, 30 days). Reward is held in escrow until completion',
-        category: 'Commissiones (Bounty Tasks)',
-        icon: '&#128203;',
-        example: 'COMMISSIO Fix login bug | REWARD 50 | EXPIRES 2025-12-20'
-      },
-      {
-        type: 'ACCEPT',
-        pattern: /^ACCEPT/i,
-        service: 'Commissio',
-        method: 'acceptCommissio',
-        description: 'Accept and claim an open commissio. Format: ACCEPT <commissionId>. Assigns the task to you and changes status to ASSIGNED',
-        category: 'Commissiones (Bounty Tasks)',
-        icon: '&#128203;',
-        example: 'ACCEPT 3'
-      },
-      {
-        type: 'COMPLETE',
-        pattern: /^COMPLETE/i,
-        service: 'Commissio',
-        method: 'completeCommissio',
-        description: 'Mark your assigned commissio as complete and claim the escrowed reward. Format: COMPLETE <commissionId>. Only the assignee can complete their task',
-        category: 'Commissiones (Bounty Tasks)',
-        icon: '&#128203;',
-        example: 'COMPLETE 3'
-      },
-      {
-        type: 'TRANSFER',
-        pattern: /^TRANSFER/i,
-        service: 'DispatchTable',
-        method: 'TRANSFER',
-        description: 'Send Wavebucks to another user. Format: TRANSFER <email> <amount>. Requires sufficient balance. Direct peer-to-peer transaction',
-        category: 'Transfers',
-        icon: '&#128184;',
-        example: 'TRANSFER friend@example.com 25'
-      }
-    ];
-  }
-
-  return { getLexicon };
-})();
-
 // ============================================================================
 // COMMAND PARSER TESTS
 // ============================================================================
@@ -366,6 +197,107 @@ function testCommandParsers() {
       CommandParsers.parseTransfer('TRANSFER user@example.com');
     }, 'Should throw when missing amount');
   });
+
+  TestRunner.test('parseTransfer - optional currency code in any case', () => {
+    TestRunner.assertEqual(CommandParsers.parseTransfer('TRANSFER user@example.com 25 ART').currency, 'ART', 'Code');
+    TestRunner.assertEqual(CommandParsers.parseTransfer('TRANSFER user@example.com 25 art').currency, 'ART',
+      'Lowercase code uppercased');
+    TestRunner.assertEqual(CommandParsers.parseTransfer('TRANSFER user@example.com 25').currency, null, 'Default');
+    TestRunner.assertThrows(() => CommandParsers.parseTransfer('TRANSFER user@example.com 25 thanks!'),
+      'Other words are refused, not ignored');
+    TestRunner.assertEqual(CommandParsers.parseSupply('SUPPLY art').currency, 'ART', 'SUPPLY agrees');
+
+    useMemoryLedger([['a@example.com', 10, new Date()]]);
+    const reply = DispatchTable.TRANSFER('a@example.com', 'TRANSFER b@example.com 5 foo', '', {}, 'msg-1');
+    TestRunner.assertEqual(reply.error && reply.error.message, 'Unknown currency: FOO', 'Unknown codes are an error');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 10, 'Nothing moved in the default currency');
+  });
+
+  TestRunner.test('amount parsers - decimal amounts', () => {
+    TestRunner.assertEqual(CommandParsers.parseTransfer('TRANSFER user@example.com 2.5 ART').amount, 2.5, 'Transfer');
+    TestRunner.assertEqual(CommandParsers.parseVote('VOTE 1 0 10.25').wager, 10.25, 'Wager');
+    TestRunner.assertEqual(CommandParsers.parseCausa('CAUSA Mural | North | South | MIN 0.5').minWager, 0.5, 'Min wager');
+    TestRunner.assertEqual(CommandParsers.parseCommissio('COMMISSIO Frame it | REWARD 12.75').reward, 12.75, 'Reward');
+    TestRunner.assertEqual(CommandParsers.parseMint('MINT friend@example.com 0.01 Cent test').reason, 'Cent test', 'Mint');
+  });
+
+  TestRunner.test('parseCausa / parseCommissio - CURRENCY segment', () => {
+    const causa = CommandParsers.parseCausa('CAUSA Best mural | North wall | South wall | MIN 5 | CURRENCY art');
+    TestRunner.assertEqual(causa.currency, 'ART', 'Causa currency uppercased');
+    TestRunner.assertEqual(causa.minWager, 5, 'Min wager still parsed');
+    TestRunner.assertEqual(causa.options.length, 2, 'Options exclude the segment');
+    const commissio = CommandParsers.parseCommissio('COMMISSIO Hang the show | REWARD 20 | CURRENCY ART');
+    TestRunner.assertEqual(commissio.currency, 'ART', 'Commissio currency');
+    TestRunner.assertEqual(commissio.title, 'Hang the show', 'Title');
+  });
+
+  TestRunner.test('parseHistory - defaults', () => {
+    const parsed = CommandParsers.parseHistory('HISTORY');
+
+    TestRunner.assertEqual(parsed.page, 1, 'Page should default to 1');
+    TestRunner.assertEqual(parsed.from, null, 'From should default to null');
+    TestRunner.assertEqual(parsed.to, null, 'To should default to null');
+  });
+
+  TestRunner.test('parseHistory - page and date range', () => {
+    const parsed = CommandParsers.parseHistory('HISTORY PAGE 2 FROM 2025-11-01 TO 2025-11-30');
+
+    TestRunner.assertEqual(parsed.page, 2, 'Page should be 2');
+    TestRunner.assertEqual(parsed.from.getDate(), 1, 'From should be Nov 1');
+    TestRunner.assertEqual(parsed.to.getDate(), 30, 'To should be Nov 30');
+    TestRunner.assertEqual(parsed.to.getHours(), 23, 'To should include the whole day');
+  });
+
+  TestRunner.test('parseHistory - reversed range throws', () => {
+    TestRunner.assertThrows(() => {
+      CommandParsers.parseHistory('HISTORY FROM 2025-12-01 TO 2025-11-01');
+    }, 'Should throw when FROM is after TO');
+  });
+
+  TestRunner.test('parseMint - email, amount and reason', () => {
+    const parsed = CommandParsers.parseMint('MINT Friend@Example.com 100 Festival volunteer stipend');
+    TestRunner.assertEqual(parsed.email, 'friend@example.com', 'Email should be lowercased');
+    TestRunner.assertEqual(parsed.amount, 100, 'Amount should be 100');
+    TestRunner.assertEqual(parsed.reason, 'Festival volunteer stipend', 'Reason should be the rest of the line');
+  });
+
+  TestRunner.test('parseMint - currency code is not part of the reason', () => {
+    const parsed = CommandParsers.parseMint('MINT friend@example.com 100 ART Gallery opening');
+    TestRunner.assertEqual(parsed.currency, 'ART', 'Currency');
+    TestRunner.assertEqual(parsed.reason, 'Gallery opening', 'Reason');
+    TestRunner.assertEqual(CommandParsers.parseMint('MINT friend@example.com 100 Gallery opening').currency, null,
+      'Capitalized reason is not a code');
+  });
+
+  TestRunner.test('parseBurn - missing reason throws', () => {
+    TestRunner.assertThrows(() => {
+      CommandParsers.parseBurn('BURN friend@example.com 40');
+    }, 'Should throw without a reason');
+  });
+
+  TestRunner.test('parseReverse - DEBT flag and reason', () => {
+    const parsed = CommandParsers.parseReverse('REVERSE tx-42 DEBT Typo in recipient');
+    TestRunner.assertEqual(parsed.txId, 'TX-42', 'Transaction ID should be uppercased');
+    TestRunner.assertEqual(parsed.allowDebt, true, 'DEBT should allow a negative balance');
+    TestRunner.assertEqual(parsed.reason, 'Typo in recipient', 'Reason should follow the flag');
+  });
+
+  TestRunner.test('parseReverse - reason only', () => {
+    const parsed = CommandParsers.parseReverse('REVERSE TX-7 Debtor paid twice');
+    TestRunner.assertEqual(parsed.allowDebt, false, 'A reason starting with "Debt" is not the flag');
+    TestRunner.assertEqual(parsed.reason, 'Debtor paid twice', 'Reason');
+  });
+
+  TestRunner.test('parseToken - issue or revoke', () => {
+    TestRunner.assertEqual(CommandParsers.parseToken('TOKEN').revoke, false, 'Plain TOKEN issues');
+    TestRunner.assertEqual(CommandParsers.parseToken('token revoke').revoke, true, 'REVOKE flag');
+  });
+
+  TestRunner.test('parseApprove - email is lowercased', () => {
+    TestRunner.assertEqual(CommandParsers.parseApprove('APPROVE Newcomer@Example.com').email, 'newcomer@example.com',
+      'Email');
+    TestRunner.assertThrows(() => CommandParsers.parseApprove('APPROVE newcomer'), 'Should need an email address');
+  });
 }
 
 // ============================================================================
@@ -486,32 +418,918 @@ function testLexiconMetadata() {
   });
 }
 
+// ============================================================================
+// LEDGER TESTS
+// ============================================================================
+
+/** Points Wavebucks at a fresh in-memory store (and clears Script Properties); returns the store */
+function useMemoryLedger(accounts = [], currencies = []) {
+  Object.keys(scriptProperties).forEach(key => delete scriptProperties[key]);
+  const store = LedgerStore.createMemoryStore({ accounts, currencies });
+  Wavebucks.setStore(store);
+  return store;
+}
+
+/** Minimal Sheet over an array of rows, for the schema helpers */
+function fakeSheet(values, name = 'Sheet1') {
+  const width = () => Math.max(0, ...values.map(r => r.length));
+  return {
+    getName: () => name,
+    getLastColumn: width,
+    getLastRow: () => values.length,
+    getDataRange: () => ({
+      getValues: () => values.map(r => Array.from({ length: width() }, (_, i) => (r[i] === undefined ? '' : r[i])))
+    }),
+    getRange: (row, column, rows = 1, columns = 1) => ({
+      getValues: () => values.slice(row - 1, row - 1 + rows).map(r => r.slice(column - 1, column - 1 + columns)),
+      setValue: value => { values[row - 1][column - 1] = value; },
+      setValues: cells => cells.forEach((r, i) => {
+        const target = values[row - 1 + i] || (values[row - 1 + i] = []);
+        r.forEach((value, j) => { target[column - 1 + j] = value; });
+      })
+    }),
+    appendRow: row => values.push(row.slice()),
+    deleteRow: row => values.splice(row - 1, 1)
+  };
+}
+
+// ============================================================================
+// INBOX TESTS
+// ============================================================================
+
+function testInbox() {
+  TestRunner.test('readCommands - body-only never reads the subject', () => {
+    const found = InboxProcessor.readCommands('QUOT', 'VOTE 3 1 10', 'body-only');
+    TestRunner.assertEqual(found.source, 'body', 'Read from the body');
+    TestRunner.assertEqual(found.blocks[0].command.type, 'QUOT', 'Body command');
+    TestRunner.assertEqual(InboxProcessor.readCommands('Thanks!', 'QUOT', 'body-only').source, null,
+      'A command only in the subject is ignored');
+    TestRunner.assertEqual(InboxProcessor.readCommands('', 'QUOT', 'body-only').blocks.length, 0,
+      'Even when the body is empty');
+  });
+
+  TestRunner.test('readCommands - falls back to the subject when the body has none', () => {
+    const found = InboxProcessor.readCommands('Thanks!', 'QUOT', 'body');
+    TestRunner.assertEqual(found.source, 'subject', 'Read from the subject');
+    TestRunner.assertEqual(found.fallback, true, 'Flagged as the second choice');
+    TestRunner.assertEqual(found.blocks[0].command.type, 'QUOT', 'Subject command');
+    TestRunner.assertEqual(InboxProcessor.readCommands('Thanks!', 'Re: QUOT', 'body').source, null,
+      'Replies do not repeat the command in their subject');
+  });
+
+  TestRunner.test('readCommands - ordinary subjects are ignored', () => {
+    ['Help with the mural', 'Balance sheet Q3', 'History of the collective', 'complete'].forEach(subject => {
+      TestRunner.assertEqual(InboxProcessor.readCommands('See you Friday', subject, 'body').source, null,
+        `"${subject}" is not a command`);
+      TestRunner.assertEqual(InboxProcessor.readCommands('', subject, 'subject').source, null,
+        `"${subject}" is not a command with subject precedence either`);
+    });
+    TestRunner.assertEqual(InboxProcessor.readCommands('', 'HELP', 'body').blocks[0].command.type, 'HELP',
+      'The command word in capitals still is');
+    TestRunner.assertEqual(InboxProcessor.readCommands('quot', '', 'body').source, 'body',
+      'Bodies still start with a command in any case');
+  });
+
+  TestRunner.test('readCommands - empty body with a command in the subject', () => {
+    ['', '   \n'].forEach(body => {
+      const found = InboxProcessor.readCommands(body, 'VOTE 3 1 10', 'body');
+      TestRunner.assertEqual(found.source, 'subject', `Subject read for body ${JSON.stringify(body)}`);
+      TestRunner.assertEqual(found.blocks[0].command.type, 'VOTE', 'Subject command');
+    });
+  });
+
+  TestRunner.test('readCommands - both sources present follow the precedence', () => {
+    const byBody = InboxProcessor.readCommands('QUOT', 'VOTE 3 1 10', 'body');
+    TestRunner.assertEqual(byBody.blocks[0].command.type, 'QUOT', 'body precedence reads the body first');
+    TestRunner.assertEqual(byBody.fallback, false, 'First choice');
+    const bySubject = InboxProcessor.readCommands('QUOT', 'VOTE 3 1 10', 'subject');
+    TestRunner.assertEqual(bySubject.source, 'subject', 'subject precedence reads the subject first');
+    TestRunner.assertEqual(bySubject.blocks.length, 1, 'Only one source is run');
+    TestRunner.assertEqual(InboxProcessor.readCommands('QUOT', 'Hello', 'subject').source, 'body',
+      'subject precedence falls back to the body');
+  });
+
+  TestRunner.test('readCommands - precedence comes from the Config tab', () => {
+    Environment.current();
+    configTabs.Config = [['Key', 'Value'], ['commandPrecedence', 'Subject']];
+    TestRunner.assertEqual(InboxProcessor.readCommands('QUOT', 'VOTE 3 1 10').blocks[0].command.type, 'VOTE',
+      'Configured subject precedence');
+    configTabs.Config = [['Key', 'Value'], ['commandPrecedence', 'body-only']];
+    TestRunner.assertEqual(InboxProcessor.readCommands('Thanks!', 'QUOT').source, null, 'Configured body-only');
+    configTabs.Config = [['Key', 'Value']];
+    TestRunner.assertEqual(InboxProcessor.readCommands('QUOT', 'VOTE 3 1 10').blocks[0].command.type, 'QUOT',
+      'Body first when unset');
+    delete configTabs.Config;
+  });
+
+  TestRunner.test('dispatchMessage - rolled back and partial emails log their lines alike', () => {
+    Environment.current();
+    const run = Environment.run;
+    Environment.run = (profile, fn) => fn(profile); // keep the in-memory ledger
+    try {
+      const store = useMemoryLedger([['boss@example.com', 10, new Date()]]);
+      configTabs.Config = [['Key', 'Value'], ['admins', 'boss@example.com']];
+      const lines = 'TRANSFER a@example.com 4\nTRANSFER b@example.com 50';
+
+      InboxProcessor.dispatchMessage(fakeMessage('boss@example.com', 'Payouts', `ALL-OR-NOTHING\n${lines}`, 'msg-1'));
+      const rolledBack = configTabs.Log[configTabs.Log.length - 1];
+      TestRunner.assertEqual(rolledBack[5], 'rolled back', 'Status');
+      TestRunner.assertEqual(Wavebucks.getBalance('boss@example.com'), 10, 'Ledger restored');
+      TestRunner.assertEqual(store.journal.read().length, 0, 'No journal entry kept');
+      const failure = rolledBack[6].split('; ')[1];
+      TestRunner.assertEqual(rolledBack[6].split('; ')[0], '#1: rolled back', 'Rolled back line noted');
+      TestRunner.assert(/^#2: Insufficient funds/.test(failure), 'Failed line noted with its error');
+
+      InboxProcessor.dispatchMessage(fakeMessage('boss@example.com', 'Payouts', lines, 'msg-2'));
+      const partial = configTabs.Log[configTabs.Log.length - 1];
+      TestRunner.assertEqual(partial[5], 'partial', 'Status');
+      TestRunner.assertEqual(partial[6], failure, 'Same note for the failed line');
+
+      InboxProcessor.dispatchMessage(fakeMessage('boss@example.com', 'Payout', 'TRANSFER b@example.com 50', 'msg-3'));
+      const single = configTabs.Log[configTabs.Log.length - 1];
+      TestRunner.assertEqual(single[5], 'error', 'A failed single command is an error');
+      TestRunner.assertEqual(single[6], failure.replace('#2', '#1'), 'Noted like a batch line');
+    } finally {
+      Environment.run = run;
+      delete configTabs.Config;
+      delete configTabs.Log;
+      delete configTabs.Causae;
+      delete configTabs.Commissiones;
+    }
+  });
+
+  TestRunner.test('runCommands - ALL-OR-NOTHING refuses commands a rollback cannot undo', () => {
+    const store = useMemoryLedger([['boss@example.com', 10, new Date()]]);
+    const { blocks } = InboxProcessor.readCommands('TRANSFER a@example.com 4\nREVERSE TX-1 oops', '', 'body');
+    const batch = InboxProcessor.runCommands('boss@example.com', blocks, 'Payouts', 'msg-3', true);
+    TestRunner.assertEqual(batch.status, 'error', 'Status');
+    TestRunner.assertEqual(batch.results.map(r => r.state).join(), 'skipped,failed', 'Nothing runs');
+    TestRunner.assert(/ALL-OR-NOTHING/.test(batch.results[1].reply.error.message), 'Says why');
+    TestRunner.assertEqual(store.journal.read().length, 0, 'No journal entry');
+  });
+}
+
+/** A Gmail message that passed DMARC for its sender's domain; replies are dropped */
+function fakeMessage(from, subject, body, id) {
+  return {
+    getFrom: () => from,
+    getSubject: () => subject,
+    getId: () => id,
+    getPlainBody: () => body,
+    getRawContent: () => `Authentication-Results: mx.google.com; dmarc=pass header.from=${from.split('@')[1]}\r\n` +
+      `From: ${from}\r\nSubject: ${subject}\r\n\r\n${body}`,
+    getThread: () => ({ addLabel() {} }),
+    reply() {}
+  };
+}
+
+function testLedger() {
+  TestRunner.test('credit - creates the account and journals from external', () => {
+    const store = useMemoryLedger();
+    const txId = Wavebucks.credit('a@example.com', 25, 'Welcome');
+    TestRunner.assertEqual(txId, 'TX-1', 'First journal entry');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 25, 'Balance');
+    const tx = store.journal.read()[0];
+    TestRunner.assertEqual(tx[2], 'external', 'Debit account');
+    TestRunner.assertEqual(tx[3], 'a@example.com', 'Credit account');
+    TestRunner.assertEqual(store.log.read()[0][2], 25, 'Log amount');
+  });
+
+  TestRunner.test('debit - lowers the balance and logs a negative amount', () => {
+    const store = useMemoryLedger([['a@example.com', 10, new Date()]]);
+    Wavebucks.debit('a@example.com', 4, 'Fee');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 6, 'Balance');
+    const logRow = store.log.read()[0];
+    TestRunner.assertEqual(logRow[2], -4, 'Signed amount');
+    TestRunner.assertEqual(logRow[4], 10, 'Previous balance');
+  });
+
+  TestRunner.test('debit - InsufficientFunds leaves the ledger untouched', () => {
+    const store = useMemoryLedger([['a@example.com', 3, new Date()]]);
+    let error = null;
+    try {
+      Wavebucks.debit('a@example.com', 5);
+    } catch (e) {
+      error = e;
+    }
+    TestRunner.assertEqual(error && error.name, 'InsufficientFunds', 'Error name');
+    TestRunner.assertEqual(error.available, 3, 'Available funds');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 3, 'Balance unchanged');
+    TestRunner.assertEqual(store.journal.read().length, 0, 'No journal entry');
+    TestRunner.assertEqual(store.log.read().length, 0, 'No Log row');
+  });
+
+  TestRunner.test('debit - credit limit allows an overdraft down to the floor', () => {
+    useMemoryLedger([['a@example.com', 2, new Date(), 5]]);
+    Wavebucks.debit('a@example.com', 7);
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), -5, 'At the floor');
+    TestRunner.assertThrows(() => Wavebucks.debit('a@example.com', 1), 'Below the floor');
+  });
+
+  TestRunner.test('transfer - one journal entry, two Log rows with its ID', () => {
+    const store = useMemoryLedger([['a@example.com', 10, new Date()]]);
+    const txId = Wavebucks.transfer('a@example.com', 'B@example.com', 4, 'Thanks');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 6, 'Sender balance');
+    TestRunner.assertEqual(Wavebucks.getBalance('b@example.com'), 4, 'Recipient balance (case-insensitive)');
+    TestRunner.assertEqual(store.journal.read().length, 1, 'Journal entries');
+    const logRows = store.log.read();
+    TestRunner.assertEqual(logRows.length, 2, 'Log rows');
+    TestRunner.assert(logRows.every(r => r[6] === txId), 'Both Log rows carry the Transaction ID');
+  });
+
+  TestRunner.test('transfer - rejects the same account and non-positive amounts', () => {
+    useMemoryLedger([['a@example.com', 10, new Date()]]);
+    TestRunner.assertThrows(() => Wavebucks.transfer('a@example.com', 'A@example.com', 1), 'Same account');
+    TestRunner.assertThrows(() => Wavebucks.transfer('a@example.com', 'b@example.com', 0), 'Zero amount');
+  });
+
+  TestRunner.test('transfer - a repeated idempotency key is applied once', () => {
+    const store = useMemoryLedger([['a@example.com', 10, new Date()]]);
+    const options = { idempotencyKey: 'TRANSFER:msg-1' };
+    const first = Wavebucks.transfer('a@example.com', 'b@example.com', 4, '', options);
+    const second = Wavebucks.transfer('a@example.com', 'b@example.com', 4, '', options);
+    TestRunner.assertEqual(second, first, 'Same Transaction ID');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 6, 'Debited once');
+    TestRunner.assertEqual(store.journal.read().length, 1, 'One journal entry');
+  });
+
+  TestRunner.test('applyBatch - one failing op means nothing is written', () => {
+    const store = useMemoryLedger([['pot:causa:1', 10, new Date()]]);
+    TestRunner.assertThrows(() => {
+      Wavebucks.applyBatch([
+        { from: 'pot:causa:1', to: 'a@example.com', amount: 6 },
+        { from: 'pot:causa:1', to: 'b@example.com', amount: 6 }
+      ]);
+    }, 'Second payout overdraws the pot');
+    TestRunner.assertEqual(Wavebucks.getBalance('pot:causa:1'), 10, 'Pot unchanged');
+    TestRunner.assertEqual(store.accounts.read().length, 1, 'No accounts created');
+    TestRunner.assertEqual(store.journal.read().length, 0, 'No journal entries');
+  });
+
+  TestRunner.test('applyBatch - a failed Log write rolls back Balances and the journal', () => {
+    const store = useMemoryLedger([['a@example.com', 10, new Date()]]);
+    store.log.append = () => { throw new Error('Log unavailable'); };
+    TestRunner.assertThrows(() => {
+      Wavebucks.applyBatch([{ from: 'a@example.com', to: 'b@example.com', amount: 4 }]);
+    }, 'Log write fails');
+    const accounts = store.accounts.read();
+    TestRunner.assertEqual(accounts.length, 1, 'New account removed');
+    TestRunner.assertEqual(accounts[0][1], 10, 'Sender balance restored');
+    TestRunner.assertEqual(store.journal.read().length, 0, 'Journal entry removed');
+  });
+
+  TestRunner.test('mint - requires a reason and respects the supply cap', () => {
+    useMemoryLedger([['a@example.com', 80, new Date()], ['pot:causa:1', 15, new Date()]]);
+    TestRunner.assertThrows(() => Wavebucks.mint('a@example.com', 5, ' '), 'Blank reason');
+    TestRunner.assertThrows(() => Wavebucks.mint('pot:causa:1', 5, 'Top up'), 'System account');
+    TestRunner.assertThrows(() => Wavebucks.mint('a@example.com', 6, 'Prizes', { supplyCap: 100 }), 'Over the cap');
+    Wavebucks.mint('a@example.com', 5, 'Prizes', { supplyCap: 100 });
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 85, 'Minted up to the cap');
+  });
+
+  TestRunner.test('mint - replaying a key after the cap is reached returns the original', () => {
+    useMemoryLedger([['a@example.com', 95, new Date()]]);
+    const options = { supplyCap: 100, idempotencyKey: 'MINT:msg-1' };
+    const first = Wavebucks.mint('a@example.com', 5, 'Prizes', options);
+    TestRunner.assertEqual(Wavebucks.mint('a@example.com', 5, 'Prizes', options), first, 'Same Transaction ID');
+  });
+
+  TestRunner.test('getSupply - splits circulating and escrowed, lists mints', () => {
+    useMemoryLedger([['pot:causa:1', 15, new Date()]]);
+    Wavebucks.mint('a@example.com', 50, 'Launch');
+    Wavebucks.mint('b@example.com', 30, 'Festival');
+    Wavebucks.burn('a@example.com', 10, 'Duplicate grant');
+    const supply = Wavebucks.getSupply();
+    TestRunner.assertEqual(supply.circulating, 70, 'Member balances');
+    TestRunner.assertEqual(supply.escrowed, 15, 'System accounts');
+    TestRunner.assertEqual(supply.total, 85, 'Total supply');
+    TestRunner.assertEqual(supply.minted, 80, 'Minted total');
+    TestRunner.assertEqual(supply.burned, 10, 'Burned total');
+    TestRunner.assertEqual(supply.mints[0].reason, 'Festival', 'Newest mint first');
+  });
+
+  TestRunner.test('runAllowance - stipend goes to recently active members only', () => {
+    const now = new Date('2025-11-19T12:00:00');
+    const store = useMemoryLedger([
+      ['a@example.com', 10, now], ['idle@example.com', 10, now], ['pot:causa:1', 10, now]
+    ]);
+    store.log.append([
+      [new Date('2025-11-10T12:00:00'), 'a@example.com', 10, 'Transfer', 0, true, ''],
+      [new Date('2025-11-10T12:00:00'), 'pot:causa:1', 10, 'Vote', 0, true, ''],
+      [new Date('2025-09-01T12:00:00'), 'idle@example.com', 10, 'Transfer', 0, true, '']
+    ]);
+    const result = Wavebucks.runAllowance({ date: now, stipend: 5, activeDays: 30, demurrageRate: 0 });
+    TestRunner.assertEqual(result.period, '2025-W47', 'ISO week period');
+    TestRunner.assertEqual(result.stipends.length, 1, 'One stipend');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 15, 'Active member credited');
+    TestRunner.assertEqual(Wavebucks.getBalance('idle@example.com'), 10, 'Idle member skipped');
+    TestRunner.assertEqual(Wavebucks.getBalance('pot:causa:1'), 10, 'System account skipped');
+  });
+
+  TestRunner.test('runAllowance - idempotent per week', () => {
+    useMemoryLedger([['a@example.com', 10, new Date()]]);
+    const options = { date: new Date('2025-11-17T09:00:00'), stipend: 5, activeDays: 0, demurrageRate: 0 };
+    Wavebucks.runAllowance(options);
+    const again = Wavebucks.runAllowance({ ...options, date: new Date('2025-11-23T18:00:00') });
+    TestRunner.assertEqual(again.alreadyApplied, 1, 'Same week is skipped');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 15, 'Credited once');
+    Wavebucks.runAllowance({ ...options, date: new Date('2025-11-24T09:00:00') });
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 20, 'Next week is credited');
+  });
+
+  TestRunner.test('runAllowance - demurrage decays the excess of idle balances above the threshold', () => {
+    const now = new Date('2025-11-19T12:00:00');
+    const store = useMemoryLedger([
+      ['a@example.com', 255.55, now], ['b@example.com', 80, now], ['busy@example.com', 500, now]
+    ]);
+    store.log.append([[new Date('2025-11-10T12:00:00'), 'busy@example.com', 10, 'Transfer', 490, true, '']]);
+    const result = Wavebucks.runAllowance({ date: now, demurrageRate: 2, demurrageThreshold: 100, activeDays: 30,
+                                            stipend: 0 });
+    TestRunner.assertEqual(result.totalDemurrage, 3.11, '2% of 155.55, rounded down to the cent');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 252.44, 'Excess decayed');
+    TestRunner.assertEqual(Wavebucks.getBalance('b@example.com'), 80, 'Below threshold untouched');
+    TestRunner.assertEqual(Wavebucks.getBalance('busy@example.com'), 500, 'Active member never charged');
+    const memo = store.log.read().filter(r => r[1] === 'a@example.com').pop()[3];
+    TestRunner.assertEqual(memo, `Demurrage ${result.period}: 2% above 100 WB`, 'Plain amount and code in the memo');
+    TestRunner.assertEqual(Wavebucks.runAllowance({ date: new Date('2025-11-26T12:00:00'), demurrageRate: 2,
+      demurrageThreshold: 100, activeDays: 0, stipend: 0 }).demurrage.length, 0, 'Nobody is idle with activeDays 0');
+  });
+
+  TestRunner.test('runAllowance - dry run writes nothing', () => {
+    const now = new Date('2025-11-19T12:00:00');
+    const store = useMemoryLedger([['a@example.com', 200, now], ['b@example.com', 0, now]]);
+    store.log.append([[new Date('2025-11-10T12:00:00'), 'b@example.com', 10, 'Transfer', 0, true, '']]);
+    const result = Wavebucks.runAllowance({ date: now, dryRun: true, stipend: 5, activeDays: 30, demurrageRate: 10,
+                                            demurrageThreshold: 0 });
+    TestRunner.assertEqual(result.totalStipend, 5, 'Stipend planned');
+    TestRunner.assertEqual(result.totalDemurrage, 20, 'Demurrage planned');
+    TestRunner.assertEqual(store.journal.read().length, 0, 'No journal entries');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 200, 'Balance unchanged');
+  });
+
+  TestRunner.test('reverse - offsets a transfer, once', () => {
+    useMemoryLedger([['a@example.com', 30, new Date()]]);
+    const txId = Wavebucks.transfer('a@example.com', 'typo@example.com', 25, 'Transfer');
+    const result = Wavebucks.reverse(txId, 'Typo in recipient', { source: 'REVERSE:msg-1' });
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 30, 'Sender refunded');
+    TestRunner.assertEqual(Wavebucks.getBalance('typo@example.com'), 0, 'Recipient debited');
+    TestRunner.assertEqual(Wavebucks.getTransaction(result.txId).memo, `Reversal of ${txId}: Typo in recipient`, 'Memo');
+    TestRunner.assertThrows(() => Wavebucks.reverse(txId, '', { source: 'REVERSE:msg-2' }), 'Second reversal');
+    TestRunner.assertThrows(() => Wavebucks.reverse(result.txId), 'Reversing a reversal');
+  });
+
+  TestRunner.test('reverse - a retried message returns its own reversal', () => {
+    useMemoryLedger([['a@example.com', 30, new Date()]]);
+    const txId = Wavebucks.transfer('a@example.com', 'b@example.com', 10);
+    const first = Wavebucks.reverse(txId, '', { source: 'REVERSE:msg-1' });
+    const retry = Wavebucks.reverse(txId, '', { source: 'REVERSE:msg-1' });
+    TestRunner.assertEqual(retry.txId, first.txId, 'Same reversal');
+    TestRunner.assertEqual(retry.alreadyApplied, true, 'Flagged as already applied');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 30, 'Refunded once');
+  });
+
+  TestRunner.test('reverse - spent funds need allowDebt and leave a debt', () => {
+    useMemoryLedger([['a@example.com', 30, new Date()]]);
+    const txId = Wavebucks.transfer('a@example.com', 'b@example.com', 20);
+    Wavebucks.transfer('b@example.com', 'c@example.com', 15);
+    TestRunner.assertThrows(() => Wavebucks.reverse(txId), 'Recipient spent the funds');
+    const result = Wavebucks.reverse(txId, '', { allowDebt: true });
+    TestRunner.assertEqual(result.debt.account, 'b@example.com', 'Debtor');
+    TestRunner.assertEqual(result.debt.balance, -15, 'Debt');
+  });
+
+  TestRunner.test('reverse - refuses postings that involve system accounts', () => {
+    useMemoryLedger([['a@example.com', 30, new Date()]]);
+    const txId = Wavebucks.transfer('a@example.com', 'pot:causa:1', 10, 'Vote on Causa 1');
+    TestRunner.assertThrows(() => Wavebucks.reverse(txId), 'Pot posting');
+  });
+
+  TestRunner.test('spending limits - per-transaction default', () => {
+    useMemoryLedger([['a@example.com', 500, new Date()]]);
+    scriptProperties.TRANSACTION_OUTFLOW_LIMIT = '50';
+    let error = null;
+    try {
+      Wavebucks.transfer('a@example.com', 'b@example.com', 60);
+    } catch (e) {
+      error = e;
+    }
+    TestRunner.assertEqual(error && error.name, 'SpendingLimitExceeded', 'Error name');
+    TestRunner.assertEqual(error.kind, 'transaction', 'Limit kind');
+    Wavebucks.transfer('a@example.com', 'b@example.com', 50);
+    TestRunner.assertEqual(Wavebucks.getBalance('b@example.com'), 50, 'At the limit is allowed');
+  });
+
+  TestRunner.test('spending limits - daily total counts earlier Log rows and reports what is left', () => {
+    const store = useMemoryLedger([['a@example.com', 500, new Date()]]);
+    scriptProperties.DAILY_OUTFLOW_LIMIT = '100';
+    store.log.append([
+      [new Date(), 'a@example.com', -70, 'Transfer from a@example.com', 570, true, 'TX-0'],
+      [new Date(Date.now() - 2 * 86400000), 'a@example.com', -90, 'Old transfer', 660, true, '']
+    ]);
+    Wavebucks.transfer('a@example.com', 'b@example.com', 20);
+    let error = null;
+    try {
+      Wavebucks.transfer('a@example.com', 'b@example.com', 20);
+    } catch (e) {
+      error = e;
+    }
+    TestRunner.assertEqual(error && error.kind, 'daily', 'Limit kind');
+    TestRunner.assertEqual(error.remainingToday, 10, 'Left to spend today');
+    TestRunner.assertEqual(Wavebucks.getSpendingAllowance('a@example.com').spentToday, 90, 'Spent today');
+  });
+
+  TestRunner.test('spending limits - per-account override, system and treasury postings exempt', () => {
+    useMemoryLedger([['a@example.com', 500, new Date(), '', 'none'], ['b@example.com', 500, new Date(), '', 5]]);
+    scriptProperties.DAILY_OUTFLOW_LIMIT = '10';
+    Wavebucks.transfer('a@example.com', 'pot:causa:1', 200);
+    TestRunner.assertThrows(() => Wavebucks.transfer('b@example.com', 'c@example.com', 6), 'Override below default');
+    Wavebucks.transfer('pot:causa:1', 'c@example.com', 200);
+    Wavebucks.burn('b@example.com', 100, 'Correction');
+    TestRunner.assertEqual(Wavebucks.getBalance('c@example.com'), 200, 'System account pays out freely');
+    TestRunner.assertEqual(Wavebucks.getSpendingAllowance('b@example.com').spentToday, 0, 'Burn is not spending');
+  });
+
+  TestRunner.test('currencies - each currency is a separate balance', () => {
+    const store = useMemoryLedger([], [['ART', 'Art Credits', '', 0, '', '']]);
+    Wavebucks.credit('a@example.com', 10, 'Welcome');
+    Wavebucks.credit('a@example.com', 7, 'Grant', { currency: 'ART' });
+    Wavebucks.transfer('a@example.com', 'b@example.com', 3, 'Paint', { currency: 'art' });
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 10, 'Wavebucks untouched');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com', 'ART'), 4, 'ART balance');
+    TestRunner.assertThrows(() => Wavebucks.getBalance('b@example.com'), 'No Wavebucks account for b');
+    TestRunner.assertEqual(store.accounts.read()[1][6], 'ART', 'New row records its currency');
+    TestRunner.assertEqual(store.journal.read()[1][8], 'ART', 'Journal currency');
+    TestRunner.assertEqual(store.log.read()[1][7], 'ART', 'Log currency');
+    TestRunner.assertEqual(Wavebucks.getBalances('a@example.com').map(b => b.currency).join(), 'WB,ART', 'All balances');
+    TestRunner.assertEqual(Wavebucks.formatAmount(4, 'ART'), '4 ART', 'Code shown without a symbol');
+    TestRunner.assertEqual(Wavebucks.reconcile().discrepancies.length, 0, 'Reconciles per currency');
+  });
+
+  TestRunner.test('currencies - unknown codes and finer amounts than the precision are refused', () => {
+    const store = useMemoryLedger([], [['ART', 'Art Credits', 'A', 2, '', '']]);
+    TestRunner.assertThrows(() => Wavebucks.credit('a@example.com', 5, '', { currency: 'XYZ' }), 'Unknown code');
+    TestRunner.assertThrows(() => Wavebucks.credit('a@example.com', 0.005), 'Wavebucks have cents');
+    TestRunner.assertThrows(() => Wavebucks.credit('a@example.com', 0.125, '', { currency: 'ART' }), 'Two places');
+    Wavebucks.credit('a@example.com', 0.25, '', { currency: 'ART' });
+    TestRunner.assertEqual(Wavebucks.formatAmount(0.25, 'ART'), 'A0.25', 'Symbol and precision');
+    TestRunner.assertEqual(store.journal.read().length, 1, 'Only the valid credit');
+  });
+
+  TestRunner.test('currencies - supply cap, supply and spending limits per currency', () => {
+    useMemoryLedger([['a@example.com', 50, new Date()]], [['ART', 'Art Credits', '', 0, 100, 'keeper@example.com']]);
+    scriptProperties.TRANSACTION_OUTFLOW_LIMIT = '5';
+    Wavebucks.mint('a@example.com', 80, 'Season grant', { currency: 'ART' });
+    TestRunner.assertThrows(() => Wavebucks.mint('a@example.com', 30, 'Too much', { currency: 'ART' }), 'ART cap');
+    Wavebucks.mint('a@example.com', 30, 'Wavebucks are uncapped');
+    TestRunner.assertEqual(Wavebucks.getSupply('ART').total, 80, 'ART supply');
+    TestRunner.assertEqual(Wavebucks.getSupply().total, 80, 'Wavebucks supply');
+    TestRunner.assertEqual(Wavebucks.getCurrency('ART').treasurers.join(), 'keeper@example.com', 'Treasurers');
+    TestRunner.assertThrows(() => Wavebucks.transfer('a@example.com', 'b@example.com', 6), 'Default limit on WB');
+    Wavebucks.transfer('a@example.com', 'b@example.com', 60, '', { currency: 'ART' });
+    TestRunner.assertEqual(Wavebucks.getBalance('b@example.com', 'ART'), 60, 'Default limits are in Wavebucks only');
+  });
+
+  TestRunner.test('MINT, BURN and SUPPLY - replies escape reasons and accounts', () => {
+    useMemoryLedger([], [['ART', 'Art Credits', '', 0, 0, 'keeper@example.com']]);
+    const mint = DispatchTable.MINT('keeper@example.com', 'MINT a@example.com 10 ART <b>Gala</b> & co', '', {}, 'msg-1');
+    TestRunner.assert(mint.htmlBody.includes('&lt;b&gt;Gala&lt;/b&gt; &amp; co'), 'MINT reason escaped');
+    const burn = DispatchTable.BURN('keeper@example.com', 'BURN a@example.com 4 ART <i>Refund</i>', '', {}, 'msg-2');
+    TestRunner.assert(burn.htmlBody.includes('&lt;i&gt;Refund&lt;/i&gt;'), 'BURN reason escaped');
+    const supply = DispatchTable.SUPPLY('keeper@example.com', 'SUPPLY ART');
+    TestRunner.assert(supply.htmlBody.includes('&lt;b&gt;Gala'), 'SUPPLY mint reason escaped');
+    TestRunner.assert(!/<b>Gala|<i>Refund/.test(mint.htmlBody + burn.htmlBody + supply.htmlBody), 'No raw markup');
+  });
+
+  TestRunner.test('amounts - decimal postings add up exactly', () => {
+    const store = useMemoryLedger();
+    Wavebucks.credit('a@example.com', 0.1);
+    Wavebucks.credit('a@example.com', 0.2);
+    Wavebucks.transfer('a@example.com', 'b@example.com', 0.15);
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 0.15, 'No floating-point drift');
+    TestRunner.assertEqual(store.log.read()[2][4], 0.3, 'Previous balance');
+    TestRunner.assertEqual(Wavebucks.getSupply().total, 0.3, 'Supply');
+    TestRunner.assertEqual(Wavebucks.formatAmount(2.5), '&#8361;2.50', 'Decimals shown to the precision');
+    TestRunner.assertEqual(Wavebucks.formatAmount(25), '&#8361;25', 'Whole amounts without decimals');
+    TestRunner.assertEqual(Wavebucks.toUnits(2.5), 250, 'Minor units');
+    TestRunner.assertEqual(Wavebucks.fromUnits(250), 2.5, 'Back from minor units');
+    TestRunner.assertEqual(Wavebucks.reconcile().discrepancies.length, 0, 'Reconciles');
+  });
+
+  TestRunner.test('amounts - splitAmount rounds shares down and returns the remainder', () => {
+    const split = Wavebucks.splitAmount(10, [1, 1, 1]);
+    TestRunner.assertEqual(split.shares.join(), '3.33,3.33,3.33', 'Shares');
+    TestRunner.assertEqual(split.remainder, 0.01, 'Remainder');
+    const whole = Wavebucks.splitAmount(7, [2.5, 1]);
+    TestRunner.assertEqual(Wavebucks.sumAmounts(whole.shares.concat(whole.remainder)), 7, 'Nothing disappears');
+    TestRunner.assertEqual(Wavebucks.splitAmount(5, [0, 0]).remainder, 5, 'No weights: all remainder');
+  });
+
+  TestRunner.test('snapshots - takeSnapshot freezes every balance under one date', () => {
+    const store = useMemoryLedger();
+    Wavebucks.credit('a@example.com', 10);
+    Wavebucks.credit('b@example.com', 2.5);
+    const result = Wavebucks.takeSnapshot();
+    TestRunner.assertEqual(result.accounts, 2, 'Accounts');
+    const rows = store.snapshots.read();
+    TestRunner.assertEqual(rows[1].slice(1).join(), 'b@example.com,2.5,WB', 'Email, balance and currency');
+    TestRunner.assertEqual(rows[0][0], rows[1][0], 'One date per snapshot');
+  });
+
+  TestRunner.test('snapshots - getBalanceAt replays the Log from the nearest snapshot', () => {
+    const day = n => new Date(Date.now() - n * 86400000);
+    const store = useMemoryLedger([['a@example.com', 45, day(1)]]);
+    store.log.append([
+      [day(10), 'a@example.com', 20, 'Grant', 5, true, 'TX-1'],
+      [day(5), 'a@example.com', -10, 'Paint', 25, true, 'TX-2'],
+      [day(1), 'a@example.com', 30, 'Sale', 15, true, 'TX-3']
+    ]);
+    // The snapshot claims 100 so the test can tell it was used
+    store.snapshots.append([[day(6), 'a@example.com', 100, 'WB'], [day(6), 'b@example.com', 7, 'WB']]);
+    TestRunner.assertEqual(Wavebucks.getBalanceAt('a@example.com', day(11)), 0, 'Before any history');
+    TestRunner.assertEqual(Wavebucks.getBalanceAt('a@example.com', day(8)), 25, 'No snapshot yet: Log from its first row');
+    TestRunner.assertEqual(Wavebucks.getBalanceAt('a@example.com', day(3)), 90, 'Snapshot plus later rows');
+    TestRunner.assertEqual(Wavebucks.getBalanceAt('a@example.com', new Date()), 120, 'Up to now');
+    TestRunner.assertEqual(Wavebucks.getBalanceAt('c@example.com', day(3)), 0, 'Not in the snapshot');
+  });
+
+  TestRunner.test('snapshots - getBalanceAt replays by date after the Log is rewritten', () => {
+    const day = n => new Date(Date.now() - n * 86400000);
+    const store = useMemoryLedger([['a@example.com', 45, day(1)]]);
+    store.snapshots.append([[day(6), 'a@example.com', 100, 'WB']]);
+    // Rows as importLedger might leave them: more rows before the snapshot than when it was taken
+    store.log.append([
+      [day(12), 'a@example.com', 5, 'Opening', 0, true, 'TX-1'],
+      [day(10), 'a@example.com', 20, 'Grant', 5, true, 'TX-2'],
+      [day(5), 'a@example.com', -10, 'Paint', 25, true, 'TX-3'],
+      [day(1), 'a@example.com', 30, 'Sale', 15, true, 'TX-4']
+    ]);
+    TestRunner.assertEqual(Wavebucks.getBalanceAt('a@example.com', day(3)), 90, 'Only rows dated after the snapshot');
+    TestRunner.assertEqual(Wavebucks.getBalanceAt('a@example.com', day(6)), 100, 'The snapshot itself');
+  });
+
+  TestRunner.test('verifyLog - chains every appended row and finds the first edited one', () => {
+    const store = useMemoryLedger();
+    Wavebucks.credit('a@example.com', 10);
+    Wavebucks.transfer('a@example.com', 'b@example.com', 4);
+    Wavebucks.credit('b@example.com', 1);
+    const rows = store.log.read();
+    TestRunner.assert(/^[0-9a-f]{64}$/.test(rows[0][8]), 'SHA-256 hex in the Hash column');
+    const intact = Wavebucks.verifyLog();
+    TestRunner.assert(intact.ok, 'Intact chain');
+    TestRunner.assertEqual(intact.headHash, rows[3][8], 'Head is the last row');
+    store.log.write(1, [[-40]], 2);
+    const broken = Wavebucks.verifyLog();
+    TestRunner.assertEqual(broken.brokenAt.logRow, 3, 'Sheet row of the edited entry');
+    TestRunner.assertEqual(broken.brokenAt.issue, 'Hash mismatch', 'Issue');
+    TestRunner.assertEqual(Wavebucks.reconcile().discrepancies.some(d => d.issue === 'Log tampered'), true,
+      'Reconcile reports it');
+  });
+
+  TestRunner.test('verifyLog - rows from before the chain are skipped, removed rows are found', () => {
+    const store = useMemoryLedger([['a@example.com', 5, new Date()]]);
+    store.log.append([[new Date(), 'a@example.com', 5, 'Legacy', 0, true, '']]);
+    Wavebucks.credit('a@example.com', 1);
+    Wavebucks.credit('a@example.com', 2);
+    Wavebucks.credit('a@example.com', 3);
+    TestRunner.assertEqual(Wavebucks.verifyLog().hashedRows, 3, 'Legacy row skipped');
+    store.log.remove(2, 1);
+    TestRunner.assertEqual(Wavebucks.verifyLog().brokenAt.logRow, 4, 'Gap found at the next row');
+  });
+
+  TestRunner.test('exportLedger - JSON and CSV round trips import cleanly', () => {
+    useMemoryLedger();
+    Wavebucks.credit('a@example.com', 10);
+    Wavebucks.transfer('a@example.com', 'b@example.com', 2.5, 'Lunch, "split"');
+    const json = Wavebucks.exportLedger();
+    const csv = Wavebucks.exportLedger({ format: 'csv' });
+    TestRunner.assertEqual(csv.Log.split('\r\n')[0], 'Timestamp,Email,Amount,Notes,Previous Balance,Processed,Transaction ID,Currency,Hash',
+      'CSV header line');
+
+    const store = useMemoryLedger();
+    const dryRun = Wavebucks.importLedger(json);
+    TestRunner.assertEqual(dryRun.errors.length, 0, 'No validation errors');
+    TestRunner.assertEqual(dryRun.tables.Log.added.length, 3, 'Dry run lists the rows to add');
+    TestRunner.assertEqual(store.log.read().length, 0, 'Dry run writes nothing');
+    TestRunner.assertEqual(Wavebucks.importLedger(csv, { format: 'csv' }).errors.length, 0, 'CSV validates');
+
+    Wavebucks.importLedger(csv, { format: 'csv', apply: true });
+    TestRunner.assertEqual(Wavebucks.getBalance('b@example.com'), 2.5, 'Balance restored');
+    TestRunner.assert(Wavebucks.verifyLog().ok, 'Hash chain survives the round trip');
+    TestRunner.assertEqual(Wavebucks.reconcile().discrepancies.length, 0, 'Restored ledger reconciles');
+    TestRunner.assertEqual(Wavebucks.importLedger(json).tables.Transactions.changed.length, 0, 'Nothing left to change');
+  });
+
+  TestRunner.test('importLedger - reports validation errors and refuses to apply them', () => {
+    const store = useMemoryLedger();
+    Wavebucks.credit('a@example.com', 10);
+    Wavebucks.credit('a@example.com', 5);
+    const data = JSON.parse(Wavebucks.exportLedger());
+    data.tables.Log.rows[1][2] = 50;
+    data.tables.Balances.rows.push(data.tables.Balances.rows[0].slice());
+    data.tables.Transactions.headers[2] = 'Payee';
+
+    const result = Wavebucks.importLedger(JSON.stringify(data));
+    TestRunner.assert(result.errors.some(e => /^Log row 3: hash chain broken/.test(e)), 'Edited Log row found');
+    TestRunner.assert(result.errors.some(e => /^Balances row 3: duplicate of row 2/.test(e)), 'Duplicate account found');
+    TestRunner.assert(result.errors.some(e => /^Transactions: column 3 is "Payee"/.test(e)), 'Header mismatch found');
+    TestRunner.assertEqual(result.tables.Log.changed.length, 1, 'Diff still shown');
+    TestRunner.assertThrows(() => Wavebucks.importLedger(JSON.stringify(data), { apply: true }), 'Apply refused');
+    TestRunner.assertEqual(store.log.read()[1][2], 5, 'Ledger untouched');
+    TestRunner.assertThrows(() => Wavebucks.importLedger('{"tables":{}}'), 'Not an export');
+  });
+
+  TestRunner.test('importLedger - extra tables and partial imports', () => {
+    const causae = LedgerStore.createMemoryStore({ accounts: [[1, 'Lunch'], [2, 'Dinner']] }).accounts;
+    const extraTables = { Causae: { table: causae, headers: ['ID', 'Title'] } };
+    useMemoryLedger([['a@example.com', 3, new Date()]]);
+    const csv = Wavebucks.exportLedger({ format: 'csv', tables: ['Causae'], extraTables });
+    TestRunner.assertEqual(Object.keys(csv).join(), 'Causae', 'Only the requested table');
+    TestRunner.assertEqual(csv.Causae, 'ID,Title\r\n1,Lunch\r\n2,Dinner', 'CSV text');
+
+    const result = Wavebucks.importLedger({ Causae: 'ID,Title\r\n1,Brunch\r\n3,Tea\r\n' }, { format: 'csv', extraTables });
+    TestRunner.assertEqual(JSON.stringify([result.tables.Causae.added, result.tables.Causae.removed, result.tables.Causae.changed]),
+      '[["3"],["2"],["1"]]', 'Diff by ID');
+    Wavebucks.importLedger({ Causae: 'ID,Title\r\n1,Brunch\r\n3,Tea\r\n' }, { format: 'csv', extraTables, apply: true });
+    TestRunner.assertEqual(causae.read()[1][1], 'Tea', 'Extra table replaced');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 3, 'Ledger tables not in the import are untouched');
+  });
+
+  TestRunner.test('getLeaderboard - ranks members and leaves out system accounts', () => {
+    useMemoryLedger();
+    Wavebucks.credit('a@example.com', 5);
+    Wavebucks.credit('b@example.com', 20);
+    Wavebucks.credit('c@example.com', 5);
+    Wavebucks.transfer('b@example.com', Wavebucks.potAccount('causa', 1), 8);
+    Wavebucks.transfer('c@example.com', 'a@example.com', 1);
+    const board = Wavebucks.getLeaderboard(null, { limit: 2 });
+    TestRunner.assertEqual(board.members, 3, 'Three members');
+    TestRunner.assertEqual(board.circulating, 22, 'Pot not circulating');
+    TestRunner.assertEqual(JSON.stringify(board.richest),
+      '[{"email":"b@example.com","balance":12},{"email":"a@example.com","balance":6}]', 'Richest first');
+    TestRunner.assertEqual(JSON.stringify(board.mostActive),
+      '[{"email":"a@example.com","entries":2},{"email":"b@example.com","entries":2}]', 'Ties by email');
+  });
+
+  TestRunner.test('atomic - restores the ledger and extra tables when fn throws', () => {
+    const store = useMemoryLedger();
+    const causae = LedgerStore.createMemoryStore({ accounts: [[1, 'Brunch']] }).accounts;
+    Wavebucks.credit('a@example.com', 10);
+    TestRunner.assertThrows(() => Wavebucks.atomic(() => {
+      Wavebucks.transfer('a@example.com', 'b@example.com', 4);
+      causae.append([[2, 'Tea']]);
+      throw new Error('Command #2 failed');
+    }, { extraTables: { Causae: { table: causae } } }), 'Error is rethrown');
+    TestRunner.assertEqual(Wavebucks.getBalance('a@example.com'), 10, 'Balance restored');
+    TestRunner.assertEqual(store.journal.read().length, 1, 'Journal restored');
+    TestRunner.assertEqual(causae.read().length, 1, 'Extra table restored');
+    TestRunner.assertEqual(Wavebucks.verifyLog().ok, true, 'Log chain intact');
+
+    const txId = Wavebucks.atomic(() => Wavebucks.transfer('a@example.com', 'b@example.com', 4));
+    TestRunner.assertEqual(txId, 'TX-3', 'Result returned when nothing throws; rolled back TX-2 is not reused');
+    TestRunner.assertEqual(Wavebucks.getBalance('b@example.com'), 4, 'Postings kept');
+  });
+
+  TestRunner.test('transaction IDs - continue from the highest one, not the row count', () => {
+    const store = useMemoryLedger();
+    Wavebucks.credit('a@example.com', 10);
+    Wavebucks.credit('a@example.com', 10);
+    Wavebucks.credit('a@example.com', 10);
+    store.journal.remove(1, 1); // TX-2 deleted by hand
+    Wavebucks.setStore(store);
+    TestRunner.assertEqual(Wavebucks.credit('a@example.com', 1), 'TX-4', 'TX-3 is not reused');
+    TestRunner.assertEqual(Wavebucks.getTransaction('TX-3').amount, 10, 'TX-3 still finds its own entry');
+  });
+
+  TestRunner.test('withLock - takes the lock once, postings inside reuse it', () => {
+    const store = useMemoryLedger();
+    let locks = 0;
+    store.lock = () => { locks++; return { releaseLock() {} }; };
+    Wavebucks.credit('a@example.com', 10);
+    const txId = Wavebucks.withLock(() => Wavebucks.transfer('a@example.com', 'b@example.com', 4));
+    TestRunner.assertEqual(txId, 'TX-2', 'Result returned');
+    TestRunner.assertEqual(locks, 2, 'One lock for the credit, one for withLock and its transfer');
+  });
+
+  TestRunner.test('compareHeaders - matches by name and reports what differs', () => {
+    const schema = WavebucksConfig.defineSchema('Commissiones', ['ID', 'Title', 'Assignee', 'Status'],
+      { aliases: { 'Assigned To': 'Assignee' } });
+    const report = WavebucksConfig.compareHeaders(schema, ['ID', 'Assigned To', 'Title', 'Colour']);
+    TestRunner.assertEqual(report.ok, false, 'Status is missing');
+    TestRunner.assertEqual(report.missing.join(), 'Status', 'Missing column');
+    TestRunner.assertEqual(report.columns.Assignee, 1, 'Alias found by name, wherever it is');
+    TestRunner.assertEqual(report.renamed[0].header, 'Assigned To', 'Alias reported');
+    TestRunner.assertEqual(report.extra.join(), 'Colour', 'Unknown header reported');
+    TestRunner.assertEqual(WavebucksConfig.compareHeaders(WavebucksConfig.LOG_SCHEMA,
+      WavebucksConfig.LOG_HEADERS.slice().reverse()).ok, true, 'Column order does not matter');
+  });
+
+  TestRunner.test('Schemas - Config tabs are built from their header constants', () => {
+    TestRunner.assertEqual(Schemas.CAUSAE.headers.join(), Schemas.CAUSAE_HEADERS.join(), 'Causae headers');
+    TestRunner.assertEqual(Schemas.COMMISSIONES.aliases['Assigned To'], 'Assignee', 'Commissiones alias');
+    TestRunner.assertEqual(Schemas.CONFIG_LOG.name, 'Log', 'Config Log tab');
+    TestRunner.assertEqual(Schemas.CONFIG_LOG, Schemas.CONFIG_LOG, 'Built once');
+    TestRunner.assertEqual(Schemas.ALL.map(schema => schema.name).join(), 'Causae,Commissiones,Log,ApiTokens,Members',
+      'Every tab');
+  });
+
+  TestRunner.test('createSheetTable - schema rows follow the headers, not the sheet order', () => {
+    const values = [
+      ['Balance', 'Nickname', 'Email Address', 'Last Updated', 'Credit Limit', 'Daily Limit', '', 'Transaction Limit'],
+      [10, 'Ada', 'a@example.com', 'then', 5, '', 'KR', '']
+    ];
+    const table = LedgerStore.createSheetTable(fakeSheet(values, 'Balances'), WavebucksConfig.BALANCES_SCHEMA);
+    const row = table.read()[0];
+    TestRunner.assertEqual(values[0][6], 'Currency', 'Missing column added under its blank header');
+    TestRunner.assertEqual(row[WavebucksConfig.BAL_EMAIL_COL], 'a@example.com', 'Email by name');
+    TestRunner.assertEqual(row[WavebucksConfig.BAL_BALANCE_COL], 10, 'Balance by name');
+    TestRunner.assertEqual(row[WavebucksConfig.BAL_CREDIT_LIMIT_COL], 5, 'Credit limit by name');
+    TestRunner.assertEqual(row[WavebucksConfig.BAL_CURRENCY_COL], 'KR', 'Currency kept its data');
+    TestRunner.assertEqual(row[WavebucksConfig.BALANCES_HEADERS.length], 'Ada', 'Other columns follow');
+
+    table.write(0, [[12, 'now']], WavebucksConfig.BAL_BALANCE_COL);
+    table.append([['b@example.com', 3, 'now']]);
+    TestRunner.assertEqual(JSON.stringify(values.slice(1)),
+      '[[12,"Ada","a@example.com","now",5,"","KR",""],[3,"","b@example.com","now"]]', 'Writes land by name');
+  });
+
+  TestRunner.test('schemaTable - migrates missing columns and writes by name', () => {
+    const values = [['ID', 'Status', 'Title'], [1, 'OPEN', 'Brunch']];
+    const sheet = fakeSheet(values);
+    const schema = WavebucksConfig.defineSchema('Causae', ['ID', 'Title', 'Status', 'Notes']);
+    const table = WavebucksConfig.schemaTable(sheet, schema, { migrate: true });
+    TestRunner.assertEqual(values[0].join(), 'ID,Status,Title,Notes', 'Notes added at the end');
+    TestRunner.assertEqual(table.get(table.rows()[0], 'Title'), 'Brunch', 'Read by name');
+    table.set(0, { Status: 'RESOLVED', Notes: 'Done' });
+    table.append({ ID: 2, Title: 'Tea' });
+    TestRunner.assertEqual(JSON.stringify(values.slice(1)), '[[1,"RESOLVED","Brunch","Done"],[2,"","Tea",""]]',
+      'Writes land in the named columns');
+    TestRunner.assertThrows(() => table.set(0, { Colour: 'red' }), 'Unknown columns are refused');
+  });
+
+  TestRunner.test('reconcile - reports drift between Balances and the Log', () => {
+    const store = useMemoryLedger();
+    Wavebucks.credit('a@example.com', 10);
+    store.accounts.write(0, [[15]], 1);
+    const result = Wavebucks.reconcile();
+    TestRunner.assertEqual(result.discrepancies.length, 1, 'One discrepancy');
+    TestRunner.assertEqual(result.discrepancies[0].issue, 'Balance drift', 'Issue');
+    TestRunner.assertEqual(store.reconciliation.read()[0][2], 'Balance drift', 'Report row');
+  });
+}
+
+// ============================================================================
+// WEB API TESTS
+// ============================================================================
+
+/** Give a member an API token in the ApiTokens tab */
+function issueTestToken(email, token) {
+  const hash = toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, token, Utilities.Charset.UTF_8));
+  configTabs.ApiTokens = configTabs.ApiTokens || [['Email', 'Token Hash', 'Created', 'Last Used']];
+  configTabs.ApiTokens.push([email, hash, new Date(), '']);
+}
+
+function testWebApi() {
+  TestRunner.test('balance route - members read only their own balances', () => {
+    Environment.current();
+    useMemoryLedger([['a@example.com', 10, new Date()], ['b@example.com', 99, new Date()]]);
+    configTabs.Config = [['Key', 'Value'], ['admins', 'boss@example.com'], ['treasurers', '']];
+    issueTestToken('a@example.com', 'wb_member');
+    issueTestToken('boss@example.com', 'wb_admin');
+
+    const own = WebApi.handle({ token: 'wb_member', route: 'balance' });
+    TestRunner.assertEqual(own.ok && own.data.balances[0].balance, 10, 'Own balance');
+    const other = WebApi.handle({ token: 'wb_member', route: 'balance', email: 'b@example.com' });
+    TestRunner.assertEqual(other.ok, false, 'A member token cannot read another member');
+    TestRunner.assertEqual(JSON.stringify(other).includes('99'), false, 'Nothing of the other balance leaks');
+    const asAdmin = WebApi.handle({ token: 'wb_admin', route: 'balance', email: 'b@example.com' });
+    TestRunner.assertEqual(asAdmin.ok && asAdmin.data.balances[0].balance, 99, 'Admins may read any member');
+
+    delete configTabs.Config;
+    delete configTabs.ApiTokens;
+  });
+
+  TestRunner.test('CommandApi - a malformed client property is refused, not thrown', () => {
+    scriptProperties.API_CLIENT_KIOSK = '{"secret": "s3cret",';
+    try {
+      const result = CommandApi.handle(JSON.stringify({ client: 'kiosk', email: 'a@example.com' }), 'abc');
+      TestRunner.assertEqual(result.ok, false, 'Refused');
+      TestRunner.assertEqual(result.error, 'Client KIOSK is misconfigured', 'Says why');
+    } finally {
+      delete scriptProperties.API_CLIENT_KIOSK;
+    }
+  });
+
+  TestRunner.test('doGet and doPost - uncaught errors still answer JSON', () => {
+    const { handle } = CommandApi;
+    const read = WebApi.handle;
+    global.ContentService = {
+      MimeType: { JSON: 'json' },
+      createTextOutput: text => ({ text, setMimeType() { return this; } })
+    };
+    CommandApi.handle = () => { throw new Error('Sheet unavailable'); };
+    WebApi.handle = CommandApi.handle;
+    try {
+      const post = JSON.parse(doPost({ postData: { contents: '{}' }, parameter: {} }).text);
+      TestRunner.assertEqual(post.ok, false, 'POST refused');
+      TestRunner.assertEqual(post.error, 'Sheet unavailable', 'POST error');
+      const get = JSON.parse(doGet({ parameter: { route: 'balance' } }).text);
+      TestRunner.assertEqual(get.error, 'Sheet unavailable', 'GET error');
+    } finally {
+      CommandApi.handle = handle;
+      WebApi.handle = read;
+      delete global.ContentService;
+    }
+  });
+}
+
+// ============================================================================
+// ENVIRONMENT TESTS
+// ============================================================================
+
+function testEnvironment() {
+  TestRunner.test('getProfile - built-in and Script Property profiles', () => {
+    const live = Environment.getProfile('LIVE');
+    TestRunner.assertEqual(live.ledgerSheetId, WavebucksConfig.SHEET_ID, 'Live ledger');
+    TestRunner.assertEqual(live.live, true, 'Live is live');
+    TestRunner.assertEqual(Environment.getProfile('test').ledgerSheetId, WavebucksConfig.TEST_SHEET_ID, 'Test ledger');
+
+    scriptProperties.ENV_STAGING = JSON.stringify({ label: 'Staging', ledgerSheetId: 'ledger-staging' });
+    const staging = Environment.getProfile('staging');
+    TestRunner.assertEqual(staging.ledgerSheetId, 'ledger-staging', 'Ledger from the property');
+    TestRunner.assertEqual(staging.configSheetId, CONFIG_SHEET_ID, 'Config falls back to live');
+    TestRunner.assertEqual(staging.live, false, 'Not live');
+    TestRunner.assertThrows(() => Environment.getProfile('nowhere'), 'Unknown profiles are refused');
+    delete scriptProperties.ENV_STAGING;
+  });
+
+  TestRunner.test('sandbox - defaults to test and refuses the live ledger or Config', () => {
+    // TEST_CONFIG_SHEET_ID ships blank, so the test profile falls back to the live Config
+    TestRunner.assertThrows(() => Environment.sandbox(), 'Live Config spreadsheet refused');
+    scriptProperties.ENV_TEST = JSON.stringify({ configSheetId: 'config-test' });
+    TestRunner.assertEqual(Environment.sandbox().name, 'test', 'Default sandbox');
+    TestRunner.assertEqual(Environment.sandbox().configSheetId, 'config-test', 'Test Config spreadsheet');
+
+    scriptProperties.SANDBOX_ENVIRONMENT = 'live';
+    TestRunner.assertThrows(() => Environment.sandbox(), 'Live ledger refused');
+    delete scriptProperties.SANDBOX_ENVIRONMENT;
+    delete scriptProperties.ENV_TEST;
+  });
+
+  TestRunner.test('run - points the ledger at the profile and back', () => {
+    scriptProperties.ENV_TEST = JSON.stringify({ configSheetId: 'config-test' });
+    const inside = Environment.run(Environment.sandbox(), () => WavebucksConfig.getWorkbookId());
+    TestRunner.assertEqual(inside, WavebucksConfig.TEST_SHEET_ID, 'Test workbook inside');
+    TestRunner.assertEqual(WavebucksConfig.getWorkbookId(), WavebucksConfig.SHEET_ID, 'Live workbook after');
+    delete scriptProperties.ENV_TEST;
+  });
+
+  TestRunner.test('stripSandbox and banner', () => {
+    const { sandbox, body } = Environment.stripSandbox('SANDBOX: TRANSFER b@example.com 5');
+    TestRunner.assertEqual(sandbox, true, 'Prefix found');
+    TestRunner.assertEqual(body, 'TRANSFER b@example.com 5', 'Prefix removed');
+    TestRunner.assertEqual(Environment.stripSandbox('SANDBOXES').sandbox, false, 'Whole word only');
+    TestRunner.assert(Environment.banner(Environment.getProfile('test')).includes('TEST environment'), 'Test banner');
+  });
+}
+
 // ============================================================================
 // TEST RUNNER
 // ============================================================================
 
 function runAllTests() {
-  Logger.log('Starting Scriba Senatus Local Test Suite\n');
+  report('Starting Scriba Senatus Local Test Suite\n');
   TestRunner.reset();
 
-  Logger.log('Running Config tests...');
+  report('Running Config tests...');
   testConfigLexicon();
 
-  Logger.log('\nRunning CommandParser tests...');
+  report('\nRunning CommandParser tests...');
   testCommandParsers();
 
-  Logger.log('\nRunning Pattern Matching tests...');
+  report('\nRunning Pattern Matching tests...');
   testPatternMatching();
 
-  Logger.log('\nRunning Lexicon Metadata tests...');
+  report('\nRunning Lexicon Metadata tests...');
   testLexiconMetadata();
 
+  report('\nRunning Inbox tests...');
+  testInbox();
+
+  report('\nRunning Ledger tests...');
+  testLedger();
+
+  report('\nRunning Environment tests...');
+  testEnvironment();
+
+  report('\nRunning Web API tests...');
+  testWebApi();
+
   const summary = TestRunner.summary();
 
   if (summary.failed === 0) {
-    Logger.log('\n🎉 All tests passed!');
+    report('\n🎉 All tests passed!');
   } else {
-    Logger.log(`\n⚠️ ${summary.failed} test(s) failed`);
+    report(`\n⚠️ ${summary.failed} test(s) failed`);
   }
 
   return summary;
@@ -3,7 +3,18 @@
  * WavebucksCore.gs – Core Ledger Library
  * ============================================================================
  * Provides basic ledger operations for the Wavebucks system.
- * Relies on sheetConfig.gs for configuration and helper functions.
+ * Relies on sheetConfig.gs for configuration and on LedgerStore.gs for
+ * storage: by default the spreadsheet, or any store given to setStore().
+ *
+ * Every money movement is a double-entry journal row in the Transactions
+ * sheet (debit account → credit account). Balances is a cache of the
+ * journal, and each Log row carries the Transaction ID it belongs to.
+ * Each account holds one balance per currency; Wavebucks (WB) is the
+ * default and further currencies are defined in the Currencies sheet.
+ * Every Log row carries a SHA-256 hash chained to the row before it, so
+ * edits to the audit trail can be detected with verifyLog().
+ * The sheets hold decimal amounts, but all arithmetic is done in integer
+ * minor units (cents for a precision of 2), so sums and splits are exact.
  *
  * Designed for use as a Google Apps Script Library.
  * Exports all public functions under the global `Wavebucks` object.
@@ -12,21 +23,156 @@
 
 // import helpers from WavebucksConfig
 const {
-  getBalancesSheet,
-  getDataRows,
   sheetRowFromIndex,
-  getSheet,
+  getSetting,
+  getListSetting,
   BAL_EMAIL_COL,
   BAL_BALANCE_COL,
   BAL_TIMESTAMP_COL,
+  BAL_CREDIT_LIMIT_COL,
+  BAL_DAILY_LIMIT_COL,
+  BAL_TX_LIMIT_COL,
+  BAL_CURRENCY_COL,
+  BALANCES_HEADERS,
+  LOG_TIMESTAMP_COL,
+  LOG_EMAIL_COL,
+  LOG_AMOUNT_COL,
+  LOG_NOTES_COL,
+  LOG_PREV_BAL_COL,
+  LOG_TX_ID_COL,
+  LOG_CURRENCY_COL,
+  LOG_HASH_COL,
+  LOG_HEADERS,
+  TX_ID_COL,
+  TX_TIMESTAMP_COL,
+  TX_DEBIT_COL,
+  TX_CREDIT_COL,
+  TX_AMOUNT_COL,
+  TX_MEMO_COL,
+  TX_SOURCE_COL,
+  TX_IDEMPOTENCY_COL,
+  TX_CURRENCY_COL,
+  TRANSACTIONS_HEADERS,
+  CUR_CODE_COL,
+  CUR_NAME_COL,
+  CUR_SYMBOL_COL,
+  CUR_PRECISION_COL,
+  CUR_SUPPLY_CAP_COL,
+  CUR_TREASURERS_COL,
+  CURRENCIES_HEADERS,
+  SNAP_DATE_COL,
+  SNAP_EMAIL_COL,
+  SNAP_BALANCE_COL,
+  SNAP_CURRENCY_COL,
+  EXTERNAL_ACCOUNT,
+  ESCROW_PREFIX,
+  POT_PREFIX,
+  DEFAULT_CURRENCY,
+  DEFAULT_CURRENCY_NAME,
+  DEFAULT_CURRENCY_SYMBOL,
+  DEFAULT_CURRENCY_PRECISION,
   HEADER_OFFSET,
-  INDEX_TO_SHEET,
-  LOG_SHEET
+  RECONCILE_SHEET,
+  LOG_SHEET,
+  SETTING_ADMIN_EMAILS,
+  SETTING_LOG_DIGEST_EMAILS,
+  SETTING_STIPEND_AMOUNT,
+  SETTING_STIPEND_ACTIVE_DAYS,
+  SETTING_DEMURRAGE_RATE,
+  SETTING_DEMURRAGE_THRESHOLD,
+  SETTING_DAILY_LIMIT,
+  SETTING_TRANSACTION_LIMIT,
+  describeSchemaReport,
+  getWorkbookId
 } = WavebucksConfig;
 
 // Define a global object so other scripts can call Wavebucks.credit(), etc.
 var Wavebucks = (function () {
 
+  /** Nesting depth of _withLock, so inner calls don't re-acquire */
+  let _lockDepth = 0;
+
+  /** Storage backend; the spreadsheet unless setStore() was called */
+  let _activeStore = null;
+
+  /**
+   * Highest Transaction ID number handed out in this execution, per workbook
+   * ('store' for a store given to setStore()), so the IDs of entries rolled
+   * back since are not handed out again
+   */
+  const _issuedTx = {};
+
+  /** Memo prefixes that mark treasury postings in the journal */
+  const MINT_MEMO = 'Mint';
+  const BURN_MEMO = 'Burn';
+
+  /** Memo prefixes of allowance-job postings; these don't count as account activity */
+  const STIPEND_MEMO = 'Stipend';
+  const DEMURRAGE_MEMO = 'Demurrage';
+
+  /** Marker, version and date pattern of exportLedger() JSON */
+  const EXPORT_FORMAT = 'wavebucks-ledger';
+  const EXPORT_VERSION = 1;
+  const EXPORT_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+  /** Most decimal places a currency may use, so minor units stay exact integers */
+  const MAX_PRECISION = 6;
+
+  /** Idempotency key prefix of reversal entries: one reversal per original */
+  const REVERSAL_KEY = 'REVERSAL';
+  const REVERSAL_MEMO = 'Reversal of';
+
+  /** ------------------------------
+   * Error: InsufficientFunds
+   * Thrown when a debit would take an account below its floor: zero, or
+   * minus the account's Credit Limit. Callers should test
+   * err.name === 'InsufficientFunds', since instanceof does not work
+   * across the library boundary.
+   * ------------------------------ */
+  class InsufficientFunds extends Error {
+    constructor(account, balance, required, creditLimit = 0, currency = DEFAULT_CURRENCY) {
+      const fmt = amount => formatAmount(amount, currency);
+      const limitNote = creditLimit ? `, Credit limit: ${fmt(creditLimit)}` : '';
+      super(`Insufficient funds. Your balance: ${fmt(balance)}, Required: ${fmt(required)}${limitNote}`);
+      this.name = 'InsufficientFunds';
+      this.account = account;
+      this.currency = currency;
+      this.balance = balance;
+      this.required = required;
+      this.creditLimit = creditLimit;
+      this.available = balance + creditLimit;
+    }
+  }
+
+  /** ------------------------------
+   * Error: SpendingLimitExceeded
+   * Thrown when a member outflow is larger than the per-transaction limit
+   * or would take the day's outflows past the daily limit. Test
+   * err.name === 'SpendingLimitExceeded'.
+   * kind – 'transaction' or 'daily'
+   * remainingToday / transactionLimit – null when that limit does not apply
+   * ------------------------------ */
+  class SpendingLimitExceeded extends Error {
+    constructor(account, kind, required,
+                { dailyLimit = null, transactionLimit = null, spentToday = 0, currency = DEFAULT_CURRENCY } = {}) {
+      const fmt = amount => formatAmount(amount, currency);
+      const remainingToday = dailyLimit === null ? null : Math.max(0, dailyLimit - spentToday);
+      const leftNote = remainingToday === null ? '' : ` You can still spend ${fmt(remainingToday)} today.`;
+      super(kind === 'transaction'
+        ? `Per-transaction limit is ${fmt(transactionLimit)}, Required: ${fmt(required)}.${leftNote}`
+        : `Daily spending limit of ${fmt(dailyLimit)} reached (spent today: ${fmt(spentToday)}, Required: ${fmt(required)}).${leftNote}`);
+      this.name = 'SpendingLimitExceeded';
+      this.account = account;
+      this.currency = currency;
+      this.kind = kind;
+      this.required = required;
+      this.dailyLimit = dailyLimit;
+      this.transactionLimit = transactionLimit;
+      this.spentToday = spentToday;
+      this.remainingToday = remainingToday;
+    }
+  }
+
   /** ------------------------------
    * Internal helper: current timestamp
    * ------------------------------ */
@@ -35,131 +181,2210 @@ var Wavebucks = (function () {
   }
 
   /** ------------------------------
-   * Core: ensure user account exists
+   * Internal helper: the active store, created on first use
    * ------------------------------ */
-  function ensureAccount(email) {
-    if (!email) throw new Error('Email is required');
+  function _store() {
+    if (!_activeStore) _activeStore = LedgerStore.createSheetStore();
+    return _activeStore;
+  }
 
-    const sh = getBalancesSheet();
-    const rows = getDataRows(sh); // excludes header
-    const exists = rows.some(row => String(row[BAL_EMAIL_COL]).toLowerCase() === email.toLowerCase());
+  /** ------------------------------
+   * Per-execution caches of Balances and the journal.
+   * Rebuilt whenever the lock is freshly acquired, because another
+   * execution may have written while we waited; kept in step with our own
+   * writes while we hold it.
+   * ------------------------------ */
+  let _balanceIndex = null; // { rows, byKey: balance key (see _balanceKey) → data row index }
+  let _journalIndex = null; // { count: data rows, last: highest TX- number, keys: idempotency key → Transaction ID }
+  let _outflowIndex = null; // { dayStart, spent: balance key → outflows today, in minor units }
+  let _limitDefaults = null; // { daily, transaction } from Script Properties
+  let _currencyIndex = null; // currency code → definition (see getCurrency)
+  let _logHead = null; // hash of the last Log row ('' before the first hashed row)
 
-    if (!exists) {
-      const timestamp = _currentTimestamp();
-      sh.appendRow([email, 0, timestamp]);
-      console.log(`✅ Created new account for ${email}`);
+  function _invalidateCaches() {
+    _logHead = null;
+    _balanceIndex = null;
+    _journalIndex = null;
+    _outflowIndex = null;
+    _limitDefaults = null;
+    _currencyIndex = null;
+  }
+
+  /** ------------------------------
+   * Internal helper: run fn while holding the script lock
+   * ------------------------------ */
+  function _withLock(fn) {
+    if (_lockDepth > 0) return fn();
+
+    const lock = _store().lock();
+    _invalidateCaches();
+    _lockDepth++;
+    try {
+      return fn();
+    } finally {
+      _lockDepth--;
+      lock.releaseLock();
     }
   }
 
   /** ------------------------------
-   * Core: getBalance(email)
+   * Internal helper: normalized lookup key for an account
    * ------------------------------ */
-  function getBalance(email) {
-    if (!email) throw new Error('Email is required');
+  function _key(account) {
+    return String(account).toLowerCase().trim();
+  }
+
+  /** ------------------------------
+   * Internal helper: currency code of a cell or option (blank = default)
+   * ------------------------------ */
+  function _currencyCode(value) {
+    const code = String(value === null || value === undefined ? '' : value).trim().toUpperCase();
+    return code || DEFAULT_CURRENCY;
+  }
 
-    const sh = getBalancesSheet();
-    const rows = getDataRows(sh);
+  /** ------------------------------
+   * Internal helper: lookup key for an account's balance in one currency
+   * ------------------------------ */
+  function _balanceKey(account, currency) {
+    return `${_key(account)}|${_currencyCode(currency)}`;
+  }
 
-    for (let i = 0; i < rows.length; i++) {
-      if (String(rows[i][BAL_EMAIL_COL]).toLowerCase() === email.toLowerCase()) {
-        return Number(rows[i][BAL_BALANCE_COL]);
-      }
+  /** ------------------------------
+   * Internal helper: a new Balances row (limits blank, currency blank for the default)
+   * ------------------------------ */
+  function _newAccountRow(account, currency, timestamp, balance = 0) {
+    const code = _currencyCode(currency);
+    return [account, balance, timestamp, '', '', '', code === DEFAULT_CURRENCY ? '' : code];
+  }
+
+  /** ------------------------------
+   * Internal helper: currency definitions, read once per execution.
+   * The default currency is built in; Currencies sheet rows add others
+   * or override its name, symbol, precision, cap and treasurers.
+   * ------------------------------ */
+  function _getCurrencyIndex() {
+    if (!_currencyIndex) {
+      const byCode = {};
+      byCode[DEFAULT_CURRENCY] = {
+        code: DEFAULT_CURRENCY, name: DEFAULT_CURRENCY_NAME, symbol: DEFAULT_CURRENCY_SYMBOL,
+        precision: DEFAULT_CURRENCY_PRECISION, supplyCap: 0, treasurers: []
+      };
+      _store().currencies.read().forEach(r => {
+        const code = String(r[CUR_CODE_COL] || '').trim().toUpperCase();
+        if (!code) return;
+        if (!/^[A-Z]{2,5}$/.test(code)) {
+          console.warn(`⚠️ Ignoring currency "${code}": codes are 2–5 letters`);
+          return;
+        }
+        const base = byCode[code] || {};
+        const precision = r[CUR_PRECISION_COL] === '' || r[CUR_PRECISION_COL] === null
+          ? base.precision || 0
+          : Number(r[CUR_PRECISION_COL]);
+        byCode[code] = {
+          code,
+          name: String(r[CUR_NAME_COL] || '').trim() || base.name || code,
+          symbol: String(r[CUR_SYMBOL_COL] || '').trim() || base.symbol || '',
+          precision: Math.min(MAX_PRECISION, Math.max(0, Math.floor(precision) || 0)),
+          supplyCap: Math.max(0, Number(r[CUR_SUPPLY_CAP_COL]) || 0),
+          treasurers: String(r[CUR_TREASURERS_COL] || '')
+            .split(',')
+            .map(s => s.trim().toLowerCase())
+            .filter(Boolean)
+        };
+      });
+      _currencyIndex = byCode;
+    }
+    return _currencyIndex;
+  }
+
+  /** ------------------------------
+   * Internal helper: definition of a known currency; throws on unknown codes
+   * ------------------------------ */
+  function _currencyDef(code) {
+    const currency = _getCurrencyIndex()[_currencyCode(code)];
+    if (!currency) throw new Error(`Unknown currency: ${_currencyCode(code)}`);
+    return currency;
+  }
+
+  /** ------------------------------
+   * Internal helper: minor units per major unit (100 for a precision of 2)
+   * ------------------------------ */
+  function _scale(currency) {
+    return Math.pow(10, currency.precision);
+  }
+
+  /** ------------------------------
+   * Internal helper: a stored amount in minor units; blank cells are 0 and
+   * floating-point noise in the sheet is rounded away
+   * ------------------------------ */
+  function _units(value, currency) {
+    return Math.round((Number(value) || 0) * _scale(currency));
+  }
+
+  /** ------------------------------
+   * Internal helper: minor units back to the decimal amount the sheets hold
+   * ------------------------------ */
+  function _amount(units, currency) {
+    return units / _scale(currency);
+  }
+
+  /** ------------------------------
+   * Internal helper: an amount given to the ledger in minor units; refuses
+   * amounts finer than the currency's precision instead of rounding them
+   * ------------------------------ */
+  function _exactUnits(amount, currency) {
+    const scaled = Number(amount) * _scale(currency);
+    if (!isFinite(scaled)) throw new Error(`Invalid amount: ${amount}`);
+    const units = Math.round(scaled);
+    if (Math.abs(scaled - units) > 1e-6) {
+      throw new Error(currency.precision === 0
+        ? `${currency.name} amounts must be whole numbers`
+        : `${currency.name} amounts have at most ${currency.precision} decimal place(s)`);
+    }
+    return units;
+  }
+
+  /** ------------------------------
+   * Internal helper: Balances data rows held in one currency
+   * ------------------------------ */
+  function _rowsIn(rows, currency) {
+    const code = _currencyCode(currency);
+    return rows.filter(r => _currencyCode(r[BAL_CURRENCY_COL]) === code);
+  }
+
+  /** ------------------------------
+   * Internal helper: Balances index, read once per execution
+   * ------------------------------ */
+  function _getBalanceIndex() {
+    if (!_balanceIndex) {
+      const rows = _store().accounts.read();
+      const byKey = {};
+      rows.forEach((r, i) => {
+        if (!_key(r[BAL_EMAIL_COL])) return;
+        const key = _balanceKey(r[BAL_EMAIL_COL], r[BAL_CURRENCY_COL]);
+        if (!(key in byKey)) byKey[key] = i;
+      });
+      _balanceIndex = { rows, byKey };
+    }
+    return _balanceIndex;
+  }
+
+  /** ------------------------------
+   * Internal helper: journal index (entry count, highest Transaction ID
+   * number, applied idempotency keys). New IDs continue from the highest
+   * one, not the row count, so deleted or imported rows never lead to a
+   * reused ID.
+   * ------------------------------ */
+  function _getJournalIndex() {
+    if (!_journalIndex) {
+      const rows = _store().journal.read();
+      const keys = {};
+      let last = _issuedTx[_issuedKey()] || 0;
+      rows.forEach(r => {
+        if (r[TX_IDEMPOTENCY_COL]) keys[String(r[TX_IDEMPOTENCY_COL])] = String(r[TX_ID_COL]);
+        last = Math.max(last, _txNumber(r[TX_ID_COL]));
+      });
+      _journalIndex = { count: rows.length, last, keys };
     }
+    return _journalIndex;
+  }
 
-    throw new Error(`No account found for email: ${email}`);
+  /** Internal helper: the number of a Transaction ID ('TX-42' → 42; 0 for anything else) */
+  function _txNumber(txId) {
+    const match = String(txId).trim().match(/^TX-(\d+)$/i);
+    return match ? Number(match[1]) : 0;
   }
 
- /** ------------------------------
- * Core: credit(email, amount, notes)
- * ------------------------------ */
-function credit(email, amount, notes = '') {
-  if (!email) throw new Error('Email is required');
-  if (amount <= 0) throw new Error('Credit amount must be positive');
+  /** Internal helper: key of the current ledger in _issuedTx */
+  function _issuedKey() {
+    return _activeStore ? 'store' : WavebucksConfig.getWorkbookId();
+  }
 
-  ensureAccount(email);
+  /** ------------------------------
+   * Internal helper: credit limit for a Balances data row (blank = 0)
+   * ------------------------------ */
+  function _creditLimitOf(row) {
+    return Math.max(0, Number(row[BAL_CREDIT_LIMIT_COL]) || 0);
+  }
 
-  const sh = getBalancesSheet();
-  const rows = getDataRows(sh);
-  const rowIndex = rows.findIndex(r => String(r[BAL_EMAIL_COL]).toLowerCase() === email.toLowerCase());
-  if (rowIndex === -1) throw new Error(`Account not found for ${email}`);
+  /** ------------------------------
+   * Internal helper: a limit value; blank → fallback, 'none' → null (unlimited)
+   * ------------------------------ */
+  function _limitValue(value, fallback) {
+    if (value === '' || value === null || value === undefined) return fallback;
+    if (String(value).trim().toLowerCase() === 'none') return null;
+    const number = Number(value);
+    return isNaN(number) ? fallback : Math.max(0, number);
+  }
 
-  const currentBalance = Number(rows[rowIndex][BAL_BALANCE_COL]);
-  const newBalance = currentBalance + amount;
-  const sheetRow = sheetRowFromIndex(rowIndex + HEADER_OFFSET);
+  /** ------------------------------
+   * Internal helper: outflow limits for a Balances data row
+   * Returns { daily, transaction }, null meaning unlimited. The default
+   * limits in Script Properties are in the default currency, so other
+   * currencies are only limited by their own row.
+   * ------------------------------ */
+  function _limitsOf(row, currency) {
+    if (!_limitDefaults) {
+      _limitDefaults = {
+        daily: _limitValue(getSetting(SETTING_DAILY_LIMIT), null),
+        transaction: _limitValue(getSetting(SETTING_TRANSACTION_LIMIT), null)
+      };
+    }
+    const defaults = _currencyCode(currency) === DEFAULT_CURRENCY ? _limitDefaults : { daily: null, transaction: null };
+    return {
+      daily: _limitValue(row[BAL_DAILY_LIMIT_COL], defaults.daily),
+      transaction: _limitValue(row[BAL_TX_LIMIT_COL], defaults.transaction)
+    };
+  }
 
-  // Update Balances sheet
-  sh.getRange(sheetRow, BAL_BALANCE_COL + INDEX_TO_SHEET).setValue(newBalance);
-  sh.getRange(sheetRow, BAL_TIMESTAMP_COL + INDEX_TO_SHEET).setValue(_currentTimestamp());
+  /** ------------------------------
+   * Internal helper: postings that never count against spending limits
+   * (treasury burns, demurrage, admin reversals)
+   * ------------------------------ */
+  function _isLimitExemptMemo(notes) {
+    const text = String(notes);
+    return [`${BURN_MEMO}: `, `${DEMURRAGE_MEMO} `, `${REVERSAL_MEMO} `].some(prefix => text.indexOf(prefix) === 0);
+  }
 
-  // Append to Log sheet (match existing format)
-  const logSh = getSheet(LOG_SHEET);
-  if (logSh) {
-    logSh.appendRow([
-      _currentTimestamp(),
-      email,
-      amount,         // positive for credit
-      notes,
-      currentBalance, // previous balance
-      true            // processed flag
+  /** ------------------------------
+   * Internal helper: today's outflows per account, from the Log
+   * ------------------------------ */
+  function _getOutflowIndex() {
+    if (!_outflowIndex) {
+      const now = _currentTimestamp();
+      const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+      const spent = {};
+      const currencies = _getCurrencyIndex();
+      _store().log.read().forEach(r => {
+        const amount = Number(r[LOG_AMOUNT_COL]);
+        if (!(amount < 0) || new Date(r[LOG_TIMESTAMP_COL]).getTime() < dayStart) return;
+        if (_isLimitExemptMemo(r[LOG_NOTES_COL])) return;
+        const currency = currencies[_currencyCode(r[LOG_CURRENCY_COL])];
+        if (!currency) return; // a currency that no longer exists cannot be spent
+        const key = _balanceKey(r[LOG_EMAIL_COL], currency.code);
+        spent[key] = (spent[key] || 0) - _units(amount, currency);
+      });
+      _outflowIndex = { dayStart, spent };
+    }
+    return _outflowIndex;
+  }
+
+  /** ------------------------------
+   * Internal helper: append rows to the Log in one write
+   * Row format: Timestamp, Email, Amount (signed), Notes, Previous Balance, Processed, Transaction ID,
+   * Currency, Hash
+   * ------------------------------ */
+  function _appendLog(entries) {
+    const timestamp = _currentTimestamp();
+    let head = _getLogHead();
+    const rows = entries.map(e => {
+      const row = [timestamp, e.email, e.amount, e.notes, e.previousBalance, true, e.txId, e.currency];
+      head = _logHash(head, row);
+      row[LOG_HASH_COL] = head;
+      return row;
+    });
+    if (_store().log.append(rows) >= 0) _logHead = head;
+  }
+
+  /** ------------------------------
+   * Internal helper: hash of the last Log row, read once per execution
+   * ------------------------------ */
+  function _getLogHead() {
+    if (_logHead === null) {
+      const rows = _store().log.read();
+      _logHead = rows.length > 0 ? String(rows[rows.length - 1][LOG_HASH_COL] || '') : '';
+    }
+    return _logHead;
+  }
+
+  /** ------------------------------
+   * Internal helper: chained hash of a Log row.
+   * Covers every column but Processed and Hash, with the timestamp in whole
+   * seconds, so values read back from the sheet hash the same as when written.
+   * ------------------------------ */
+  function _logHash(previousHash, row) {
+    const content = JSON.stringify([
+      Math.floor(new Date(row[LOG_TIMESTAMP_COL]).getTime() / 1000),
+      String(row[LOG_EMAIL_COL]),
+      Number(row[LOG_AMOUNT_COL]),
+      String(row[LOG_NOTES_COL]),
+      Number(row[LOG_PREV_BAL_COL]),
+      String(row[LOG_TX_ID_COL] || ''),
+      _currencyCode(row[LOG_CURRENCY_COL])
     ]);
-  } else {
-    console.warn('⚠️ Log sheet not found – skipping log entry.');
+    const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, previousHash + content,
+      Utilities.Charset.UTF_8);
+    return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
   }
 
-  console.log(`💰 Credited ${amount} to ${email}. New balance: ${newBalance}`);
-}
+  /** ------------------------------
+   * Internal helper: validate one ledger operation before anything is read
+   * ------------------------------ */
+  function _validateOp(op) {
+    if (!op.from && !op.to) throw new Error('Operation requires a sender or a recipient');
+    if (op.from && op.to && _key(op.from) === _key(op.to)) {
+      throw new Error('Cannot transfer to the same account');
+    }
+    if (!(op.amount > 0)) throw new Error('Amount must be positive');
+  }
+
+  /** ------------------------------
+   * Internal helper: apply ledger operations as one unit (caller holds the lock).
+   * Each op is { from, to, amount, currency, notes, source, idempotencyKey, allowOverdraft, skipLimits };
+   * a null side is the external account (money entering/leaving circulation)
+   * and a blank currency is the default one.
+   * Outflows from member accounts are checked against the spending limits
+   * unless skipLimits is set (treasury, demurrage and admin postings).
+   *
+   * Everything is computed in memory first, in minor units, so a failed
+   * check (e.g. InsufficientFunds) writes nothing. Then Balances, the journal and the
+   * Log are each written with a single store call; if a later write fails
+   * the earlier ones are undone. Ops whose idempotency key was already applied
+   * are skipped. Returns the Transaction ID of each op, in order.
+   * ------------------------------ */
+  function _applyOps(ops) {
+    const store = _store();
+    const balances = _getBalanceIndex();
+    const journal = _getJournalIndex();
+    const now = _currentTimestamp();
+
+    const working = {};   // data row index → balance after this batch, in minor units
+    const newRows = [];   // accounts created by this batch
+    const newKeys = {};   // balance key → data row index, for newRows
+    const batchKeys = {}; // idempotency keys applied within this batch
+    const batchSpent = {}; // balance key → limited outflows within this batch, in minor units
+    const journalRows = [];
+    const logEntries = [];
+    const txIds = [];
+
+    const rowOf = (account, currency) => {
+      const key = _balanceKey(account, currency);
+      if (key in balances.byKey) return balances.byKey[key];
+      if (!(key in newKeys)) {
+        newKeys[key] = balances.rows.length + newRows.length;
+        newRows.push(_newAccountRow(account, currency, now));
+        console.log(`✅ Created new account for ${_accountLabel(account, currency)}`);
+      }
+      return newKeys[key];
+    };
+    const rowAt = i => (i < balances.rows.length ? balances.rows[i] : newRows[i - balances.rows.length]);
+    const balanceAt = (i, currency) => (i in working ? working[i] : _units(rowAt(i)[BAL_BALANCE_COL], currency));
+
+    ops.forEach(op => {
+      const idempotencyKey = op.idempotencyKey || '';
+      const appliedTxId = idempotencyKey && (journal.keys[idempotencyKey] || batchKeys[idempotencyKey]);
+      if (appliedTxId) {
+        console.log(`⏭️ Skipping ${idempotencyKey}: already applied as ${appliedTxId}`);
+        txIds.push(appliedTxId);
+        return;
+      }
+
+      const notes = op.notes || '';
+      const definition = _currencyDef(op.currency);
+      const currency = definition.code;
+      const units = _exactUnits(op.amount, definition);
+      const amount = _amount(units, definition);
+      const major = value => _amount(value, definition);
+      const fromRow = op.from ? rowOf(op.from, currency) : -1;
+      const toRow = op.to ? rowOf(op.to, currency) : -1;
+      const fromBalance = op.from ? balanceAt(fromRow, definition) : 0;
+      const toBalance = op.to ? balanceAt(toRow, definition) : 0;
+
+      if (op.from && !op.allowOverdraft) {
+        const creditLimit = _creditLimitOf(rowAt(fromRow));
+        if (fromBalance - units < -_units(creditLimit, definition)) {
+          throw new InsufficientFunds(op.from, major(fromBalance), amount, creditLimit, currency);
+        }
+      }
 
+      const limited = op.from && !op.skipLimits && !isSystemAccount(op.from);
+      if (limited) {
+        const limits = _limitsOf(rowAt(fromRow), currency);
+        const key = _balanceKey(op.from, currency);
+        const spentToday = (_getOutflowIndex().spent[key] || 0) + (batchSpent[key] || 0);
+        const details = { dailyLimit: limits.daily, transactionLimit: limits.transaction,
+                          spentToday: major(spentToday), currency };
+        if (limits.transaction !== null && units > _units(limits.transaction, definition)) {
+          throw new SpendingLimitExceeded(op.from, 'transaction', amount, details);
+        }
+        if (limits.daily !== null && spentToday + units > _units(limits.daily, definition)) {
+          throw new SpendingLimitExceeded(op.from, 'daily', amount, details);
+        }
+        batchSpent[key] = (batchSpent[key] || 0) + units;
+      }
+
+      const txId = `TX-${journal.last + journalRows.length + 1}`;
+      if (op.from) working[fromRow] = fromBalance - units;
+      if (op.to) working[toRow] = toBalance + units;
+
+      journalRows.push([txId, now, op.from || EXTERNAL_ACCOUNT, op.to || EXTERNAL_ACCOUNT, amount, notes,
+        op.source || '', idempotencyKey, currency]);
+      if (op.from) {
+        logEntries.push({ email: op.from, amount: -amount, notes, previousBalance: major(fromBalance), txId, currency });
+      }
+      if (op.to) logEntries.push({ email: op.to, amount, notes, previousBalance: major(toBalance), txId, currency });
+
+      if (idempotencyKey) batchKeys[idempotencyKey] = txId;
+      txIds.push(txId);
+    });
+
+    if (journalRows.length === 0) return txIds; // everything already applied
+
+    // One contiguous Balances block covering every touched row (account, balance, updated);
+    // rows created by this batch sit at the end of it, and get their currency cell afterwards
+    const existing = balances.rows.length;
+    const touched = Object.keys(working).map(Number);
+    const stored = {}; // data row index → new balance as written to the sheet
+    touched.forEach(i => { stored[i] = _amount(working[i], _currencyDef(rowAt(i)[BAL_CURRENCY_COL])); });
+    const first = Math.min(...touched);
+    const last = Math.max(...touched);
+    const before = [];
+    const after = [];
+    for (let i = first; i <= last; i++) {
+      const row = rowAt(i);
+      const current = [row[BAL_EMAIL_COL], row[BAL_BALANCE_COL], row[BAL_TIMESTAMP_COL]];
+      if (i < existing) before.push(current);
+      after.push(i in stored ? [row[BAL_EMAIL_COL], stored[i], now] : current);
+    }
+
+    let balancesWritten = false;
+    let journalWritten = false;
+    try {
+      store.accounts.write(first, after);
+      balancesWritten = true;
+      if (newRows.some(r => r[BAL_CURRENCY_COL])) {
+        store.accounts.write(existing, newRows.map(r => [r[BAL_CURRENCY_COL]]), BAL_CURRENCY_COL);
+      }
+
+      store.journal.append(journalRows);
+      journalWritten = true;
+
+      _appendLog(logEntries);
+    } catch (err) {
+      // Roll back so a half-written batch never leaves the ledger
+      if (balancesWritten) {
+        store.accounts.write(first, before);
+        if (newRows.length > 0) store.accounts.remove(existing, newRows.length);
+      }
+      if (journalWritten) store.journal.remove(journal.count, journalRows.length);
+      _invalidateCaches();
+      console.error(`❌ Posting rolled back: ${err.message}`);
+      throw err;
+    }
+
+    // Keep the caches in step with what was written
+    newRows.forEach(row => {
+      balances.byKey[_balanceKey(row[BAL_EMAIL_COL], row[BAL_CURRENCY_COL])] = balances.rows.length;
+      balances.rows.push(row);
+    });
+    touched.forEach(i => {
+      balances.rows[i][BAL_BALANCE_COL] = stored[i];
+      balances.rows[i][BAL_TIMESTAMP_COL] = now;
+    });
+    journal.count += journalRows.length;
+    journal.last += journalRows.length;
+    _issuedTx[_issuedKey()] = journal.last;
+    Object.assign(journal.keys, batchKeys);
+    if (_outflowIndex) {
+      Object.keys(batchSpent).forEach(key => {
+        _outflowIndex.spent[key] = (_outflowIndex.spent[key] || 0) + batchSpent[key];
+      });
+    }
+
+    return txIds;
+  }
+
+  /** ------------------------------
+   * Internal helper: post one movement of `amount` from → to.
+   * The sender may not go below minus its Credit Limit unless
+   * allowOverdraft is set (admin corrections that create a debt).
+   * With an idempotencyKey that was already applied, nothing is written
+   * and the original Transaction ID is returned.
+   * ------------------------------ */
+  function _post(from, to, amount, notes, options = {}) {
+    return _withLock(() => _applyOps([{ ...options, from, to, amount, notes }])[0]);
+  }
+
+  /** ------------------------------
+   * Core: ensure user account exists (in the default currency unless given)
+   * ------------------------------ */
+  function ensureAccount(email, currency = DEFAULT_CURRENCY) {
+    if (!email) throw new Error('Email is required');
+    const code = _currencyDef(currency).code;
+
+    _withLock(() => {
+      const balances = _getBalanceIndex();
+      const key = _balanceKey(email, code);
+      if (key in balances.byKey) return;
+
+      const row = _newAccountRow(email, code, _currentTimestamp());
+      _store().accounts.append([row]);
+      balances.byKey[key] = balances.rows.length;
+      balances.rows.push(row);
+      console.log(`✅ Created new account for ${_accountLabel(email, code)}`);
+    });
+  }
+
+  /** ------------------------------
+   * Core: getBalance(email, currency)
+   * Balance in one currency (default WB); throws if the account has none.
+   * ------------------------------ */
+  function getBalance(email, currency = DEFAULT_CURRENCY) {
+    if (!email) throw new Error('Email is required');
+
+    const balances = _getBalanceIndex();
+    const rowIndex = balances.byKey[_balanceKey(email, currency)];
+    if (rowIndex !== undefined) return Number(balances.rows[rowIndex][BAL_BALANCE_COL]);
+
+    const code = _currencyCode(currency);
+    throw new Error(`No account found for email: ${email}${code === DEFAULT_CURRENCY ? '' : ` in ${code}`}`);
+  }
+
+  /** ------------------------------
+   * Core: getBalances(email)
+   * Every balance an account holds, in Balances order.
+   * Returns [{ currency, balance }], empty if the account is unknown.
+   * ------------------------------ */
+  function getBalances(email) {
+    if (!email) throw new Error('Email is required');
+
+    const key = _key(email);
+    return _getBalanceIndex().rows
+      .filter(r => _key(r[BAL_EMAIL_COL]) === key)
+      .map(r => ({ currency: _currencyCode(r[BAL_CURRENCY_COL]), balance: Number(r[BAL_BALANCE_COL]) }));
+  }
+
+  /** ------------------------------
+   * Core: getSpendingAllowance(email, currency)
+   * The outflow limits that apply to a member account today.
+   * Returns { dailyLimit, transactionLimit, spentToday, remainingToday },
+   * with null for a limit (and remainingToday) that does not apply.
+   * ------------------------------ */
+  function getSpendingAllowance(email, currency = DEFAULT_CURRENCY) {
+    if (!email) throw new Error('Email is required');
+
+    const definition = _currencyDef(currency);
+    const balances = _getBalanceIndex();
+    const key = _balanceKey(email, definition.code);
+    const rowIndex = balances.byKey[key];
+    const limits = _limitsOf(rowIndex === undefined ? [] : balances.rows[rowIndex], definition.code);
+    const spentUnits = _getOutflowIndex().spent[key] || 0;
+
+    return {
+      dailyLimit: limits.daily,
+      transactionLimit: limits.transaction,
+      spentToday: _amount(spentUnits, definition),
+      remainingToday: limits.daily === null
+        ? null
+        : _amount(Math.max(0, _units(limits.daily, definition) - spentUnits), definition)
+    };
+  }
+
+  /** ------------------------------
+   * Core: credit(email, amount, notes, options)
+   * options.currency – currency code (default WB)
+   * options.source – originating command / message ID for the journal
+   * options.idempotencyKey – skip if an operation with this key was applied
+   * Returns the Transaction ID.
+   * ------------------------------ */
+  function credit(email, amount, notes = '', options = {}) {
+    if (!email) throw new Error('Email is required');
+    if (amount <= 0) throw new Error('Credit amount must be positive');
 
+    const txId = _post(null, email, amount, notes, options);
+    console.log(`💰 Credited ${amount} to ${email} (${txId})`);
+    return txId;
+  }
 
   /** ------------------------------
-   * Core: debit(email, amount, notes)
+   * Core: debit(email, amount, notes, options)
+   * Throws InsufficientFunds if the balance would drop below the floor, or
+   * SpendingLimitExceeded if it breaks the account's outflow limits.
+   * options.currency – currency code (default WB)
+   * options.source – originating command / message ID for the journal
+   * options.idempotencyKey – skip if an operation with this key was applied
+   * options.allowOverdraft – skip the floor check
+   * Returns the Transaction ID.
    * ------------------------------ */
-  function debit(email, amount, notes = '') {
+  function debit(email, amount, notes = '', options = {}) {
     if (!email) throw new Error('Email is required');
     if (amount <= 0) throw new Error('Debit amount must be positive');
 
-    ensureAccount(email);
-
-    const sh = getBalancesSheet();
-    const rows = getDataRows(sh);
-    const rowIndex = rows.findIndex(r => String(r[BAL_EMAIL_COL]).toLowerCase() === email.toLowerCase());
-
-    if (rowIndex === -1) throw new Error(`Account not found for ${email}`);
-
-    const currentBalance = Number(rows[rowIndex][BAL_BALANCE_COL]);
-    const newBalance = currentBalance - amount;
-    const sheetRow = sheetRowFromIndex(rowIndex + HEADER_OFFSET);
-
-    // Update Balances sheet
-    sh.getRange(sheetRow, BAL_BALANCE_COL + INDEX_TO_SHEET).setValue(newBalance);
-    sh.getRange(sheetRow, BAL_TIMESTAMP_COL + INDEX_TO_SHEET).setValue(_currentTimestamp());
-
-    // Append to Log sheet
-    const logSh = getSheet(LOG_SHEET);
-    if (logSh) {
-      logSh.appendRow([
-        _currentTimestamp(),
-        email,
-        amount,
-        notes,
-        currentBalance,
-        true
-      ]);
-    } else {
-      console.warn('⚠️ Log sheet not found – skipping log entry.');
+    const txId = _post(email, null, amount, notes, options);
+    console.log(`💸 Debited ${amount} from ${email} (${txId})`);
+    return txId;
+  }
+
+  /** ------------------------------
+   * Core: transfer(from, to, amount, notes, options)
+   * Moves funds between two accounts under the script lock: checks the
+   * sender's funds, writes both balances, the journal entry and both Log
+   * rows, and restores the sender's balance if the credit side fails.
+   * Either side may be null for money leaving or entering circulation;
+   * locked funds (wagers, bounty rewards) belong in a system account instead,
+   * see escrowAccount() / potAccount().
+   * Throws InsufficientFunds if the sender would drop below the floor, or
+   * SpendingLimitExceeded if it breaks the sender's outflow limits.
+   * options.currency – currency code (default WB); both sides use it
+   * options.source – originating command / message ID for the journal
+   * options.idempotencyKey – skip if an operation with this key was applied
+   * options.allowOverdraft – skip the floor check
+   * Returns the Transaction ID.
+   * ------------------------------ */
+  function transfer(from, to, amount, notes = '', options = {}) {
+    if (!from && !to) throw new Error('Transfer requires a sender or a recipient');
+    if (from && to && from.toLowerCase() === to.toLowerCase()) {
+      throw new Error('Cannot transfer to the same account');
     }
+    if (!(amount > 0)) throw new Error('Transfer amount must be positive');
 
-    console.log(`💸 Debited ${amount} from ${email}. New balance: ${newBalance}`);
+    const txId = _post(from, to, amount, notes, options);
+    console.log(`🔁 Transferred ${amount} from ${from || EXTERNAL_ACCOUNT} to ${to || EXTERNAL_ACCOUNT} (${txId})`);
+    return txId;
   }
 
   /** ------------------------------
-   * Exported API
+   * Core: applyBatch(ops)
+   * Applies many movements as one unit, with one read and one write per
+   * sheet – e.g. paying every winner of a Causa. Each op is
+   * { from, to, amount, currency, notes, source, idempotencyKey, allowOverdraft }
+   * with the same meaning as transfer(). If any op fails its funds check,
+   * nothing is written.
+   * Returns the Transaction IDs, in op order.
    * ------------------------------ */
-  return {
-    ensureAccount,
-    getBalance,
-    credit,
-    debit
-  };
+  function applyBatch(ops) {
+    if (!Array.isArray(ops) || ops.length === 0) throw new Error('Batch requires at least one operation');
+    ops.forEach(_validateOp);
 
-})();
+    const txIds = _withLock(() => _applyOps(ops));
+    console.log(`📦 Applied batch of ${ops.length} operation(s)`);
+    return txIds;
+  }
+
+  /** ------------------------------
+   * Core: withLock(fn)
+   * Runs fn holding the ledger's script lock, so an app can pick an ID
+   * from its own sheet and post against it without another execution
+   * taking the same one. Postings inside fn reuse the lock. Returns fn's
+   * result; nothing is rolled back if fn throws (see atomic for that).
+   * ------------------------------ */
+  function withLock(fn) {
+    return _withLock(fn);
+  }
+
+  /** ------------------------------
+   * Core: atomic(fn, options)
+   * Runs fn under the ledger lock as one unit. If fn throws, the Balances,
+   * Transactions and Log tables, plus options.extraTables ({ name: { table } },
+   * as for exportLedger), are put back as they were before fn ran, and the
+   * error is rethrown. Restoring rewrites whole tables, so this is meant
+   * for a handful of postings (e.g. one email's commands), not bulk jobs.
+   * Emails sent by fn are not undone. Returns fn's result.
+   * ------------------------------ */
+  function atomic(fn, { extraTables = {} } = {}) {
+    return _withLock(() => {
+      const store = _store();
+      const tables = [store.accounts, store.journal, store.log]
+        .concat(Object.keys(extraTables).map(name => extraTables[name].table));
+      const saved = tables.map(table => ({ table, before: table.read() }));
+      try {
+        return fn();
+      } catch (err) {
+        _restoreTables(saved);
+        console.error(`↩️ Rolled back: ${err.message}`);
+        throw err;
+      } finally {
+        _invalidateCaches();
+      }
+    });
+  }
+
+  /** ------------------------------
+   * Core: withStep(options, step)
+   * Derives the options for one step of a multi-posting operation, so each
+   * posting gets its own idempotency key, e.g. 'VOTE:<messageId>:wager'.
+   * Options without a key are returned unchanged.
+   * ------------------------------ */
+  function withStep(options = {}, step) {
+    if (!options.idempotencyKey) return options;
+    return { ...options, idempotencyKey: `${options.idempotencyKey}:${step}` };
+  }
+
+  /** ------------------------------
+   * System accounts: escrowAccount('commissio', 5) → 'escrow:commissio:5'
+   * ------------------------------ */
+  function escrowAccount(kind, id) {
+    return `${ESCROW_PREFIX}:${String(kind).toLowerCase()}:${id}`;
+  }
+
+  /** ------------------------------
+   * System accounts: potAccount('causa', 3) → 'pot:causa:3'
+   * ------------------------------ */
+  function potAccount(kind, id) {
+    return `${POT_PREFIX}:${String(kind).toLowerCase()}:${id}`;
+  }
+
+  /** ------------------------------
+   * System accounts: true for escrow:* and pot:* accounts
+   * ------------------------------ */
+  function isSystemAccount(account) {
+    const prefix = String(account).split(':')[0].toLowerCase();
+    return prefix === ESCROW_PREFIX || prefix === POT_PREFIX;
+  }
+
+  /** ------------------------------
+   * Core: getLockedFunds(currency)
+   * Sums every escrow/pot account with a non-zero balance in one currency
+   * (default WB). Returns { total, accounts: [{ account, balance }] }.
+   * ------------------------------ */
+  function getLockedFunds(currency = DEFAULT_CURRENCY) {
+    const definition = _currencyDef(currency);
+    const rows = _rowsIn(_store().accounts.read(), definition.code)
+      .filter(r => isSystemAccount(r[BAL_EMAIL_COL]) && Number(r[BAL_BALANCE_COL]) !== 0);
+    const accounts = rows.map(r => ({ account: String(r[BAL_EMAIL_COL]), balance: Number(r[BAL_BALANCE_COL]) }));
+
+    return { total: _amount(_totalUnits(rows, definition), definition), accounts };
+  }
+
+  /** ------------------------------
+   * Internal helper: total held in Balances rows (members and system accounts),
+   * in minor units; callers pass the rows of one currency
+   * ------------------------------ */
+  function _totalUnits(rows, currency) {
+    return rows.reduce((sum, r) => sum + _units(r[BAL_BALANCE_COL], currency), 0);
+  }
+
+  /** ------------------------------
+   * Internal helper: validate a treasury posting
+   * ------------------------------ */
+  function _validateTreasuryOp(email, amount, reason) {
+    if (!email) throw new Error('Email is required');
+    if (isSystemAccount(email)) throw new Error(`${email} is a system account`);
+    if (!(amount > 0)) throw new Error('Amount must be positive');
+    if (!reason || !String(reason).trim()) throw new Error('A reason is required');
+  }
+
+  /** ------------------------------
+   * Treasury: mint(email, amount, reason, options)
+   * Creates new money in an account (journalled from external with the
+   * memo 'Mint: <reason>'). Callers are responsible for checking that the
+   * requester is a treasurer of the currency.
+   * options.currency – currency code (default WB)
+   * options.supplyCap – refuse if that currency's total supply would exceed
+   *                     it (0 = no cap); defaults to the currency's Supply Cap
+   * options.source / options.idempotencyKey – as for credit()
+   * Returns the Transaction ID.
+   * ------------------------------ */
+  function mint(email, amount, reason, options = {}) {
+    _validateTreasuryOp(email, amount, reason);
+    const { supplyCap = null, ...postOptions } = options;
+    const currency = _currencyDef(postOptions.currency);
+
+    const txId = _withLock(() => {
+      const applied = postOptions.idempotencyKey && _getJournalIndex().keys[postOptions.idempotencyKey];
+      const cap = _units(supplyCap === null || supplyCap === '' ? currency.supplyCap : supplyCap, currency);
+      if (!applied && cap > 0) {
+        const supply = _totalUnits(_rowsIn(_getBalanceIndex().rows, currency.code), currency);
+        if (supply + _exactUnits(amount, currency) > cap) {
+          const fmt = units => formatAmount(_amount(units, currency), currency.code);
+          throw new Error(`Supply cap of ${fmt(cap)} would be exceeded (current supply ${fmt(supply)}, ` +
+            `at most ${fmt(Math.max(0, cap - supply))} can be minted)`);
+        }
+      }
+      return _post(null, email, amount, `${MINT_MEMO}: ${String(reason).trim()}`,
+        { ...postOptions, currency: currency.code });
+    });
+
+    console.log(`🏦 Minted ${amount} ${currency.code} to ${email} (${txId})`);
+    return txId;
+  }
+
+  /** ------------------------------
+   * Treasury: burn(email, amount, reason, options)
+   * Removes money from circulation (journalled to external with the
+   * memo 'Burn: <reason>'). Throws InsufficientFunds if the account would
+   * drop below its floor; spending limits do not apply.
+   * options.currency / options.source / options.idempotencyKey – as for debit()
+   * Returns the Transaction ID.
+   * ------------------------------ */
+  function burn(email, amount, reason, options = {}) {
+    _validateTreasuryOp(email, amount, reason);
+
+    const txId = _post(email, null, amount, `${BURN_MEMO}: ${String(reason).trim()}`, { ...options, skipLimits: true });
+    console.log(`🔥 Burned ${amount} from ${email} (${txId})`);
+    return txId;
+  }
+
+  /** ------------------------------
+   * Treasury: getSupply(currency)
+   * Supply of one currency (default WB). Returns {
+   *   currency    – the currency code
+   *   circulating – sum of member balances
+   *   escrowed    – sum of escrow/pot system accounts
+   *   total       – circulating + escrowed
+   *   minted, burned – totals of all treasury postings
+   *   mints       – [{ txId, timestamp, account, amount, reason }], newest first
+   * }
+   * ------------------------------ */
+  function getSupply(currency = DEFAULT_CURRENCY) {
+    const definition = _currencyDef(currency);
+    const code = definition.code;
+    const store = _store();
+    const rows = _rowsIn(store.accounts.read(), code);
+    const total = _totalUnits(rows, definition);
+    const escrowed = _totalUnits(rows.filter(r => isSystemAccount(r[BAL_EMAIL_COL])), definition);
+
+    const mintPrefix = `${MINT_MEMO}: `;
+    const burnPrefix = `${BURN_MEMO}: `;
+    const mints = [];
+    let burned = 0; // minor units
+    store.journal.read().forEach(r => {
+      if (_currencyCode(r[TX_CURRENCY_COL]) !== code) return;
+      const memo = String(r[TX_MEMO_COL]);
+      const amount = Number(r[TX_AMOUNT_COL]);
+      if (String(r[TX_DEBIT_COL]) === EXTERNAL_ACCOUNT && memo.indexOf(mintPrefix) === 0) {
+        mints.push({
+          txId: String(r[TX_ID_COL]),
+          timestamp: new Date(r[TX_TIMESTAMP_COL]),
+          account: String(r[TX_CREDIT_COL]),
+          amount,
+          reason: memo.slice(mintPrefix.length)
+        });
+      } else if (String(r[TX_CREDIT_COL]) === EXTERNAL_ACCOUNT && memo.indexOf(burnPrefix) === 0) {
+        burned += _units(amount, definition);
+      }
+    });
+
+    const major = units => _amount(units, definition);
+    return {
+      currency: code,
+      circulating: major(total - escrowed),
+      escrowed: major(escrowed),
+      total: major(total),
+      minted: major(mints.reduce((sum, m) => sum + _units(m.amount, definition), 0)),
+      burned: major(burned),
+      mints: mints.reverse()
+    };
+  }
+
+  /** ------------------------------
+   * Core: getLeaderboard(currency, options)
+   * Member standings in one currency (default WB); system accounts are left out.
+   * options.limit – entries per list (default 10)
+   * options.days  – window of the activity list (default 30)
+   * Returns { currency, members, circulating,
+   *   richest    – [{ email, balance }], highest balance first
+   *   mostActive – [{ email, entries }], most Log entries in the window first }
+   * ------------------------------ */
+  function getLeaderboard(currency = DEFAULT_CURRENCY, { limit = 10, days = 30 } = {}) {
+    const definition = _currencyDef(currency);
+    const code = definition.code;
+    const store = _store();
+    const members = _rowsIn(store.accounts.read(), code).filter(r => !isSystemAccount(r[BAL_EMAIL_COL]));
+    const byEmail = (a, b) => (a.email < b.email ? -1 : a.email > b.email ? 1 : 0);
+
+    const richest = members
+      .map(r => ({ email: _key(r[BAL_EMAIL_COL]), balance: Number(r[BAL_BALANCE_COL]) }))
+      .sort((a, b) => b.balance - a.balance || byEmail(a, b))
+      .slice(0, limit);
+
+    const since = _currentTimestamp().getTime() - days * 24 * 60 * 60 * 1000;
+    const entries = {};
+    store.log.read().forEach(r => {
+      const email = _key(r[LOG_EMAIL_COL]);
+      if (!email || isSystemAccount(email) || _currencyCode(r[LOG_CURRENCY_COL]) !== code) return;
+      if (new Date(r[LOG_TIMESTAMP_COL]).getTime() < since) return;
+      entries[email] = (entries[email] || 0) + 1;
+    });
+    const mostActive = Object.keys(entries)
+      .map(email => ({ email, entries: entries[email] }))
+      .sort((a, b) => b.entries - a.entries || byEmail(a, b))
+      .slice(0, limit);
+
+    return {
+      currency: code,
+      members: members.length,
+      circulating: _amount(_totalUnits(members, definition), definition),
+      richest,
+      mostActive
+    };
+  }
+
+  /** ------------------------------
+   * Admin: migrateLegacyEscrow(account, expected, options)
+   * Escrow and wagers taken before system accounts existed were debited
+   * to nowhere. Credits the shortfall between `expected` and the system
+   * account's balance from external so the payout can proceed. This
+   * creates money outside MINT's cap and treasurer checks: call it only
+   * from a reviewed one-off migration, never on a payout path.
+   * options.currency – the system account's currency (default WB)
+   * Returns the Transaction ID, or null if nothing was missing.
+   * ------------------------------ */
+  function migrateLegacyEscrow(account, expected, options = {}) {
+    if (!isSystemAccount(account)) throw new Error(`${account} is not a system account`);
+
+    const currency = _currencyDef(options.currency);
+    return _withLock(() => {
+      ensureAccount(account, currency.code);
+      const shortfall = _amount(_units(expected, currency) - _units(getBalance(account, currency.code), currency), currency);
+      if (shortfall <= 0) return null;
+
+      const txId = _post(null, account, shortfall, `Legacy escrow migrated into ${account}`, options);
+      console.log(`📦 Migrated ${shortfall} of legacy escrow into ${account} (${txId})`);
+      return txId;
+    });
+  }
+
+  /** ------------------------------
+   * Core: getTransaction(txId)
+   * Returns the journal entry for a Transaction ID, or null.
+   * ------------------------------ */
+  function getTransaction(txId) {
+    const rows = _store().journal.read();
+    const row = rows.find(r => String(r[TX_ID_COL]) === String(txId));
+    if (!row) return null;
+
+    return {
+      txId: row[TX_ID_COL],
+      timestamp: row[TX_TIMESTAMP_COL],
+      debitAccount: row[TX_DEBIT_COL],
+      creditAccount: row[TX_CREDIT_COL],
+      amount: Number(row[TX_AMOUNT_COL]),
+      currency: _currencyCode(row[TX_CURRENCY_COL]),
+      memo: row[TX_MEMO_COL],
+      source: row[TX_SOURCE_COL],
+      idempotencyKey: row[TX_IDEMPOTENCY_COL] || ''
+    };
+  }
+
+  /** ------------------------------
+   * Admin: reverse(txId, reason, options)
+   * Posts the offsetting entry for a journal entry: the original credit
+   * account pays the amount back to the original debit account, in the
+   * original currency. Each entry
+   * can be reversed once (the reversal is keyed REVERSAL:<txId>); reversals
+   * themselves and postings involving escrow/pot accounts are refused, since
+   * Causae and Commissiones track those funds in their own sheets.
+   * Throws InsufficientFunds if the recipient has spent the funds, unless
+   * options.allowDebt is set, which lets the balance go negative.
+   * options.source – originating command / message ID; a retry with the same
+   *                  source returns the existing reversal instead of throwing
+   * Returns { txId, original, reason, alreadyApplied, debt } where debt is
+   * { account, balance } when the reversal left a negative balance, else null.
+   * ------------------------------ */
+  function reverse(txId, reason = '', options = {}) {
+    const { allowDebt = false, source = '' } = options;
+    const original = getTransaction(txId);
+    if (!original) throw new Error(`Transaction ${txId} not found`);
+    if (String(original.idempotencyKey).indexOf(`${REVERSAL_KEY}:`) === 0) {
+      throw new Error(`${original.txId} is itself a reversal and cannot be reversed`);
+    }
+
+    const from = original.creditAccount === EXTERNAL_ACCOUNT ? null : original.creditAccount;
+    const to = original.debitAccount === EXTERNAL_ACCOUNT ? null : original.debitAccount;
+    [from, to].forEach(account => {
+      if (account && isSystemAccount(account)) {
+        throw new Error(`${original.txId} involves system account ${account}; settle it through its Causa or Commissio`);
+      }
+    });
+
+    const cleanReason = String(reason || '').trim();
+    const memo = `${REVERSAL_MEMO} ${original.txId}${cleanReason ? `: ${cleanReason}` : ''}`;
+    const key = `${REVERSAL_KEY}:${original.txId}`;
+
+    const result = _withLock(() => {
+      const existing = _getJournalIndex().keys[key];
+      if (existing) {
+        const earlier = getTransaction(existing);
+        if (!source || !earlier || earlier.source !== source) {
+          throw new Error(`${original.txId} was already reversed by ${existing}`);
+        }
+        return { txId: existing, alreadyApplied: true };
+      }
+
+      const reversalTxId = _post(from, to, original.amount, memo, {
+        source, idempotencyKey: key, allowOverdraft: allowDebt, skipLimits: true, currency: original.currency
+      });
+      return { txId: reversalTxId, alreadyApplied: false };
+    });
+
+    const balance = from ? getBalance(from, original.currency) : null;
+    const debt = from && balance < 0 ? { account: from, balance } : null;
+
+    console.log(`↩️ Reversed ${original.txId} as ${result.txId}${debt ? ` (${from} now owes ${-balance})` : ''}`);
+    return { ...result, original, reason: cleanReason, debt };
+  }
+
+  /** ------------------------------
+   * Core: getHistory(email, options)
+   * Account statement built from the Log, with the counterparty of each
+   * row taken from its journal entry.
+   * options.from / options.to – Date bounds (inclusive)
+   * options.currency – only entries in this currency (default: all)
+   * options.limit / options.offset – page through the entries
+   * Returns { entries, total }, newest first. Each entry:
+   *   { timestamp, txId, amount (signed), currency, notes, previousBalance,
+   *     balance, counterparty, reference ('Causa 3', 'Commissio 5' or '') }
+   * ------------------------------ */
+  function getHistory(email, { from = null, to = null, currency = null, limit = null, offset = 0 } = {}) {
+    if (!email) throw new Error('Email is required');
+
+    const key = email.toLowerCase().trim();
+    const code = currency ? _currencyCode(currency) : null;
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const store = _store();
+    const journal = {};
+    store.journal.read().forEach(r => { journal[String(r[TX_ID_COL])] = r; });
+
+    const entries = store.log.read()
+      .filter(r => String(r[LOG_EMAIL_COL]).toLowerCase().trim() === key)
+      .map(r => _historyEntry(r, key, journal))
+      .filter(e => !code || e.currency === code)
+      .filter(e => e.timestamp.getTime() >= fromTime && e.timestamp.getTime() <= toTime)
+      .reverse();
+
+    const page = limit ? entries.slice(offset, offset + limit) : entries.slice(offset);
+    return { entries: page, total: entries.length };
+  }
+
+  /** ------------------------------
+   * Admin: takeSnapshot()
+   * Freezes every Balances row into the Snapshots sheet under one date, so
+   * getBalanceAt() can start from it instead of replaying the whole Log.
+   * Returns { takenAt, accounts }.
+   * ------------------------------ */
+  function takeSnapshot() {
+    return _withLock(() => {
+      const store = _store();
+      const takenAt = _currentTimestamp();
+      const rows = _getBalanceIndex().rows
+        .filter(r => _key(r[BAL_EMAIL_COL]))
+        .map(r => [takenAt, String(r[BAL_EMAIL_COL]).trim(), Number(r[BAL_BALANCE_COL]) || 0,
+                   _currencyCode(r[BAL_CURRENCY_COL])]);
+      if (rows.length > 0) store.snapshots.append(rows);
+
+      console.log(`📸 Snapshot of ${rows.length} balance(s) taken at ${takenAt.toISOString()}`);
+      return { takenAt, accounts: rows.length };
+    });
+  }
+
+  /** ------------------------------
+   * Core: getBalanceAt(email, date, currency)
+   * Balance of an account in one currency (default WB) as it stood at `date`.
+   * Starts from the latest snapshot taken at or before the date and replays
+   * the account's Log rows timestamped after the snapshot, up to the date.
+   * Rows are picked by timestamp rather than position, so the replay still
+   * lines up after importLedger or a rollback rewrites the Log. Without such
+   * a snapshot the replay starts at the Previous Balance of the account's
+   * first Log row.
+   * Returns 0 for an account with no history by then.
+   * ------------------------------ */
+  function getBalanceAt(email, date, currency = DEFAULT_CURRENCY) {
+    if (!email) throw new Error('Email is required');
+    const at = new Date(date).getTime();
+    if (isNaN(at)) throw new Error(`Invalid date: ${date}`);
+
+    const definition = _currencyDef(currency);
+    const key = _balanceKey(email, definition.code);
+    const store = _store();
+
+    // Latest snapshot at or before the date: { takenAt, units (null if the account was not in it) }
+    let base = null;
+    store.snapshots.read().forEach(r => {
+      const takenAt = new Date(r[SNAP_DATE_COL]).getTime();
+      if (!(takenAt <= at) || (base && takenAt < base.takenAt)) return;
+      if (!base || takenAt > base.takenAt) {
+        base = { takenAt, units: null };
+      }
+      if (_balanceKey(r[SNAP_EMAIL_COL], r[SNAP_CURRENCY_COL]) === key) {
+        base.units = _units(r[SNAP_BALANCE_COL], definition);
+      }
+    });
+
+    // An account missing from the snapshot did not exist yet, so it starts at 0
+    let units = base ? base.units || 0 : null;
+    store.log.read().forEach(r => {
+      const loggedAt = new Date(r[LOG_TIMESTAMP_COL]).getTime();
+      if ((base && !(loggedAt > base.takenAt)) || loggedAt > at) return;
+      if (_balanceKey(r[LOG_EMAIL_COL], r[LOG_CURRENCY_COL]) !== key) return;
+      if (units === null) units = _units(r[LOG_PREV_BAL_COL], definition);
+      units += _units(r[LOG_AMOUNT_COL], definition);
+    });
+
+    return _amount(units || 0, definition);
+  }
+
+  /** ------------------------------
+   * Internal helper: one statement entry from a Log row
+   * ------------------------------ */
+  function _historyEntry(row, key, journal) {
+    const txId = String(row[LOG_TX_ID_COL] || '');
+    const tx = journal[txId];
+    let counterparty = '';
+    if (tx) {
+      const debitAccount = String(tx[TX_DEBIT_COL]);
+      counterparty = debitAccount.toLowerCase() === key ? String(tx[TX_CREDIT_COL]) : debitAccount;
+    }
+
+    const amount = Number(row[LOG_AMOUNT_COL]);
+    const previousBalance = Number(row[LOG_PREV_BAL_COL]);
+    const notes = String(row[LOG_NOTES_COL]);
+
+    return {
+      timestamp: new Date(row[LOG_TIMESTAMP_COL]),
+      txId,
+      amount,
+      currency: _currencyCode(row[LOG_CURRENCY_COL]),
+      notes,
+      previousBalance,
+      balance: previousBalance + amount,
+      counterparty,
+      reference: _referenceFor(counterparty, notes)
+    };
+  }
+
+  /** ------------------------------
+   * Internal helper: originating Causa / Commissio for a statement entry,
+   * from the system account counterparty or else the notes
+   * ------------------------------ */
+  function _referenceFor(counterparty, notes) {
+    const parts = String(counterparty).split(':');
+    if (isSystemAccount(counterparty) && parts.length === 3) {
+      return `${parts[1].charAt(0).toUpperCase()}${parts[1].slice(1)} ${parts[2]}`;
+    }
+    const match = String(notes).match(/\b(Causa|Commissio)\s+(\d+)/i);
+    return match ? `${match[1]} ${match[2]}` : '';
+  }
+
+  /** ------------------------------
+   * Admin: openJournal()
+   * One-time migration: posts an opening-balance entry for every existing
+   * account so the journal accounts for money that predates it.
+   * ------------------------------ */
+  function openJournal() {
+    return _withLock(() => {
+      const journal = _getJournalIndex();
+      if (journal.count > 0) throw new Error('Journal already has entries');
+
+      const now = _currentTimestamp();
+      const entries = [];
+      _getBalanceIndex().rows.forEach(r => {
+        const email = String(r[BAL_EMAIL_COL]).trim();
+        const balance = Number(r[BAL_BALANCE_COL]);
+        if (!email || !balance) return;
+
+        const txId = `TX-${journal.last + entries.length + 1}`;
+        const currency = _currencyCode(r[BAL_CURRENCY_COL]);
+        if (balance > 0) {
+          entries.push([txId, now, EXTERNAL_ACCOUNT, email, balance, 'Opening balance', 'openJournal', '', currency]);
+        } else {
+          entries.push([txId, now, email, EXTERNAL_ACCOUNT, -balance, 'Opening balance', 'openJournal', '', currency]);
+        }
+      });
+
+      _store().journal.append(entries);
+      _invalidateCaches();
+
+      console.log(`📒 Journal opened with ${entries.length} opening balance(s)`);
+      return entries.length;
+    });
+  }
+
+  /** ------------------------------
+   * Admin: rebuildBalances()
+   * Recomputes the Balances cache from the journal and rewrites it.
+   * Returns the number of accounts whose cached balance changed.
+   * ------------------------------ */
+  function rebuildBalances() {
+    return _withLock(() => {
+      const store = _store();
+      const entries = store.journal.read();
+      if (entries.length === 0) throw new Error('Journal is empty – run openJournal() first');
+
+      const totals = {};   // balance key → derived balance, in minor units
+      const accounts = {}; // balance key → { name, currency }
+      const add = (account, currency, delta) => {
+        const name = String(account).trim();
+        if (!name || _key(name) === EXTERNAL_ACCOUNT) return;
+        const key = _balanceKey(name, currency.code);
+        totals[key] = (totals[key] || 0) + delta;
+        accounts[key] = accounts[key] || { name, currency };
+      };
+      entries.forEach(e => {
+        const currency = _currencyDef(e[TX_CURRENCY_COL]);
+        const units = _units(e[TX_AMOUNT_COL], currency);
+        add(e[TX_DEBIT_COL], currency, -units);
+        add(e[TX_CREDIT_COL], currency, units);
+      });
+
+      const rows = store.accounts.read();
+      const timestamp = _currentTimestamp();
+      let changed = 0;
+
+      const balanceValues = rows.map(r => {
+        const key = _balanceKey(r[BAL_EMAIL_COL], r[BAL_CURRENCY_COL]);
+        const currency = accounts[key] ? accounts[key].currency : null;
+        const derived = currency ? _amount(totals[key], currency) : 0;
+        delete totals[key];
+        if (Number(r[BAL_BALANCE_COL]) !== derived) changed++;
+        return [derived];
+      });
+      store.accounts.write(0, balanceValues, BAL_BALANCE_COL);
+
+      // Accounts that appear in the journal but not in Balances
+      const missing = Object.keys(totals).map(key => {
+        const { name, currency } = accounts[key];
+        return _newAccountRow(name, currency.code, timestamp, _amount(totals[key], currency));
+      });
+      store.accounts.append(missing);
+      changed += missing.length;
+
+      _invalidateCaches();
+      console.log(`📒 Balances rebuilt from journal, ${changed} account(s) changed`);
+      return changed;
+    });
+  }
+
+  /** ------------------------------
+   * Internal helper: amounts equal within rounding noise
+   * ------------------------------ */
+  function _same(a, b) {
+    return Math.abs(a - b) < 1e-9;
+  }
+
+  /** ------------------------------
+   * Internal helper: does a logged balance follow from the replayed state?
+   * Log rows written before amounts were signed recorded debits as positive,
+   * so prev − amount is accepted as well as prev + amount.
+   * ------------------------------ */
+  function _followsReplay(state, balance) {
+    return _same(balance, state.balance) || _same(balance, state.legacyBalance);
+  }
+
+  /** ------------------------------
+   * Admin: reconcile(options)
+   * Replays the Log per account (Previous Balance + Amount) and compares the
+   * result with Balances. Every discrepancy is written to the Reconciliation
+   * sheet; with options.notify the admins are emailed when any are found.
+   * Each currency of an account is replayed separately, and reported as
+   * 'email (CODE)' outside the default currency.
+   * A broken Log hash chain (see verifyLog) is reported as 'Log tampered'.
+   * options.recipients – list of emails, overrides the ADMIN_EMAILS setting
+   * Returns { runAt, accounts, discrepancies }.
+   * ------------------------------ */
+  function reconcile({ notify = false, recipients = null } = {}) {
+    const runAt = _currentTimestamp();
+    const discrepancies = [];
+
+    const accounts = _withLock(() => {
+      const store = _store();
+      const logRows = store.log.read();
+      const replay = {}; // balance key → { name, balance, legacyBalance }
+
+      logRows.forEach((row, i) => {
+        if (!_key(row[LOG_EMAIL_COL])) return;
+        const name = _accountLabel(row[LOG_EMAIL_COL], row[LOG_CURRENCY_COL]);
+        const key = _balanceKey(row[LOG_EMAIL_COL], row[LOG_CURRENCY_COL]);
+
+        const amount = Number(row[LOG_AMOUNT_COL]);
+        const previous = Number(row[LOG_PREV_BAL_COL]);
+        const state = replay[key];
+
+        if (state && !_followsReplay(state, previous)) {
+          discrepancies.push({
+            account: name,
+            issue: 'Broken chain',
+            expected: state.balance,
+            actual: previous,
+            logRow: sheetRowFromIndex(i + HEADER_OFFSET),
+            details: 'Previous Balance does not follow from the prior Log row'
+          });
+        }
+
+        // Resync from the logged balance so one edit is reported once
+        replay[key] = { name, balance: previous + amount, legacyBalance: previous - amount };
+      });
+
+      store.accounts.read().forEach(r => {
+        if (!_key(r[BAL_EMAIL_COL])) return;
+        const name = _accountLabel(r[BAL_EMAIL_COL], r[BAL_CURRENCY_COL]);
+        const key = _balanceKey(r[BAL_EMAIL_COL], r[BAL_CURRENCY_COL]);
+
+        const actual = Number(r[BAL_BALANCE_COL]);
+        const state = replay[key];
+        delete replay[key];
+
+        if (!state) {
+          if (!_same(actual, 0)) {
+            discrepancies.push({
+              account: name, issue: 'No Log history', expected: 0, actual, logRow: '',
+              details: 'Balance is non-zero but the account never appears in the Log'
+            });
+          }
+          return;
+        }
+
+        if (!_followsReplay(state, actual)) {
+          discrepancies.push({
+            account: name, issue: 'Balance drift', expected: state.balance, actual, logRow: '',
+            details: 'Balances differs from the replayed Log'
+          });
+        }
+      });
+
+      // Whatever is left appears in the Log but has no Balances row
+      Object.values(replay).forEach(state => {
+        discrepancies.push({
+          account: state.name, issue: 'Missing account', expected: state.balance, actual: '', logRow: '',
+          details: 'Account appears in the Log but not in Balances'
+        });
+      });
+
+      return logRows.length;
+    });
+
+    const chain = verifyLog();
+    if (!chain.ok) {
+      discrepancies.push({
+        account: '', issue: 'Log tampered', expected: '', actual: '', logRow: chain.brokenAt.logRow,
+        details: `${chain.brokenAt.issue}: the row was edited, or rows before it were inserted or removed`
+      });
+    }
+
+    _writeReconcileReport(runAt, discrepancies);
+
+    if (notify && discrepancies.length > 0) {
+      _emailReconcileReport(runAt, discrepancies, recipients || getListSetting(SETTING_ADMIN_EMAILS));
+    }
+
+    console.log(`🧮 Reconciliation finished: ${discrepancies.length} discrepancy(ies)`);
+    return { runAt, accounts, discrepancies };
+  }
+
+  /** ------------------------------
+   * Admin: verifyLog()
+   * Recomputes the Log's hash chain and finds the first broken link: a row
+   * whose contents, or whose predecessor, no longer match its Hash. Rows at
+   * the top of the Log from before the chain existed have no Hash and are
+   * skipped. Rows deleted from the very end leave a valid chain; compare the
+   * head hash with the last emailed digest (see emailLogDigest) for that.
+   * Returns { ok, rows, hashedRows, headHash, headRow, brokenAt } where
+   * brokenAt is null or { logRow, txId, issue }.
+   * ------------------------------ */
+  function verifyLog() {
+    const rows = _store().log.read();
+    const { hashedRows, brokenAt } = _verifyChain(rows);
+
+    const headRow = rows.length > 0 ? sheetRowFromIndex(rows.length - 1 + HEADER_OFFSET) : null;
+    const headHash = rows.length > 0 ? String(rows[rows.length - 1][LOG_HASH_COL] || '') : '';
+    if (brokenAt) {
+      console.warn(`⚠️ Log hash chain broken at row ${brokenAt.logRow}: ${brokenAt.issue}`);
+    } else {
+      console.log(`🔗 Log hash chain intact: ${hashedRows} hashed row(s)`);
+    }
+    return { ok: !brokenAt, rows: rows.length, hashedRows, headHash, headRow, brokenAt };
+  }
+
+  /** ------------------------------
+   * Internal helper: walk the hash chain of Log rows.
+   * Returns { hashedRows, brokenAt } as described for verifyLog().
+   * ------------------------------ */
+  function _verifyChain(rows) {
+    let previous = '';
+    let hashedRows = 0;
+    let brokenAt = null;
+
+    for (let i = 0; i < rows.length && !brokenAt; i++) {
+      const stored = String(rows[i][LOG_HASH_COL] || '');
+      if (!stored && hashedRows === 0) continue; // older than the chain
+
+      const logRow = sheetRowFromIndex(i + HEADER_OFFSET);
+      const txId = String(rows[i][LOG_TX_ID_COL] || '');
+      if (!stored) {
+        brokenAt = { logRow, txId, issue: 'Missing hash' };
+      } else if (stored !== _logHash(previous, rows[i])) {
+        brokenAt = { logRow, txId, issue: 'Hash mismatch' };
+      } else {
+        previous = stored;
+        hashedRows++;
+      }
+    }
+    return { hashedRows, brokenAt };
+  }
+
+  /** ------------------------------
+   * Admin: emailLogDigest(options)
+   * Emails the Log's head hash and row number with the verifyLog() result,
+   * so members can keep their own record of the audit trail: as long as
+   * that Log row still carries the emailed hash and the chain verifies,
+   * nothing up to it has been changed.
+   * options.recipients – list of emails, overrides the LOG_DIGEST_EMAILS
+   *                      setting (blank = ADMIN_EMAILS)
+   * Returns the verifyLog() result.
+   * ------------------------------ */
+  function emailLogDigest({ recipients = null } = {}) {
+    const result = verifyLog();
+    const to = recipients || getListSetting(SETTING_LOG_DIGEST_EMAILS);
+    const list = to.length > 0 ? to : getListSetting(SETTING_ADMIN_EMAILS);
+    if (list.length === 0) {
+      console.warn(`⚠️ No ${SETTING_LOG_DIGEST_EMAILS} or ${SETTING_ADMIN_EMAILS} configured – skipping Log digest.`);
+      return result;
+    }
+
+    const status = result.ok
+      ? `&#9989; Chain intact (${result.hashedRows} hashed row(s))`
+      : `&#9888;&#65039; Chain broken at row ${result.brokenAt.logRow}: ${result.brokenAt.issue}`;
+    MailApp.sendEmail({
+      to: list.join(','),
+      subject: `Wavebucks Log digest: ${result.headHash ? result.headHash.slice(0, 12) : 'empty'}`,
+      htmlBody: `<h2>&#128279; Ledger Log Digest</h2>
+                 <p><b>Run at:</b> ${_currentTimestamp()}</p>
+                 <p><b>Log rows:</b> ${result.rows}</p>
+                 <p><b>Head row:</b> ${result.headRow || '-'}</p>
+                 <p><b>Head hash:</b> <code>${result.headHash || '-'}</code></p>
+                 <p>${status}</p>
+                 <p><i>Keep this email. The ${LOG_SHEET} sheet's Hash column at the head row should
+                 still show this hash in later digests; if it does not, the audit trail was rewritten.</i></p>`
+    });
+    return result;
+  }
+
+  /** ------------------------------
+   * Internal helper: account name for reports, with the currency unless default
+   * ------------------------------ */
+  function _accountLabel(account, currency) {
+    const code = _currencyCode(currency);
+    const name = String(account).trim();
+    return code === DEFAULT_CURRENCY ? name : `${name} (${code})`;
+  }
+
+  /** ------------------------------
+   * Internal helper: rewrite the Reconciliation sheet with the latest run
+   * ------------------------------ */
+  function _writeReconcileReport(runAt, discrepancies) {
+    const report = _store().reconciliation;
+    report.clear();
+
+    const rows = discrepancies.length > 0
+      ? discrepancies.map(d => {
+          const difference = d.actual === '' ? '' : d.actual - d.expected;
+          return [runAt, d.account, d.issue, d.expected, d.actual, difference, d.logRow, d.details];
+        })
+      : [[runAt, '', 'OK', '', '', '', '', 'No discrepancies']];
+
+    report.append(rows);
+  }
+
+  /** ------------------------------
+   * Internal helper: email the discrepancy report to admins
+   * ------------------------------ */
+  function _emailReconcileReport(runAt, discrepancies, recipients) {
+    if (!recipients || recipients.length === 0) {
+      console.warn(`⚠️ No ${SETTING_ADMIN_EMAILS} configured – skipping reconciliation email.`);
+      return;
+    }
+
+    const rows = discrepancies.map(d =>
+      `<tr><td>${d.account}</td><td>${d.issue}</td><td>${d.expected}</td><td>${d.actual}</td><td>${d.logRow}</td></tr>`
+    ).join('');
+
+    MailApp.sendEmail({
+      to: recipients.join(','),
+      subject: `Wavebucks reconciliation: ${discrepancies.length} discrepancy(ies)`,
+      htmlBody: `<h2>&#129518; Ledger Reconciliation</h2>
+                 <p>Run at ${runAt}. See the <b>${RECONCILE_SHEET}</b> sheet for details.</p>
+                 <table border="1" cellpadding="4">
+                   <tr><th>Account</th><th>Issue</th><th>Expected</th><th>Actual</th><th>Log Row</th></tr>
+                   ${rows}
+                 </table>`
+    });
+  }
+
+  /** ------------------------------
+   * Internal helper: ISO week of a date in script time, e.g. '2025-W47'
+   * ------------------------------ */
+  function _isoWeek(date) {
+    // The week belongs to the year of its Thursday
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const dayOfYear = Math.round((thursday - new Date(thursday.getFullYear(), 0, 1)) / 86400000);
+    const week = Math.floor(dayOfYear / 7) + 1;
+    return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /** ------------------------------
+   * Internal helper: numeric option, else Script Property, else fallback
+   * ------------------------------ */
+  function _numberOption(value, settingKey, fallback) {
+    const raw = value !== undefined ? value : getSetting(settingKey, fallback);
+    const number = Number(raw);
+    return isNaN(number) ? fallback : number;
+  }
+
+  /** ------------------------------
+   * Job: runAllowance(options)
+   * Weekly basic income and demurrage in the default currency, posted as one
+   * dated batch.
+   * Every active member account is credited the stipend, and the balance of
+   * each idle one (not active) above the threshold decays by the demurrage
+   * rate (applied to the excess, rounded down to a whole minor unit). Postings are keyed on the ISO week, so a
+   * second run in the same week only posts what is missing.
+   * Settings come from Script Properties unless given as options:
+   *   stipend            – STIPEND_AMOUNT (blank/0 = no stipend)
+   *   activeDays         – STIPEND_ACTIVE_DAYS: accounts with Log activity in
+   *                        this many days, allowance postings excluded, are active
+   *                        (0 = all, so none is idle; default 30)
+   *   demurrageRate      – DEMURRAGE_RATE, percent (blank/0 = no demurrage)
+   *   demurrageThreshold – DEMURRAGE_THRESHOLD (default 0)
+   * options.date   – run as of this date (default now)
+   * options.dryRun – compute and return the plan without writing
+   * Returns { period, dryRun, stipends, demurrage: [{ account, amount }],
+   *           totalStipend, totalDemurrage, alreadyApplied, txIds }.
+   * ------------------------------ */
+  function runAllowance(options = {}) {
+    const date = options.date ? new Date(options.date) : _currentTimestamp();
+    const dryRun = !!options.dryRun;
+    const stipend = _numberOption(options.stipend, SETTING_STIPEND_AMOUNT, 0);
+    const activeDays = _numberOption(options.activeDays, SETTING_STIPEND_ACTIVE_DAYS, 30);
+    const rate = _numberOption(options.demurrageRate, SETTING_DEMURRAGE_RATE, 0);
+    const threshold = rate > 0
+      ? Math.max(0, _numberOption(options.demurrageThreshold, SETTING_DEMURRAGE_THRESHOLD, 0))
+      : 0;
+    if (stipend < 0) throw new Error('Stipend cannot be negative');
+    if (rate < 0 || rate > 100) throw new Error('Demurrage rate must be between 0 and 100 percent');
+
+    const period = _isoWeek(date);
+    const source = `ALLOWANCE:${period}`;
+
+    const result = _withLock(() => {
+      const journal = _getJournalIndex();
+      const currency = _currencyDef(DEFAULT_CURRENCY);
+      const members = _rowsIn(_getBalanceIndex().rows, DEFAULT_CURRENCY)
+        .map(r => ({ account: String(r[BAL_EMAIL_COL]).trim(), balance: Number(r[BAL_BALANCE_COL]) || 0 }))
+        .filter(a => a.account && !isSystemAccount(a.account));
+      const active = activeDays > 0 ? _activeAccounts(date, activeDays) : null;
+
+      const ops = [];
+      let alreadyApplied = 0;
+      const plan = (op, list) => {
+        if (journal.keys[op.idempotencyKey]) {
+          alreadyApplied++;
+          return;
+        }
+        ops.push(op);
+        list.push({ account: op.from || op.to, amount: op.amount });
+      };
+
+      const demurrage = [];
+      if (rate > 0) {
+        const thresholdUnits = _units(threshold, currency);
+        members.filter(a => active && !active[_key(a.account)]).forEach(a => {
+          // The epsilon keeps e.g. 7% of 100.00 from flooring to 6.99 on floating-point noise
+          const units = Math.floor((_units(a.balance, currency) - thresholdUnits) * rate / 100 + 1e-9);
+          if (units <= 0) return;
+          plan({ from: a.account, to: null, amount: _amount(units, currency), source, skipLimits: true,
+                 notes: `${DEMURRAGE_MEMO} ${period}: ${rate}% above ${threshold} ${currency.code}`,
+                 idempotencyKey: `DEMURRAGE:${period}:${_key(a.account)}` }, demurrage);
+        });
+      }
+
+      const stipends = [];
+      if (stipend > 0) {
+        members
+          .filter(a => !active || active[_key(a.account)])
+          .forEach(a => plan({ from: null, to: a.account, amount: stipend, source,
+                               notes: `${STIPEND_MEMO} ${period}`,
+                               idempotencyKey: `STIPEND:${period}:${_key(a.account)}` }, stipends));
+      }
+
+      const txIds = !dryRun && ops.length > 0 ? _applyOps(ops) : [];
+      return { stipends, demurrage, alreadyApplied, txIds };
+    });
+
+    const totalStipend = sumAmounts(result.stipends.map(s => s.amount));
+    const totalDemurrage = sumAmounts(result.demurrage.map(d => d.amount));
+    console.log(`🗓️ Allowance ${period}${dryRun ? ' (dry run)' : ''}: ` +
+      `${result.stipends.length} stipend(s) totalling ${totalStipend}, ` +
+      `${result.demurrage.length} demurrage charge(s) totalling ${totalDemurrage}, ` +
+      `${result.alreadyApplied} already applied`);
+
+    return { period, dryRun, ...result, totalStipend, totalDemurrage };
+  }
+
+  /** ------------------------------
+   * Internal helper: accounts with Log activity in the `days` before `date`,
+   * ignoring allowance postings. Returns lowercase account → true.
+   * ------------------------------ */
+  function _activeAccounts(date, days) {
+    const since = date.getTime() - days * 86400000;
+    const allowancePrefixes = [`${STIPEND_MEMO} `, `${DEMURRAGE_MEMO} `];
+    const active = {};
+    _store().log.read().forEach(r => {
+      const time = new Date(r[LOG_TIMESTAMP_COL]).getTime();
+      const notes = String(r[LOG_NOTES_COL]);
+      if (time < since || time > date.getTime()) return;
+      if (allowancePrefixes.some(prefix => notes.indexOf(prefix) === 0)) return;
+      active[_key(r[LOG_EMAIL_COL])] = true;
+    });
+    return active;
+  }
+
+  /** ------------------------------
+   * Currencies: getCurrency(code)
+   * Definition of a currency (blank = the default). Returns
+   * { code, name, symbol, precision, supplyCap, treasurers }; treasurers is
+   * empty when the currency leaves that to the app. Throws on unknown codes.
+   * ------------------------------ */
+  function getCurrency(code) {
+    const currency = _currencyDef(code);
+    return { ...currency, treasurers: currency.treasurers.slice() };
+  }
+
+  /** ------------------------------
+   * Currencies: listCurrencies()
+   * Every known currency, the default first.
+   * ------------------------------ */
+  function listCurrencies() {
+    return Object.keys(_getCurrencyIndex()).map(getCurrency);
+  }
+
+  /** ------------------------------
+   * Currencies: formatAmount(amount, code)
+   * e.g. formatAmount(5) → '&#8361;5', formatAmount(2.5) → '&#8361;2.50';
+   * whole amounts drop the decimals. Currencies without a symbol show
+   * their code after the amount. Unknown codes are shown as given.
+   * ------------------------------ */
+  function formatAmount(amount, code = DEFAULT_CURRENCY) {
+    const currency = _getCurrencyIndex()[_currencyCode(code)];
+    if (!currency) return `${amount} ${_currencyCode(code)}`;
+    const units = _units(amount, currency);
+    const value = units % _scale(currency) === 0
+      ? String(_amount(units, currency))
+      : _amount(units, currency).toFixed(currency.precision);
+    return currency.symbol ? `${currency.symbol}${value}` : `${value} ${currency.code}`;
+  }
+
+  /** ------------------------------
+   * Amounts: toUnits(amount, code)
+   * An amount as integer minor units of its currency (default WB), e.g.
+   * toUnits(2.5) → 250. Throws if the amount is finer than the precision.
+   * ------------------------------ */
+  function toUnits(amount, code = DEFAULT_CURRENCY) {
+    return _exactUnits(amount, _currencyDef(code));
+  }
+
+  /** ------------------------------
+   * Amounts: fromUnits(units, code)
+   * Integer minor units back to a decimal amount, e.g. fromUnits(250) → 2.5.
+   * ------------------------------ */
+  function fromUnits(units, code = DEFAULT_CURRENCY) {
+    if (!Number.isInteger(units)) throw new Error(`Minor units must be a whole number: ${units}`);
+    return _amount(units, _currencyDef(code));
+  }
+
+  /** ------------------------------
+   * Amounts: sumAmounts(amounts, code)
+   * Exact sum of decimal amounts, e.g. sumAmounts([0.1, 0.2]) → 0.3.
+   * ------------------------------ */
+  function sumAmounts(amounts, code = DEFAULT_CURRENCY) {
+    const currency = _currencyDef(code);
+    return _amount(amounts.reduce((sum, a) => sum + _exactUnits(a, currency), 0), currency);
+  }
+
+  /** ------------------------------
+   * Amounts: splitAmount(total, weights, code)
+   * Splits `total` in proportion to `weights` (e.g. the winning wagers).
+   * Each share is rounded down to a whole minor unit, and whatever that
+   * leaves over is returned as the remainder for the caller to assign, so
+   * shares + remainder always add up to the total.
+   * Returns { shares, remainder }, shares in the order of the weights.
+   * ------------------------------ */
+  function splitAmount(total, weights, code = DEFAULT_CURRENCY) {
+    const currency = _currencyDef(code);
+    const totalUnits = _exactUnits(total, currency);
+    const weightUnits = weights.map(w => _exactUnits(w, currency));
+    const weightSum = weightUnits.reduce((sum, w) => sum + w, 0);
+    if (totalUnits < 0 || weightUnits.some(w => w < 0)) throw new Error('Cannot split negative amounts');
+
+    const shareUnits = weightUnits.map(w => (weightSum > 0 ? Math.floor(totalUnits * w / weightSum) : 0));
+    const remainder = totalUnits - shareUnits.reduce((sum, u) => sum + u, 0);
+    return {
+      shares: shareUnits.map(u => _amount(u, currency)),
+      remainder: _amount(remainder, currency)
+    };
+  }
+
+  /** ------------------------------
+   * Internal helper: the tables covered by export/import, by name.
+   * Each is { table, headers, keyOf(row, index), check(row) → [[failed, problem]] };
+   * extraTables ({ name: { table, headers } }) are keyed on their first column.
+   * ------------------------------ */
+  function _transferTables(extraTables = {}) {
+    const store = _store();
+    const isNumber = value => value !== '' && value !== null && isFinite(Number(value));
+    const isDate = value => value !== '' && value !== null && !isNaN(new Date(value).getTime());
+
+    const tables = {
+      Balances: {
+        table: store.accounts,
+        headers: BALANCES_HEADERS,
+        keyOf: r => _balanceKey(r[BAL_EMAIL_COL], r[BAL_CURRENCY_COL]),
+        check: r => [
+          [!_key(r[BAL_EMAIL_COL]), 'missing email'],
+          [!isNumber(r[BAL_BALANCE_COL]), 'Balance is not a number']
+        ]
+      },
+      Transactions: {
+        table: store.journal,
+        headers: TRANSACTIONS_HEADERS,
+        keyOf: r => String(r[TX_ID_COL]),
+        check: r => [
+          [!/^TX-\d+$/.test(String(r[TX_ID_COL])), 'Transaction ID must look like TX-42'],
+          [!isDate(r[TX_TIMESTAMP_COL]), 'invalid Timestamp'],
+          [!(Number(r[TX_AMOUNT_COL]) > 0), 'Amount must be positive']
+        ]
+      },
+      Log: {
+        table: store.log,
+        headers: LOG_HEADERS,
+        keyOf: (r, i) => String(r[LOG_HASH_COL] || `row ${sheetRowFromIndex(i + HEADER_OFFSET)}`),
+        check: r => [
+          [!isDate(r[LOG_TIMESTAMP_COL]), 'invalid Timestamp'],
+          [!_key(r[LOG_EMAIL_COL]), 'missing email'],
+          [!isNumber(r[LOG_AMOUNT_COL]), 'Amount is not a number']
+        ]
+      },
+      Currencies: {
+        table: store.currencies,
+        headers: CURRENCIES_HEADERS,
+        keyOf: r => String(r[CUR_CODE_COL]).trim().toUpperCase(),
+        check: r => [[!/^[A-Z]{2,5}$/.test(String(r[CUR_CODE_COL]).trim().toUpperCase()), 'Code must be 2–5 letters']]
+      }
+    };
+
+    Object.keys(extraTables).forEach(name => {
+      tables[name] = {
+        table: extraTables[name].table,
+        headers: extraTables[name].headers,
+        keyOf: r => String(r[0]).trim(),
+        check: r => [[String(r[0]).trim() === '', 'missing ID']]
+      };
+    });
+    return tables;
+  }
+
+  /** ------------------------------
+   * Internal helper: a cell as exported (Dates as ISO 8601 in UTC)
+   * ------------------------------ */
+  function _exportCell(value) {
+    if (Object.prototype.toString.call(value) !== '[object Date]') return value;
+    return isNaN(value.getTime()) ? '' : value.toISOString();
+  }
+
+  /** ------------------------------
+   * Internal helper: an imported JSON cell; ISO 8601 timestamps become Dates again
+   * ------------------------------ */
+  function _importCell(value) {
+    return typeof value === 'string' && EXPORT_DATE.test(value) ? new Date(value) : value;
+  }
+
+  /** ------------------------------
+   * Internal helper: an imported CSV cell, typed the way a sheet would read it
+   * ------------------------------ */
+  function _importCsvCell(text) {
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return _importCell(text);
+  }
+
+  /** ------------------------------
+   * Internal helper: rows as CSV text (quoted where needed, CRLF line ends)
+   * ------------------------------ */
+  function _toCsv(rows) {
+    const cell = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(r => r.map(cell).join(',')).join('\r\n');
+  }
+
+  /** ------------------------------
+   * Internal helper: CSV text as rows of strings; blank lines are dropped
+   * ------------------------------ */
+  function _parseCsv(text) {
+    const source = String(text);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const c = source[i];
+      if (quoted) {
+        if (c === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          cell += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (c === '\r' || c === '\n') {
+        if (c === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += c;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+  }
+
+  /** ------------------------------
+   * Admin: exportLedger(options)
+   * Serializes ledger sheets for backups or for seeding another workbook:
+   * Balances, Transactions, Log and Currencies, plus any options.extraTables
+   * ({ name: { table, headers } }, e.g. an app's Causae sheet wrapped with
+   * LedgerStore.createSheetTable()). Read under the lock, so the tables agree.
+   * Dates are written as ISO 8601 in UTC; ledger columns beyond the known
+   * headers are left out.
+   * options.format – 'json' (default): a string with
+   *                  { format, version, exportedAt, tables: { name: { headers, rows } } }
+   *                  'csv': { name: CSV text, headers on the first line }
+   * options.tables – names to include (default: all)
+   * ------------------------------ */
+  function exportLedger({ format = 'json', tables = null, extraTables = {} } = {}) {
+    if (format !== 'json' && format !== 'csv') throw new Error(`Unknown export format: ${format}`);
+    const specs = _transferTables(extraTables);
+    const names = tables || Object.keys(specs);
+
+    const exported = _withLock(() => {
+      const result = {};
+      names.forEach(name => {
+        const spec = specs[name];
+        if (!spec) throw new Error(`Unknown table: ${name}`);
+        result[name] = {
+          headers: spec.headers.slice(),
+          rows: spec.table.read().map(r => r.slice(0, spec.headers.length).map(_exportCell))
+        };
+      });
+      return result;
+    });
+
+    console.log(`📤 Exported ${names.map(n => `${n} (${exported[n].rows.length})`).join(', ')} as ${format}`);
+    if (format === 'csv') {
+      const files = {};
+      names.forEach(name => { files[name] = _toCsv([exported[name].headers].concat(exported[name].rows)); });
+      return files;
+    }
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: _currentTimestamp().toISOString(),
+      tables: exported
+    });
+  }
+
+  /** ------------------------------
+   * Internal helper: an export as { name: { headers, rows } }
+   * ------------------------------ */
+  function _parseImport(data, format) {
+    const parsed = {};
+    if (format === 'csv') {
+      Object.keys(data || {}).forEach(name => {
+        const lines = _parseCsv(data[name]);
+        parsed[name] = { headers: lines[0] || [], rows: lines.slice(1).map(r => r.map(_importCsvCell)) };
+      });
+      return parsed;
+    }
+    if (format !== 'json') throw new Error(`Unknown import format: ${format}`);
+
+    const json = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!json || json.format !== EXPORT_FORMAT || !(json.version <= EXPORT_VERSION)) {
+      throw new Error('Not a Wavebucks ledger export (or from a newer version)');
+    }
+    Object.keys(json.tables || {}).forEach(name => {
+      const table = json.tables[name] || {};
+      parsed[name] = {
+        headers: table.headers || [],
+        rows: (table.rows || []).map(r => (Array.isArray(r) ? r.map(_importCell) : r))
+      };
+    });
+    return parsed;
+  }
+
+  /** ------------------------------
+   * Internal helper: validation problems of one imported table
+   * ------------------------------ */
+  function _validateImport(name, spec, { headers, rows }) {
+    const errors = [];
+    headers.forEach((header, i) => {
+      const expected = spec.headers[i];
+      if (expected === undefined) {
+        errors.push(`${name}: unexpected column "${header}"`);
+      } else if (String(header).trim().toLowerCase() !== String(expected).trim().toLowerCase()) {
+        errors.push(`${name}: column ${i + 1} is "${header}", expected "${expected}"`);
+      }
+    });
+
+    const seen = {};
+    rows.forEach((row, i) => {
+      const at = `${name} row ${sheetRowFromIndex(i + HEADER_OFFSET)}`;
+      if (!Array.isArray(row)) {
+        errors.push(`${at}: not a row`);
+        return;
+      }
+      if (row.length > headers.length) errors.push(`${at}: more cells than columns`);
+      spec.check(row).filter(c => c[0]).forEach(c => errors.push(`${at}: ${c[1]}`));
+
+      const key = spec.keyOf(row, i);
+      if (key in seen) errors.push(`${at}: duplicate of row ${seen[key]} (${key})`);
+      seen[key] = sheetRowFromIndex(i + HEADER_OFFSET);
+    });
+
+    if (name === 'Log' && errors.length === 0) {
+      const { brokenAt } = _verifyChain(rows);
+      if (brokenAt) errors.push(`Log row ${brokenAt.logRow}: hash chain broken (${brokenAt.issue})`);
+    }
+    return errors;
+  }
+
+  /** ------------------------------
+   * Internal helper: keys of rows added, removed and changed by an import
+   * ------------------------------ */
+  function _diffRows(spec, currentRows, incomingRows) {
+    const fingerprint = row => {
+      const cells = row.slice(0, spec.headers.length).map(_exportCell);
+      while (cells.length > 0 && (cells[cells.length - 1] === '' || cells[cells.length - 1] === null)) cells.pop();
+      return JSON.stringify(cells);
+    };
+    const index = rows => {
+      const byKey = {};
+      rows.forEach((r, i) => { if (Array.isArray(r)) byKey[spec.keyOf(r, i)] = fingerprint(r); });
+      return byKey;
+    };
+
+    const current = index(currentRows);
+    const incoming = index(incomingRows);
+    return {
+      current: currentRows.length,
+      incoming: incomingRows.length,
+      added: Object.keys(incoming).filter(key => !(key in current)),
+      removed: Object.keys(current).filter(key => !(key in incoming)),
+      changed: Object.keys(incoming).filter(key => key in current && current[key] !== incoming[key])
+    };
+  }
+
+  /** ------------------------------
+   * Admin: importLedger(data, options)
+   * Replaces ledger sheets with an export (see exportLedger), e.g. to seed a
+   * test workbook from production or to restore a backup. Only the tables
+   * in the data are touched. Every table is validated first (headers,
+   * required values, duplicate keys, the Log hash chain), and unless
+   * options.apply is set nothing is written: the result is a dry-run diff
+   * against the current sheets.
+   * options.format – 'json' (data is the JSON string) or 'csv' (data is { name: CSV text })
+   * options.apply – write the import; refused while there are validation errors
+   * options.extraTables – as for exportLedger
+   * Returns { dryRun, errors, tables: { name: { current, incoming, added, removed, changed } } },
+   * the last three listing row keys (Balances 'email|CODE', Transactions the ID,
+   * Log the Hash, other tables the first column).
+   * ------------------------------ */
+  function importLedger(data, { format = 'json', apply = false, extraTables = {} } = {}) {
+    const specs = _transferTables(extraTables);
+    const incoming = _parseImport(data, format);
+    const names = Object.keys(incoming);
+
+    const result = _withLock(() => {
+      const errors = [];
+      const tables = {};
+      names.forEach(name => {
+        const spec = specs[name];
+        if (!spec) {
+          errors.push(`${name}: unknown table`);
+          return;
+        }
+        errors.push(..._validateImport(name, spec, incoming[name]));
+        tables[name] = _diffRows(spec, spec.table.read(), incoming[name].rows);
+      });
+
+      if (apply) {
+        if (errors.length > 0) throw new Error(`Import refused, ${errors.length} validation error(s). First: ${errors[0]}`);
+        _replaceTables(names.map(name => ({ spec: specs[name], ...incoming[name] })));
+      }
+      return { dryRun: !apply, errors, tables };
+    });
+
+    console.log(`📥 Import ${apply ? 'applied' : 'dry run'}: ` + names.filter(n => result.tables[n]).map(n => {
+      const t = result.tables[n];
+      return `${n} +${t.added.length} -${t.removed.length} ~${t.changed.length}`;
+    }).join(', ') + (result.errors.length > 0 ? `; ${result.errors.length} validation error(s)` : ''));
+    return result;
+  }
+
+  /** ------------------------------
+   * Internal helper: overwrite tables with imported rows (caller holds the lock).
+   * If a write fails, the tables already replaced get their old rows back.
+   * ------------------------------ */
+  function _replaceTables(imports) {
+    const replaced = [];
+    try {
+      imports.forEach(({ spec, headers, rows }) => {
+        replaced.push({ table: spec.table, before: spec.table.read() });
+        spec.table.clear();
+        const width = Math.max(headers.length, ...rows.map(r => r.length));
+        if (rows.length > 0) spec.table.append(rows.map(r => Array.from({ length: width }, (_, i) => (i < r.length ? r[i] : ''))));
+      });
+    } catch (err) {
+      _restoreTables(replaced);
+      console.error(`❌ Import rolled back: ${err.message}`);
+      throw err;
+    } finally {
+      _invalidateCaches();
+    }
+  }
+
+  /** Puts tables back to rows read earlier: [{ table, before }] */
+  function _restoreTables(saved) {
+    saved.forEach(({ table, before }) => {
+      table.clear();
+      if (before.length > 0) table.append(before);
+    });
+  }
+
+  /** ------------------------------
+   * Admin: checkSchemas(options)
+   * Checks the header rows of the ledger sheets (Balances, Transactions, Log,
+   * Currencies) against their schemas; with options.migrate, missing columns
+   * are added first. Columns are found by header name, so their order does
+   * not matter; a missing one makes a report not ok. Sheets that do not
+   * exist are skipped. Returns the reports (see WavebucksConfig.compareHeaders).
+   * ------------------------------ */
+  function checkSchemas({ migrate = false } = {}) {
+    const reports = _withLock(() => _store().checkSchemas({ migrate }));
+    reports.forEach(report => console.log(describeSchemaReport(report)));
+    return reports;
+  }
+
+  /** ------------------------------
+   * Admin: setStore(store)
+   * Points the ledger at another storage backend, e.g.
+   * LedgerStore.createMemoryStore() for local tests. Pass null to go back
+   * to the spreadsheet. Clears the per-execution caches.
+   * ------------------------------ */
+  function setStore(store) {
+    _activeStore = store || null;
+    if (store) delete _issuedTx.store;
+    _invalidateCaches();
+  }
+
+  /** ------------------------------
+   * Admin: useWorkbook(sheetId)
+   * Points the ledger at another copy of the spreadsheet for the rest of
+   * the execution, e.g. WavebucksConfig.TEST_SHEET_ID. Pass null to go
+   * back to WavebucksConfig.SHEET_ID. Goes back to the sheet store (a store
+   * given to setStore() is dropped). Returns the previous workbook ID, so
+   * callers can switch back.
+   * ------------------------------ */
+  function useWorkbook(sheetId) {
+    const previous = getWorkbookId();
+    WavebucksConfig.useWorkbook(sheetId);
+    setStore(null);
+    return previous;
+  }
+
+  /** ------------------------------
+   * Exported API
+   * ------------------------------ */
+  return {
+    DEFAULT_CURRENCY,
+    InsufficientFunds,
+    SpendingLimitExceeded,
+    setStore,
+    useWorkbook,
+    getCurrency,
+    listCurrencies,
+    formatAmount,
+    toUnits,
+    fromUnits,
+    sumAmounts,
+    splitAmount,
+    ensureAccount,
+    getBalance,
+    getBalances,
+    getSpendingAllowance,
+    credit,
+    debit,
+    transfer,
+    applyBatch,
+    atomic,
+    withLock,
+    withStep,
+    escrowAccount,
+    potAccount,
+    isSystemAccount,
+    getLockedFunds,
+    mint,
+    burn,
+    getSupply,
+    getLeaderboard,
+    migrateLegacyEscrow,
+    getTransaction,
+    reverse,
+    getHistory,
+    getBalanceAt,
+    takeSnapshot,
+    openJournal,
+    rebuildBalances,
+    reconcile,
+    verifyLog,
+    emailLogDigest,
+    exportLedger,
+    importLedger,
+    checkSchemas,
+    runAllowance
+  };
+
+})();
+
+/**
+ * Nightly trigger entry point: reconcile the ledger and email admins on drift.
+ */
+function nightlyReconcile() {
+  Wavebucks.reconcile({ notify: true });
+}
+
+/**
+ * Weekly trigger entry point: email the Log head hash to LOG_DIGEST_EMAILS.
+ */
+function weeklyLogDigest() {
+  Wavebucks.emailLogDigest();
+}
+
+/**
+ * Trigger entry point: freeze all balances into the Snapshots sheet
+ * (run it weekly, or at least at the end of each reporting period).
+ */
+function snapshotBalances() {
+  Wavebucks.takeSnapshot();
+}
+
+/**
+ * Weekly trigger entry point: post the stipend and demurrage for this week.
+ * Preview from the editor with Wavebucks.runAllowance({ dryRun: true }).
+ */
+function weeklyAllowance() {
+  Wavebucks.runAllowance();
+}
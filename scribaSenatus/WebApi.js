@@ -0,0 +1,321 @@
+/**
+ * WebApi.js
+ * JSON web API, so dashboards, kiosks and bots can use the economy without
+ * email or the spreadsheets.
+ *
+ * GET (doGet) is read-only. Every request needs a member's API token as ?token=… (members get one by
+ * emailing TOKEN). Routes, chosen with ?route=…:
+ *   balance      – balances of the token's member; admins and treasurers may add ?email=…
+ *   causae       – open Causae with their pots
+ *   commissiones – open and assigned Commissiones
+ *   leaderboard  – richest and most active members; optional ?currency=, ?limit=, ?days=
+ *
+ * Responses are { ok: true, route, data } or { ok: false, error }, plus the
+ * environment that answered (see Environment.js). Apps Script web apps
+ * always answer HTTP 200, so clients must check ok.
+ *
+ * POST (doPost) runs email commands for registered clients, see CommandApi.
+ */
+
+/** Hex string of a byte array from Utilities (signed bytes) */
+function toHex(bytes) {
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+const ApiTokens = (() => {
+  /** The ApiTokens tab as a schema table */
+  function getTable() {
+    return Schemas.open(Schemas.API_TOKENS);
+  }
+
+  /** SHA-256 hex of a token; the sheet only holds hashes */
+  function hashToken(token) {
+    return toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(token), Utilities.Charset.UTF_8));
+  }
+
+  /**
+   * Issue a new token for a member, replacing any earlier one
+   * @param {string} email - Member email
+   * @returns {string} The token; only its hash is kept, so it cannot be shown again
+   */
+  function issue(email) {
+    const token = 'wb_' + (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+    revoke(email);
+    getTable().append({ Email: String(email).toLowerCase().trim(), 'Token Hash': hashToken(token), Created: new Date() });
+    return token;
+  }
+
+  /**
+   * Revoke a member's token
+   * @returns {boolean} True if there was one
+   */
+  function revoke(email) {
+    const key = String(email).toLowerCase().trim();
+    const table = getTable();
+    let revoked = false;
+    for (let i = table.rows().length - 1; i >= 0; i--) {
+      if (String(table.get(table.rows()[i], 'Email')).toLowerCase().trim() === key) {
+        table.remove(i);
+        revoked = true;
+      }
+    }
+    return revoked;
+  }
+
+  /**
+   * Member a token belongs to; stamps its Last Used column
+   * @returns {string|null} Member email, or null for an unknown token
+   */
+  function verify(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    const table = getTable();
+    const index = table.rows().findIndex(row => table.get(row, 'Token Hash') === hash);
+    if (index === -1) return null;
+    table.set(index, { 'Last Used': new Date() });
+    return String(table.get(table.rows()[index], 'Email'));
+  }
+
+  return { issue, revoke, verify };
+})();
+
+const WebApi = (() => {
+  /** A positive whole query parameter, or undefined to keep the default */
+  function count(value) {
+    const n = parseInt(value, 10);
+    return n > 0 ? Math.min(n, 100) : undefined;
+  }
+
+  /** Route handlers, called as handler(memberEmail, params) */
+  const ROUTES = {
+    balance: (member, params) => {
+      const own = String(member).toLowerCase().trim();
+      const email = params.email ? String(params.email).toLowerCase().trim() : own;
+      if (email !== own && !Config.isAdmin(own) && !Config.isTreasurer(own)) {
+        throw new Error('Only admins and treasurers can read another member\'s balances');
+      }
+      return { email, balances: Wavebucks.getBalances(email) };
+    },
+
+    causae: () => Causae.listOpen(),
+
+    commissiones: () => Commissio.listOpen(),
+
+    leaderboard: (member, params) => Wavebucks.getLeaderboard(params.currency || null, {
+      limit: count(params.limit),
+      days: count(params.days)
+    })
+  };
+
+  /**
+   * Answer one request
+   * @param {object} params - Query parameters (e.parameter)
+   * @returns {object} { ok: true, route, data } or { ok: false, error }
+   */
+  function handle(params = {}) {
+    const route = String(params.route || '').toLowerCase();
+    const member = ApiTokens.verify(params.token);
+    if (!member) return { ok: false, error: 'Invalid or missing token' };
+
+    const handler = ROUTES[route];
+    if (!handler) return { ok: false, error: `Unknown route "${route}". Routes: ${Object.keys(ROUTES).join(', ')}` };
+
+    try {
+      return { ok: true, route, data: handler(member, params) };
+    } catch (err) {
+      Logger.log(`❌ Web API ${route} failed for ${member}: ${err.message}`);
+      return { ok: false, error: err.message };
+    }
+  }
+
+  /** A result as a JSON response, tagged with the environment that produced it */
+  function respond(result) {
+    const body = { environment: Environment.current().name, ...result };
+    return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+  }
+
+  /** An error nothing else caught, as a JSON response; untagged, as the environment may be what failed */
+  function respondError(err) {
+    Logger.log(`❌ Web API request failed: ${err.message}`);
+    return ContentService.createTextOutput(JSON.stringify({ ok: false, error: err.message }))
+      .setMimeType(ContentService.MimeType.JSON);
+  }
+
+  return { handle, respond, respondError };
+})();
+
+/**
+ * Signed command requests (POST). A client is registered with the Script
+ * Property API_CLIENT_<ID>, a JSON object:
+ *   { "secret": "…", "members": ["kiosk@example.com"], "commands": ["TRANSFER", "QUOT"] }
+ * members lists who the client may act for ("*" = anyone); commands limits
+ * the command types (empty or missing = all).
+ *
+ * The body is JSON { client, email, command, timestamp, nonce }, where command
+ * is the text of an email command ("TRANSFER b@example.com 5"), timestamp is
+ * Unix seconds and nonce is 8–64 letters, digits, - or _ used only once. The
+ * query parameter signature is the hex HMAC-SHA256 of the exact body with the
+ * client secret. Commands run through the same lexicon and DispatchTable as
+ * email, with api:<client>:<nonce> as their message ID.
+ *
+ * A command starting with SANDBOX runs in the sandbox environment, as by email.
+ *
+ * Responses are { ok, command, environment, data, html } or { ok: false, error, details }.
+ */
+const CommandApi = (() => {
+  const MAX_CLOCK_SKEW_SECONDS = 300;
+  const NONCE_TTL_SECONDS = 2 * MAX_CLOCK_SKEW_SECONDS; // older timestamps are refused anyway
+
+  /** A registered client, or null; throws if its Script Property is not a JSON object */
+  function getClient(id) {
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(String(id || ''))) return null;
+    const key = `API_CLIENT_${String(id).toUpperCase()}`;
+    const raw = PropertiesService.getScriptProperties().getProperty(key);
+    if (!raw) return null;
+
+    let client;
+    try {
+      client = JSON.parse(raw);
+    } catch (err) {
+      client = null;
+    }
+    if (!client || typeof client !== 'object') {
+      Logger.log(`❌ Script Property ${key} is not a JSON object`);
+      throw new Error(`Client ${String(id).toUpperCase()} is misconfigured`);
+    }
+    return {
+      id: String(id).toUpperCase(),
+      secret: String(client.secret || ''),
+      members: (client.members || []).map(e => String(e).toLowerCase().trim()),
+      commands: (client.commands || []).map(c => String(c).toUpperCase().trim())
+    };
+  }
+
+  /** Hex HMAC-SHA256 of a request body */
+  function sign(body, secret) {
+    return toHex(Utilities.computeHmacSha256Signature(body, secret, Utilities.Charset.UTF_8));
+  }
+
+  /** String comparison that takes the same time wherever they differ */
+  function sameSignature(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  /**
+   * Record a nonce; false if the client already used it. The ledger's
+   * idempotency key (from the message ID) still guards postings should
+   * the cache drop an entry early.
+   */
+  function claimNonce(clientId, nonce) {
+    const cache = CacheService.getScriptCache();
+    const key = `api-nonce:${clientId}:${nonce}`;
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      if (cache.get(key)) return false;
+      cache.put(key, '1', NONCE_TTL_SECONDS);
+      return true;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  function fail(error, details) {
+    return details ? { ok: false, error, details } : { ok: false, error };
+  }
+
+  /**
+   * Verify and run one request
+   * @param {string} body - Raw request body (e.postData.contents)
+   * @param {string} signature - Hex HMAC-SHA256 of the body
+   * @returns {object} JSON-ready result
+   */
+  function handle(body, signature) {
+    let request;
+    try {
+      request = JSON.parse(body || '');
+    } catch (err) {
+      return fail('Body must be a JSON object');
+    }
+    if (!request || typeof request !== 'object') return fail('Body must be a JSON object');
+
+    let client;
+    try {
+      client = getClient(request.client);
+    } catch (err) {
+      return fail(err.message);
+    }
+    if (!client || !client.secret) return fail('Unknown client');
+    if (!sameSignature(String(signature || '').toLowerCase(), sign(body, client.secret))) return fail('Bad signature');
+
+    const skew = Math.abs(Date.now() / 1000 - Number(request.timestamp));
+    if (!(skew <= MAX_CLOCK_SKEW_SECONDS)) return fail('Timestamp missing or more than 5 minutes off');
+    if (!/^[A-Za-z0-9_-]{8,64}$/.test(String(request.nonce || ''))) {
+      return fail('Nonce must be 8–64 letters, digits, - or _');
+    }
+    if (!claimNonce(client.id, request.nonce)) return fail('Nonce already used');
+
+    const email = String(request.email || '').toLowerCase().trim();
+    if (!email) return fail('email is required');
+    if (!client.members.includes('*') && !client.members.includes(email)) {
+      return fail(`Client ${client.id} may not act for ${email}`);
+    }
+
+    const { sandbox, body: text } = Environment.stripSandbox(String(request.command || '').trim());
+    const command = InboxProcessor.detectCommand(text);
+    const handler = command && DispatchTable[command.type];
+    if (!handler) return fail('No command recognized');
+    if (client.commands.length > 0 && !client.commands.includes(command.type)) {
+      return fail(`Client ${client.id} may not send ${command.type}`);
+    }
+
+    const messageId = `api:${client.id}:${request.nonce}`;
+    let profile = Environment.current();
+    let reply;
+    try {
+      if (sandbox) profile = Environment.sandbox();
+      reply = Environment.run(profile, () => handler(email, text, '', command, messageId));
+    } catch (err) {
+      reply = handlerError('', err);
+    }
+
+    const error = reply.error || null;
+    const notes = [sandbox ? `SANDBOX (${profile.name})` : '', error ? error.message : ''].filter(Boolean).join('; ');
+    Config.logEvent(email, `API ${client.id}`, command.type, 'CommandApi', error ? 'error' : 'success', notes, messageId);
+
+    const html = Environment.banner(profile) + replyHtml(reply);
+    const environment = profile.name;
+    if (error) return { ...fail(error.message, error), command: command.type, environment, html };
+    return { ok: true, command: command.type, environment, data: reply.data === undefined ? null : reply.data, html };
+  }
+
+  return { handle, sign };
+})();
+
+/**
+ * Web app entry point (GET)
+ */
+function doGet(e) {
+  try {
+    Environment.current();
+    return WebApi.respond(WebApi.handle(e && e.parameter));
+  } catch (err) {
+    return WebApi.respondError(err);
+  }
+}
+
+/**
+ * Web app entry point (POST)
+ */
+function doPost(e) {
+  try {
+    Environment.current();
+    const body = e && e.postData ? e.postData.contents : '';
+    return WebApi.respond(CommandApi.handle(body, e && e.parameter && e.parameter.signature));
+  } catch (err) {
+    return WebApi.respondError(err);
+  }
+}
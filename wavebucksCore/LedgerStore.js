@@ -0,0 +1,267 @@
+/**
+ * ============================================================================
+ * LedgerStore.gs – Storage backends for the Wavebucks ledger
+ * ============================================================================
+ * WavebucksCore reads and writes through a store instead of calling
+ * SpreadsheetApp directly, so the same money logic runs against the live
+ * spreadsheet or, under Node, against plain arrays.
+ *
+ * A store has one table per ledger sheet plus the script lock:
+ *   accounts        – Balances rows:     Email, Balance, Last Updated, Credit Limit,
+ *                                        Daily Limit, Transaction Limit, Currency
+ *   journal         – Transactions rows: see TRANSACTIONS_HEADERS
+ *   log             – Log rows:          Timestamp, Email, Amount, Notes, Previous Balance,
+ *                                        Processed, Transaction ID, Currency, Hash
+ *   reconciliation  – Reconciliation report rows: see RECONCILE_HEADERS
+ *   currencies      – Currencies rows:   Code, Name, Symbol, Precision, Supply Cap, Treasurers
+ *   snapshots       – Snapshots rows:    see SNAPSHOT_HEADERS
+ *   lock()          – waits for exclusive access; returns an object with releaseLock()
+ *   checkSchemas({ migrate }) – header reports of the ledger sheets (see
+ *                     WavebucksConfig.compareHeaders); migrate adds missing columns
+ *
+ * Every table works on data rows (header excluded), addressed by 0-based index.
+ * Rows of the Balances, Transactions, Log and Currencies tables hold the
+ * columns of their schema in schema order (the *_COL constants), wherever
+ * the sheet keeps them:
+ *   read()                      → array of row arrays (copies)
+ *   append(rows)                → index of the first appended row
+ *   write(index, rows, column)  → overwrite rows starting at index, from column (default 0)
+ *   remove(index, count)        → delete rows
+ *   clear()                     → delete every data row
+ *
+ * Exports a global object `LedgerStore` with createSheetStore() and
+ * createMemoryStore(); install one with Wavebucks.setStore().
+ * createSheetTable() wraps any other sheet as a table, e.g. for
+ * Wavebucks.exportLedger() / importLedger().
+ * ============================================================================
+ */
+
+var LedgerStore = (function () {
+
+  /*─────────────────────────────*
+   *  GOOGLE SHEETS
+   *─────────────────────────────*/
+
+  /**
+   * Store backed by the Wavebucks spreadsheet (WavebucksConfig.getWorkbookId()).
+   * This is the default store.
+   */
+  function createSheetStore() {
+    const config = WavebucksConfig;
+
+    return {
+      accounts: _sheetTable(config.BALANCES_SHEET, () => config.getBalancesSheet(),
+        { schema: config.BALANCES_SCHEMA }),
+      journal: _sheetTable(config.TRANSACTIONS_SHEET, () => config.getTransactionsSheet(),
+        { schema: config.TRANSACTIONS_SCHEMA }),
+      log: _sheetTable(config.LOG_SHEET, () => config.getSheet(config.LOG_SHEET),
+        { optional: true, schema: config.LOG_SCHEMA }),
+      reconciliation: _sheetTable(config.RECONCILE_SHEET,
+        () => config.getOrCreateSheet(config.RECONCILE_SHEET, config.RECONCILE_HEADERS)),
+      currencies: _sheetTable(config.CURRENCIES_SHEET, () => config.getSheet(config.CURRENCIES_SHEET),
+        { optional: true, schema: config.CURRENCIES_SCHEMA }),
+      snapshots: _sheetTable(config.SNAPSHOTS_SHEET,
+        () => config.getOrCreateSheet(config.SNAPSHOTS_SHEET, config.SNAPSHOT_HEADERS)),
+
+      lock() {
+        const lock = LockService.getScriptLock();
+        lock.waitLock(config.LOCK_TIMEOUT_MS);
+        return lock;
+      },
+
+      checkSchemas({ migrate = false } = {}) {
+        return [config.BALANCES_SCHEMA, config.TRANSACTIONS_SCHEMA, config.LOG_SCHEMA, config.CURRENCIES_SCHEMA]
+          .map(schema => ({ schema, sheet: config.getSheet(schema.name) }))
+          .filter(entry => entry.sheet)
+          .map(({ schema, sheet }) => (migrate ? config.migrateSchema(sheet, schema) : config.validateSchema(sheet, schema)));
+      }
+    };
+  }
+
+  /**
+   * A single sheet as a table, for sheets outside the ledger workbook
+   * (e.g. the Causae and Commissiones tabs of an app). With a schema, rows
+   * are in schema order whatever the order of the sheet's columns.
+   */
+  function createSheetTable(sheet, schema = null) {
+    return _sheetTable(sheet.getName(), () => sheet, { schema });
+  }
+
+  /**
+   * One sheet as a table. The sheet is looked up on first use and kept for
+   * the rest of the execution. Writes to a missing optional sheet (Log, Currencies)
+   * are skipped with a warning; to a missing required sheet they throw.
+   *
+   * With a schema (see WavebucksConfig.defineSchema) each row holds the
+   * schema columns in schema order, so the *_COL constants index it, found
+   * in the sheet by header name (columnMap); any other columns follow in
+   * sheet order, so rows read and written back keep them. Columns the sheet
+   * lacks are added when it is first opened.
+   */
+  function _sheetTable(name, resolve, { optional = false, schema = null } = {}) {
+    const { HEADER_OFFSET, INDEX_TO_SHEET, getDataRows, sheetRowFromIndex } = WavebucksConfig;
+    let sheet;
+    let layout = null; // sheet column (0-based) of each table column, schema tables only
+
+    const get = () => {
+      if (sheet === undefined) {
+        sheet = resolve() || null;
+        if (sheet && schema) layout = _layout(sheet, schema);
+      }
+      return sheet;
+    };
+    const getForWrite = () => {
+      const sh = get();
+      if (!sh && !optional) throw new Error(`${name} sheet not found`);
+      if (!sh) console.warn(`⚠️ ${name} sheet not found – skipping write.`);
+      return sh;
+    };
+
+    // Without a schema, table and sheet columns are the same
+    const sheetColumn = column => (layout ? layout[column] : column);
+
+    return {
+      read() {
+        const sh = get();
+        if (!sh) return [];
+        const rows = getDataRows(sh);
+        if (!layout) return rows;
+        return rows.map(r => layout.map(c => (r[c] === undefined ? '' : r[c])));
+      },
+
+      append(rows) {
+        const sh = getForWrite();
+        if (!sh) return -1;
+        const start = sh.getLastRow() + 1;
+        if (rows.length === 0) return start - HEADER_OFFSET - INDEX_TO_SHEET;
+
+        const width = Math.max(...rows.map(r => r.length));
+        const columns = Array.from({ length: width }, (_, i) => sheetColumn(i));
+        const sheetWidth = Math.max(...columns) + 1;
+        const sheetRows = rows.map(r => {
+          const sheetRow = new Array(sheetWidth).fill('');
+          r.forEach((value, i) => { sheetRow[columns[i]] = value; });
+          return sheetRow;
+        });
+        sh.getRange(start, 1, sheetRows.length, sheetWidth).setValues(sheetRows);
+        return start - HEADER_OFFSET - INDEX_TO_SHEET;
+      },
+
+      write(index, rows, column = 0) {
+        const sh = getForWrite();
+        if (!sh || rows.length === 0) return;
+        const row = sheetRowFromIndex(index + HEADER_OFFSET);
+        const columns = rows[0].map((_, i) => sheetColumn(column + i));
+
+        // One range when the columns sit side by side in the sheet, else one per column
+        if (columns.every((c, i) => c === columns[0] + i)) {
+          sh.getRange(row, columns[0] + INDEX_TO_SHEET, rows.length, columns.length).setValues(rows);
+          return;
+        }
+        columns.forEach((c, i) => {
+          sh.getRange(row, c + INDEX_TO_SHEET, rows.length, 1).setValues(rows.map(r => [r[i]]));
+        });
+      },
+
+      remove(index, count) {
+        const sh = getForWrite();
+        if (!sh || count <= 0) return;
+        sh.deleteRows(sheetRowFromIndex(index + HEADER_OFFSET), count);
+      },
+
+      clear() {
+        const sh = getForWrite();
+        if (!sh) return;
+        const lastRow = sh.getLastRow();
+        if (lastRow > HEADER_OFFSET) {
+          sh.getRange(HEADER_OFFSET + 1, 1, lastRow - HEADER_OFFSET, sh.getLastColumn()).clearContent();
+        }
+      }
+    };
+  }
+
+  /**
+   * Sheet columns of a schema table's columns: the schema's, located by
+   * header (missing ones added first), then the sheet's other columns
+   */
+  function _layout(sheet, schema) {
+    let report = WavebucksConfig.validateSchema(sheet, schema);
+    if (report.missing.length > 0) report = WavebucksConfig.migrateSchema(sheet, schema);
+    const columns = schema.headers.map(header => report.columns[header]);
+    for (let c = 0; c < sheet.getLastColumn(); c++) {
+      if (columns.indexOf(c) === -1) columns.push(c);
+    }
+    return columns;
+  }
+
+  /*─────────────────────────────*
+   *  IN MEMORY
+   *─────────────────────────────*/
+
+  /**
+   * Store that keeps every table in arrays, for local tests and dry runs.
+   * `seed` may give initial data rows per table, e.g.
+   *   createMemoryStore({ accounts: [['a@example.com', 10, new Date(), 5]] })
+   */
+  function createMemoryStore(seed = {}) {
+    return {
+      accounts: _memoryTable(seed.accounts),
+      journal: _memoryTable(seed.journal),
+      log: _memoryTable(seed.log),
+      reconciliation: _memoryTable(seed.reconciliation),
+      currencies: _memoryTable(seed.currencies),
+      snapshots: _memoryTable(seed.snapshots),
+
+      lock() {
+        return { releaseLock() {} };
+      },
+
+      // Rows are plain arrays by position; there is no header row to check
+      checkSchemas() {
+        return [];
+      }
+    };
+  }
+
+  /** An array of rows as a table. Rows are copied in and out, like getValues/setValues. */
+  function _memoryTable(initial = []) {
+    const rows = initial.map(r => r.slice());
+
+    return {
+      read() {
+        return rows.map(r => r.slice());
+      },
+
+      append(values) {
+        const start = rows.length;
+        values.forEach(r => rows.push(r.slice()));
+        return start;
+      },
+
+      write(index, values, column = 0) {
+        values.forEach((r, i) => {
+          const row = rows[index + i] || (rows[index + i] = []);
+          r.forEach((value, j) => { row[column + j] = value; });
+        });
+      },
+
+      remove(index, count) {
+        rows.splice(index, count);
+      },
+
+      clear() {
+        rows.length = 0;
+      }
+    };
+  }
+
+  /*─────────────────────────────*
+   *  PUBLIC EXPORT
+   *─────────────────────────────*/
+  return {
+    createSheetStore,
+    createSheetTable,
+    createMemoryStore
+  };
+
+})();
@@ -16,13 +16,16 @@ var WavebucksConfig = (function () {
    *  CONSTANTS
    *─────────────────────────────*/
 
-  const SHEET_ID = '1LOIRjKvyu4jr-WOvyvvZToNxL2M8Wfop5nDKu023hew'; // Live
-  // const SHEET_ID = '1UEUrP-9VoNFkSn1g0qVHZMQEVKkvfcjCfet1i_OWilk'; // Wavebucks Test (safe for writes)
+  const SHEET_ID      = '1LOIRjKvyu4jr-WOvyvvZToNxL2M8Wfop5nDKu023hew'; // Live (default workbook)
+  const TEST_SHEET_ID = '1UEUrP-9VoNFkSn1g0qVHZMQEVKkvfcjCfet1i_OWilk'; // Wavebucks Test (safe for writes)
 
   // Sheet names
   const BALANCES_SHEET     = 'Balances';
   const TRANSACTIONS_SHEET = 'Transactions';
   const LOG_SHEET          = 'Log';
+  const RECONCILE_SHEET    = 'Reconciliation';
+  const CURRENCIES_SHEET   = 'Currencies';
+  const SNAPSHOTS_SHEET    = 'Snapshots';
 
   /*─────────────────────────────*
    *  ROW OFFSET CONSTANTS
@@ -30,6 +33,11 @@ var WavebucksConfig = (function () {
   const HEADER_OFFSET   = 1;  // Sheet row 1 = header
   const INDEX_TO_SHEET  = 1;  // Adds 1 to array index for sheet coordinates
 
+  /*─────────────────────────────*
+   *  LOCKING
+   *─────────────────────────────*/
+  const LOCK_TIMEOUT_MS = 30000; // Max wait for the script lock on ledger writes
+
   /** Converts array index to sheet row number, considering headers. */
   function sheetRowFromIndex(index) {
     return index + INDEX_TO_SHEET;
@@ -44,9 +52,19 @@ var WavebucksConfig = (function () {
   /*─────────────────────────────*
    *  COLUMN INDICES
    *─────────────────────────────*/
+  // Positions in the rows the ledger store hands out, which follow the *_HEADERS
+  // order; the sheets themselves are matched by header name (see LedgerStore)
   const BAL_EMAIL_COL      = 0; // "Email Address"
   const BAL_BALANCE_COL    = 1; // "Balance"
   const BAL_TIMESTAMP_COL  = 2; // "Last Updated"
+  const BAL_CREDIT_LIMIT_COL = 3; // "Credit Limit" (optional; blank = no overdraft)
+  const BAL_DAILY_LIMIT_COL  = 4; // "Daily Limit" (optional; blank = default, 'none' = unlimited)
+  const BAL_TX_LIMIT_COL     = 5; // "Transaction Limit" (optional; blank = default, 'none' = unlimited)
+  const BAL_CURRENCY_COL     = 6; // "Currency" (optional; blank = DEFAULT_CURRENCY)
+
+  const BALANCES_HEADERS = [
+    'Email Address', 'Balance', 'Last Updated', 'Credit Limit', 'Daily Limit', 'Transaction Limit', 'Currency'
+  ];
 
   const LOG_TIMESTAMP_COL  = 0; // "Timestamp"
   const LOG_EMAIL_COL      = 1; // "Email"
@@ -54,12 +72,88 @@ var WavebucksConfig = (function () {
   const LOG_NOTES_COL      = 3; // "Notes"
   const LOG_PREV_BAL_COL   = 4; // "Previous Balance"
   const LOG_PROCESSED_COL  = 5; // "Processed"
+  const LOG_TX_ID_COL      = 6; // "Transaction ID" (links a Log row to its journal entry)
+  const LOG_CURRENCY_COL   = 7; // "Currency" (blank = DEFAULT_CURRENCY)
+  const LOG_HASH_COL       = 8; // "Hash" (SHA-256 of the row chained to the previous row's hash)
+
+  const LOG_HEADERS = [
+    'Timestamp', 'Email', 'Amount', 'Notes', 'Previous Balance', 'Processed', 'Transaction ID', 'Currency', 'Hash'
+  ];
+
+  const TX_ID_COL          = 0; // "Transaction ID"
+  const TX_TIMESTAMP_COL   = 1; // "Timestamp"
+  const TX_DEBIT_COL       = 2; // "Debit Account" (balance decreases)
+  const TX_CREDIT_COL      = 3; // "Credit Account" (balance increases)
+  const TX_AMOUNT_COL      = 4; // "Amount"
+  const TX_MEMO_COL        = 5; // "Memo"
+  const TX_SOURCE_COL      = 6; // "Source" (command / message ID)
+  const TX_IDEMPOTENCY_COL = 7; // "Idempotency Key" (blank, or unique per applied operation)
+  const TX_CURRENCY_COL    = 8; // "Currency" (blank = DEFAULT_CURRENCY)
+
+  const TRANSACTIONS_HEADERS = [
+    'Transaction ID', 'Timestamp', 'Debit Account', 'Credit Account', 'Amount', 'Memo', 'Source',
+    'Idempotency Key', 'Currency'
+  ];
+
+  const CUR_CODE_COL       = 0; // "Code", e.g. WB
+  const CUR_NAME_COL       = 1; // "Name"
+  const CUR_SYMBOL_COL     = 2; // "Symbol" (HTML allowed, e.g. &#8361;)
+  const CUR_PRECISION_COL  = 3; // "Precision" (decimal places; blank = 0, or DEFAULT_CURRENCY_PRECISION for WB)
+  const CUR_SUPPLY_CAP_COL = 4; // "Supply Cap" (blank/0 = no cap)
+  const CUR_TREASURERS_COL = 5; // "Treasurers" (comma-separated; blank = the app's treasurers)
+
+  const CURRENCIES_HEADERS = ['Code', 'Name', 'Symbol', 'Precision', 'Supply Cap', 'Treasurers'];
+
+  const SNAP_DATE_COL      = 0; // "Snapshot Date" (shared by every row of one snapshot)
+  const SNAP_EMAIL_COL     = 1; // "Email Address"
+  const SNAP_BALANCE_COL   = 2; // "Balance"
+  const SNAP_CURRENCY_COL  = 3; // "Currency"
+
+  const SNAPSHOT_HEADERS = ['Snapshot Date', 'Email Address', 'Balance', 'Currency'];
+
+  const RECONCILE_HEADERS = [
+    'Run At', 'Account', 'Issue', 'Expected', 'Actual', 'Difference', 'Log Row', 'Details'
+  ];
+
+  /*─────────────────────────────*
+   *  ACCOUNTS
+   *─────────────────────────────*/
+  // Counterparty for money entering or leaving circulation; never stored in Balances
+  const EXTERNAL_ACCOUNT = 'external';
+
+  // System accounts hold locked funds in Balances, named <prefix>:<kind>:<id>
+  // e.g. escrow:commissio:5 (bounty reward), pot:causa:3 (wagers)
+  const ESCROW_PREFIX = 'escrow';
+  const POT_PREFIX    = 'pot';
+
+  /*─────────────────────────────*
+   *  CURRENCIES
+   *─────────────────────────────*/
+  // Every ledger row belongs to one currency; a blank currency cell means this one.
+  // Further currencies are rows in the Currencies sheet (a WB row there overrides these defaults).
+  const DEFAULT_CURRENCY = 'WB';
+  const DEFAULT_CURRENCY_NAME = 'Wavebucks';
+  const DEFAULT_CURRENCY_SYMBOL = '&#8361;';
+  const DEFAULT_CURRENCY_PRECISION = 2; // decimal places, i.e. amounts are whole cents
 
   /*─────────────────────────────*
    *  SHEET ACCESS HELPERS
    *─────────────────────────────*/
+  // Workbook the helpers open; null = SHEET_ID. Set per execution with
+  // useWorkbook() (Wavebucks.useWorkbook also resets the ledger's store).
+  let _workbookId = null;
+
+  /** Points the sheet helpers at another copy of the ledger; null = SHEET_ID. */
+  function useWorkbook(id) {
+    _workbookId = id || null;
+  }
+
+  function getWorkbookId() {
+    return _workbookId || SHEET_ID;
+  }
+
   function getWorkbook() {
-    return SpreadsheetApp.openById(SHEET_ID);
+    return SpreadsheetApp.openById(getWorkbookId());
   }
 
   function getSheet(name) {
@@ -70,12 +164,214 @@ var WavebucksConfig = (function () {
     return getWorkbook().getSheetByName(BALANCES_SHEET);
   }
 
+  /** Returns a sheet by name, creating it with the given headers if missing. */
+  function getOrCreateSheet(name, headers) {
+    const ss = getWorkbook();
+    let sh = ss.getSheetByName(name);
+    if (!sh) {
+      sh = ss.insertSheet(name);
+      sh.appendRow(headers);
+    }
+    return sh;
+  }
+
+  /** Returns the Transactions (journal) sheet, creating it with headers if missing. */
+  function getTransactionsSheet() {
+    return getOrCreateSheet(TRANSACTIONS_SHEET, TRANSACTIONS_HEADERS);
+  }
+
+  /*─────────────────────────────*
+   *  SCHEMAS
+   *─────────────────────────────*/
+
+  /**
+   * Declares the header row of a sheet. Columns are matched by name, ignoring
+   * case, spaces and punctuation ('TotalPot' = 'Total Pot'); `aliases` maps
+   * other spellings found in older or hand-made tabs to a column, e.g.
+   * { 'Creator Email': 'Creator' }.
+   */
+  function defineSchema(name, headers, { aliases = {} } = {}) {
+    return { name, headers: headers.slice(), aliases: { ...aliases } };
+  }
+
+  const BALANCES_SCHEMA     = defineSchema(BALANCES_SHEET, BALANCES_HEADERS);
+  const TRANSACTIONS_SCHEMA = defineSchema(TRANSACTIONS_SHEET, TRANSACTIONS_HEADERS);
+  const LOG_SCHEMA          = defineSchema(LOG_SHEET, LOG_HEADERS);
+  const CURRENCIES_SCHEMA   = defineSchema(CURRENCIES_SHEET, CURRENCIES_HEADERS);
+
+  /** Header text reduced to what matching compares */
+  function _headerKey(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Where each schema column sits in a header row: { column: 0-based index }.
+   * Columns the row lacks are left out; the first match wins.
+   */
+  function columnMap(schema, headerRow) {
+    const byKey = {};
+    Object.keys(schema.aliases).forEach(alias => { byKey[_headerKey(alias)] = schema.aliases[alias]; });
+    schema.headers.forEach(column => { byKey[_headerKey(column)] = column; });
+
+    const columns = {};
+    headerRow.forEach((header, i) => {
+      const column = byKey[_headerKey(header)];
+      if (column && !(column in columns)) columns[column] = i;
+    });
+    return columns;
+  }
+
+  /**
+   * Compares a header row with its schema. Returns {
+   *   schema, ok (no missing columns), columns (see columnMap),
+   *   missing   – schema columns not found
+   *   renamed   – [{ header, column }] columns found under another spelling
+   *   extra     – headers that are not schema columns (kept, never touched)
+   * }
+   */
+  function compareHeaders(schema, headerRow) {
+    const columns = columnMap(schema, headerRow);
+    const missing = schema.headers.filter(column => !(column in columns));
+    const used = Object.keys(columns).map(column => columns[column]);
+    const renamed = Object.keys(columns)
+      .filter(column => String(headerRow[columns[column]]).trim() !== column)
+      .map(column => ({ header: String(headerRow[columns[column]]).trim(), column }));
+    const extra = headerRow
+      .filter((header, i) => String(header).trim() !== '' && used.indexOf(i) === -1)
+      .map(header => String(header).trim());
+
+    return { schema: schema.name, ok: missing.length === 0, columns, missing, renamed, extra };
+  }
+
+  /** One line summing up a schema report, for logs */
+  function describeSchemaReport(report) {
+    const parts = [];
+    if (report.added && report.added.length > 0) parts.push(`added ${report.added.join(', ')}`);
+    if (report.missing.length > 0) parts.push(`missing ${report.missing.join(', ')}`);
+    if (report.renamed.length > 0) parts.push('renamed ' + report.renamed.map(r => `"${r.header}" = ${r.column}`).join(', '));
+    if (report.extra.length > 0) parts.push(`extra ${report.extra.join(', ')}`);
+    return `${report.ok ? '✅' : '⚠️'} ${report.schema}: ${parts.length > 0 ? parts.join('; ') : 'matches its schema'}`;
+  }
+
+  /** The header row of a sheet (empty for an empty sheet) */
+  function _headerRow(sheet) {
+    const width = sheet.getLastColumn();
+    return width > 0 ? sheet.getRange(HEADER_OFFSET, 1, 1, width).getValues()[0] : [];
+  }
+
+  /** compareHeaders() for a sheet */
+  function validateSchema(sheet, schema) {
+    return compareHeaders(schema, _headerRow(sheet));
+  }
+
+  /**
+   * Adds the columns a sheet is missing: at the column's own schema position
+   * when that header cell is free (older releases wrote the ledger sheets by
+   * position, sometimes under a blank header), else after the last column.
+   * Renamed and extra columns are left for a person to sort out.
+   * Returns validateSchema() after the change, plus added: [column].
+   */
+  function migrateSchema(sheet, schema) {
+    const headerRow = _headerRow(sheet);
+    const added = [];
+    const free = position => String(headerRow[position] === undefined ? '' : headerRow[position]).trim() === '';
+
+    compareHeaders(schema, headerRow).missing.forEach(column => {
+      const own = schema.headers.indexOf(column);
+      const position = free(own) ? own : headerRow.length;
+      sheet.getRange(HEADER_OFFSET, position + INDEX_TO_SHEET).setValue(column);
+      headerRow[position] = column;
+      added.push(column);
+    });
+    if (added.length > 0) console.log(`🧱 ${schema.name}: added column(s) ${added.join(', ')}`);
+    return { ...validateSchema(sheet, schema), added };
+  }
+
+  /**
+   * A sheet read and written by column name, from one read of its data:
+   *   columns            – columnMap of its header row
+   *   rows()             – the data rows
+   *   get(row, column)   – a cell of a data row ('' if the sheet lacks the column)
+   *   set(index, values) – write { column: value } into data row `index`
+   *   append(values)     – add a row from { column: value }
+   *   remove(index)      – delete data row `index`
+   * Writing a column the sheet lacks throws: run migrateSchema() first.
+   * With { migrate: true } missing columns are added on opening.
+   */
+  function schemaTable(sheet, schema, { migrate = false } = {}) {
+    if (migrate && !validateSchema(sheet, schema).ok) migrateSchema(sheet, schema);
+    const values = sheet.getDataRange().getValues();
+    const headerRow = values.length >= HEADER_OFFSET ? values[HEADER_OFFSET - 1] : [];
+    const columns = columnMap(schema, headerRow);
+    const rows = values.slice(HEADER_OFFSET);
+
+    const position = column => {
+      if (!(column in columns)) throw new Error(`${schema.name} sheet has no "${column}" column`);
+      return columns[column];
+    };
+
+    return {
+      columns,
+
+      rows() {
+        return rows;
+      },
+
+      get(row, column) {
+        return column in columns && row[columns[column]] !== undefined ? row[columns[column]] : '';
+      },
+
+      set(index, values) {
+        Object.keys(values).forEach(column => {
+          const col = position(column);
+          sheet.getRange(sheetRowFromIndex(index + HEADER_OFFSET), col + INDEX_TO_SHEET).setValue(values[column]);
+          if (rows[index]) rows[index][col] = values[column];
+        });
+      },
+
+      append(values) {
+        const row = new Array(Math.max(headerRow.length, 1)).fill('');
+        Object.keys(values).forEach(column => { row[position(column)] = values[column]; });
+        sheet.appendRow(row);
+        rows.push(row);
+      },
+
+      remove(index) {
+        sheet.deleteRow(sheetRowFromIndex(index + HEADER_OFFSET));
+        rows.splice(index, 1);
+      }
+    };
+  }
+
   /*─────────────────────────────*
-   *  APP URL
+   *  SETTINGS (Script Properties)
    *─────────────────────────────*/
+  const SETTING_ADMIN_EMAILS = 'ADMIN_EMAILS'; // comma-separated ledger admins
+  const SETTING_LOG_DIGEST_EMAILS = 'LOG_DIGEST_EMAILS'; // recipients of the Log head hash; blank = ADMIN_EMAILS
+
+  // Weekly allowance job (runAllowance); blank = off
+  const SETTING_STIPEND_AMOUNT       = 'STIPEND_AMOUNT';       // credited to each active account
+  const SETTING_STIPEND_ACTIVE_DAYS  = 'STIPEND_ACTIVE_DAYS';  // activity window; 0 = every member (default 30)
+  const SETTING_DEMURRAGE_RATE       = 'DEMURRAGE_RATE';       // percent of the balance above the threshold
+  const SETTING_DEMURRAGE_THRESHOLD  = 'DEMURRAGE_THRESHOLD';  // balance exempt from demurrage
 
-   //Deprecated, from some old WebApp implementation
-  const WAVE_APP_URL = 'https://script.google.com/macros/s/AKfycbxtWc-6_T5rADP0-1s-DoYw02mlgOxtGOKyGfp1YzBL/dev';
+  // Default outflow limits for member accounts; blank = unlimited
+  const SETTING_DAILY_LIMIT       = 'DAILY_OUTFLOW_LIMIT';       // total spent per day (script time)
+  const SETTING_TRANSACTION_LIMIT = 'TRANSACTION_OUTFLOW_LIMIT'; // largest single outflow
+
+  /** Returns a Script Property value, or `fallback` when unset. */
+  function getSetting(key, fallback = null) {
+    const value = PropertiesService.getScriptProperties().getProperty(key);
+    return value === null || value === '' ? fallback : value;
+  }
+
+  /** Returns a comma-separated Script Property as a lowercase list. */
+  function getListSetting(key) {
+    return String(getSetting(key, ''))
+      .split(',')
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean);
+  }
 
   /*─────────────────────────────*
    *  PUBLIC EXPORT
@@ -83,28 +379,96 @@ var WavebucksConfig = (function () {
   return {
     // constants
     SHEET_ID,
+    TEST_SHEET_ID,
     BALANCES_SHEET,
     TRANSACTIONS_SHEET,
     LOG_SHEET,
+    RECONCILE_SHEET,
+    RECONCILE_HEADERS,
+    CURRENCIES_SHEET,
+    SNAPSHOTS_SHEET,
+    SNAPSHOT_HEADERS,
+    BALANCES_SCHEMA,
+    TRANSACTIONS_SCHEMA,
+    LOG_SCHEMA,
+    CURRENCIES_SCHEMA,
+    SETTING_ADMIN_EMAILS,
+    SETTING_LOG_DIGEST_EMAILS,
+    SETTING_STIPEND_AMOUNT,
+    SETTING_STIPEND_ACTIVE_DAYS,
+    SETTING_DEMURRAGE_RATE,
+    SETTING_DEMURRAGE_THRESHOLD,
+    SETTING_DAILY_LIMIT,
+    SETTING_TRANSACTION_LIMIT,
     HEADER_OFFSET,
     INDEX_TO_SHEET,
+    LOCK_TIMEOUT_MS,
     BAL_EMAIL_COL,
     BAL_BALANCE_COL,
     BAL_TIMESTAMP_COL,
+    BAL_CREDIT_LIMIT_COL,
+    BAL_DAILY_LIMIT_COL,
+    BAL_TX_LIMIT_COL,
+    BAL_CURRENCY_COL,
+    BALANCES_HEADERS,
     LOG_TIMESTAMP_COL,
     LOG_EMAIL_COL,
     LOG_AMOUNT_COL,
     LOG_NOTES_COL,
     LOG_PREV_BAL_COL,
     LOG_PROCESSED_COL,
-    WAVE_APP_URL,
+    LOG_TX_ID_COL,
+    LOG_CURRENCY_COL,
+    LOG_HASH_COL,
+    LOG_HEADERS,
+    TX_ID_COL,
+    TX_TIMESTAMP_COL,
+    TX_DEBIT_COL,
+    TX_CREDIT_COL,
+    TX_AMOUNT_COL,
+    TX_MEMO_COL,
+    TX_SOURCE_COL,
+    TX_IDEMPOTENCY_COL,
+    TX_CURRENCY_COL,
+    TRANSACTIONS_HEADERS,
+    CUR_CODE_COL,
+    CUR_NAME_COL,
+    CUR_SYMBOL_COL,
+    CUR_PRECISION_COL,
+    CUR_SUPPLY_CAP_COL,
+    CUR_TREASURERS_COL,
+    CURRENCIES_HEADERS,
+    SNAP_DATE_COL,
+    SNAP_EMAIL_COL,
+    SNAP_BALANCE_COL,
+    SNAP_CURRENCY_COL,
+    EXTERNAL_ACCOUNT,
+    ESCROW_PREFIX,
+    POT_PREFIX,
+    DEFAULT_CURRENCY,
+    DEFAULT_CURRENCY_NAME,
+    DEFAULT_CURRENCY_SYMBOL,
+    DEFAULT_CURRENCY_PRECISION,
 
     // helpers
     sheetRowFromIndex,
     getDataRows,
+    useWorkbook,
+    getWorkbookId,
     getWorkbook,
     getSheet,
-    getBalancesSheet
+    getBalancesSheet,
+    getOrCreateSheet,
+    getTransactionsSheet,
+    defineSchema,
+    columnMap,
+    compareHeaders,
+    describeSchemaReport,
+    validateSchema,
+    migrateSchema,
+    schemaTable,
+    getSetting,
+    getListSetting
   };
 
 })();